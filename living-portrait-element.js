@@ -0,0 +1,472 @@
+// <living-portrait>: the portrait as a custom element, for pages without
+// React. The scene model, storage, glow and trigger inputs come from the same
+// engine as the React component, so scenes, bundles and mappings are shared.
+//
+//   <script type="module" src="living-portrait-element.js"></script>
+//   <living-portrait src="portrait.jpg" renderer="auto"></living-portrait>
+//
+// Attributes: src, locked, glow (0–1), renderer ("auto" | "webgl" |
+// "canvas2d"), instance-id, keyboard ("false" skips the window bindings).
+// Events: imagechange, socketschange, lockchange, librarychange,
+// scenesaved, sceneloaded and status; each carries its value in `detail`.
+// Pupils (see setGaze) follow the pointer unless lookAt() sets a target.
+// Particles (see setParticles) drift from the sockets as they glow.
+// Set the `storage` and `uploadSettings` properties before the element is
+// connected to use another storage adapter or upload size and format.
+// Moving the element keeps its scene, saved or not. Once it has been out of
+// the document past the current task its engine is disposed; connecting it
+// again starts afresh from the attributes and storage.
+
+import {
+  createPortraitEngine,
+  createGlowLayer,
+  createGazeLayer,
+  createParticleLayer,
+  resolveGlowRenderer,
+  groupByBlendMode,
+  keyboardControl,
+  downloadBlob,
+} from "./living-portrait-engine.js";
+
+const TEMPLATE = `
+<style>
+  :host { display: block; position: relative; max-width: 700px; width: 100%; }
+  .frame {
+    position: relative; background: #111; border-radius: 4px; overflow: hidden; border: 3px solid #2a2218;
+    box-shadow: 0 0 60px rgba(0,0,0,0.8), inset 0 0 80px rgba(0,0,0,0.5); transition: box-shadow 0.15s ease;
+  }
+  .border {
+    position: absolute; inset: 0; border: 8px solid transparent; pointer-events: none; z-index: 5;
+    border-image: linear-gradient(135deg, #3d3020, #1a1510, #3d3020, #1a1510) 1;
+  }
+  .empty {
+    height: 450px; display: flex; align-items: center; justify-content: center;
+    color: #555; font-size: 0.9rem; letter-spacing: 0.15em; font-family: inherit;
+  }
+  .stage { position: relative; line-height: 0; }
+  .stage.editing { cursor: crosshair; }
+  .stage img { width: 100%; display: block; user-select: none; }
+  .vignette { position: absolute; inset: 0; pointer-events: none; z-index: 2; }
+  canvas { position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; z-index: 3; }
+  canvas.gaze { z-index: 1; }
+  canvas.gaze.over { z-index: 4; }
+  canvas.particles { z-index: 4; }
+  .marker {
+    position: absolute; width: 22px; height: 22px; margin-left: -11px; margin-top: -11px; border-radius: 50%;
+    border: 2px solid #cc8855; background: rgba(200,60,20,0.2); cursor: grab; z-index: 10; touch-action: none;
+    box-sizing: border-box; transition: border-color 0.15s, background 0.15s, box-shadow 0.15s;
+  }
+  .marker:hover { border-color: #ff6644; background: rgba(200,60,20,0.4); box-shadow: 0 0 12px rgba(200,60,20,0.5); }
+</style>
+<div class="frame" part="frame">
+  <div class="border"></div>
+  <div class="empty" part="empty"><slot name="empty">No portrait loaded</slot></div>
+  <div class="stage" hidden>
+    <img draggable="false" alt="Portrait" part="image" />
+    <canvas class="gaze"></canvas>
+    <div class="vignette"></div>
+    <div class="glow"></div>
+    <canvas class="particles"></canvas>
+    <div class="markers"></div>
+  </div>
+</div>
+`;
+
+const DRAG_THRESHOLD_PX = 4;
+
+export class LivingPortraitElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["src", "locked", "glow", "renderer", "keyboard"];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).innerHTML = TEMPLATE;
+    const $ = (selector) => this.shadowRoot.querySelector(selector);
+    this._frame = $(".frame");
+    this._empty = $(".empty");
+    this._stage = $(".stage");
+    this._img = $("img");
+    this._vignette = $(".vignette");
+    this._glow = $(".glow");
+    this._markers = $(".markers");
+    this._gazeCanvas = $(".gaze");
+    this._gaze = createGazeLayer(this._gazeCanvas);
+    this._gazeTarget = undefined; // undefined follows the pointer
+    this._particles = createParticleLayer($(".particles"));
+    this._layers = new Map(); // blend mode (or "full") → { canvas, layer }
+    this._webglFailed = false;
+    this._hover = null;
+    this._size = { width: 0, height: 0 };
+    this._engine = null;
+
+    this._img.addEventListener("load", () => this._measure());
+    this._stage.addEventListener("click", (e) => this._place(e));
+    this._onKeyDown = (e) => this._keyDown(e);
+    this._onKeyUp = (e) => this._keyUp(e);
+    this._onPointerMove = (e) => this._follow(e);
+    this._onPointerOut = (e) => !e.relatedTarget && this._gazeTarget === undefined && this._gaze.lookAt(null);
+    this._keyControls = new Map();
+    this._resize = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(() => this._measure());
+  }
+
+  connectedCallback() {
+    if (!this._engine) {
+      this._engine = createPortraitEngine({
+        storage: this.storage,
+        instanceId: this.getAttribute("instance-id") || undefined,
+        upload: this.uploadSettings,
+        onChange: (state, changed) => this._render(state, changed),
+        onMessage: (text) => this._emit("status", text),
+        onSceneSaved: (slot, profile) => this._emit("scenesaved", { slot, profile }),
+        onSceneLoaded: (slot, profile) => this._emit("sceneloaded", { slot, profile }),
+      });
+      this._engine.load();
+      if (this.hasAttribute("src")) this._engine.setImage(this.getAttribute("src"));
+      if (this.hasAttribute("locked")) this._engine.setLocked(true);
+      if (this.hasAttribute("glow")) this._engine.setHostGlow(this.getAttribute("glow"));
+    }
+    this._resize?.observe(this._img);
+    this._listen();
+    window.addEventListener("pointermove", this._onPointerMove);
+    document.addEventListener("pointerout", this._onPointerOut);
+  }
+
+  // A move disconnects and reconnects in one go, so the rest waits a microtask
+  disconnectedCallback() {
+    this._resize?.disconnect();
+    this._unlisten();
+    window.removeEventListener("pointermove", this._onPointerMove);
+    document.removeEventListener("pointerout", this._onPointerOut);
+    queueMicrotask(() => !this.isConnected && this._dispose());
+  }
+
+  _dispose() {
+    this._gaze.dispose();
+    this._gazeScene = null;
+    this._particles.dispose();
+    this._layers.forEach(({ layer, canvas }) => {
+      layer.dispose();
+      canvas.remove();
+    });
+    this._layers.clear();
+    this._engine?.dispose();
+    this._engine = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    const engine = this._engine;
+    if (!engine || oldValue === value) return;
+    const state = engine.getState();
+    if (name === "src" && value && value !== state.image) engine.setImage(value);
+    if (name === "locked" && (value !== null) !== state.locked) engine.setLocked(value !== null);
+    if (name === "glow") engine.setHostGlow(value);
+    if (name === "renderer") this._drawGlow(state, true);
+    if (name === "keyboard") {
+      this._unlisten();
+      this._listen();
+    }
+  }
+
+  // Scene and library API, matching the React component's ref handle
+  get eyeSockets() {
+    return this._engine?.getState().eyeSockets ?? [];
+  }
+  set eyeSockets(sockets) {
+    this._engine?.setSockets(sockets);
+  }
+  get locked() {
+    return this.hasAttribute("locked");
+  }
+  set locked(value) {
+    this.toggleAttribute("locked", !!value);
+  }
+  get library() {
+    return this._engine?.getState().library ?? { scenes: {}, hotkeys: {} };
+  }
+  upload(file) {
+    return this._engine.setImage(file);
+  }
+  saveSlot(slot) {
+    return this._engine.saveSlot(slot);
+  }
+  loadSlot(slot) {
+    return this._engine.loadSlot(slot);
+  }
+  saveScene(options) {
+    return this._engine.saveScene(options);
+  }
+  loadScene(id) {
+    return this._engine.loadScene(id);
+  }
+  deleteScene(id) {
+    return this._engine.deleteScene(id);
+  }
+  setGlow(value) {
+    this.setAttribute("glow", String(Math.max(0, Math.min(1, Number(value) || 0))));
+  }
+  playSequence() {
+    return this._engine.playSequence();
+  }
+  stopSequence() {
+    this._engine.stopSequence();
+  }
+  learnInput(action, slot) {
+    return this._engine.learnInput(action, slot);
+  }
+  get gaze() {
+    return this._engine?.getState().gaze ?? null;
+  }
+  setGaze(settings) {
+    return this._engine.setGaze(settings);
+  }
+  get particles() {
+    return this._engine?.getState().particles ?? null;
+  }
+  setParticles(settings) {
+    return this._engine.setParticles(settings);
+  }
+  // A point in normalised image coordinates, null for straight ahead, or
+  // nothing to follow the pointer again
+  lookAt(point) {
+    this._gazeTarget = point === undefined ? undefined : point && { x: point.x, y: point.y };
+    this._gaze.lookAt(this._gazeTarget ?? null);
+  }
+  getInputBindings() {
+    return this._engine.getState().bindings;
+  }
+  setInputBindings(bindings) {
+    return this._engine.setInputBindings(bindings);
+  }
+
+  // Download the library as a scene bundle; resolves to the JSON string
+  async exportProfiles() {
+    try {
+      const data = JSON.stringify(await this._engine.exportBundle(), null, 2);
+      downloadBlob(new Blob([data], { type: "application/json" }), "living-portrait-scenes.json");
+      this._emit("status", "Scenes exported");
+      return data;
+    } catch (e) {
+      this._emit("status", "Export failed");
+      console.error(e);
+    }
+  }
+
+  // Import a bundle from a File, JSON text or a parsed object. Every valid
+  // scene is added; `action: "overwrite"` replaces scenes with the same id.
+  async importProfiles(source, options) {
+    let data = source;
+    try {
+      if (source instanceof Blob) data = await source.text();
+      if (typeof data === "string") data = JSON.parse(data);
+    } catch (e) {
+      this._emit("status", "Invalid profile file");
+      return 0;
+    }
+    return this._engine.importBundle(data, options);
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  _listen() {
+    if (this.getAttribute("keyboard") === "false" || !this.isConnected) return;
+    window.addEventListener("keydown", this._onKeyDown);
+    window.addEventListener("keyup", this._onKeyUp);
+  }
+
+  _unlisten() {
+    window.removeEventListener("keydown", this._onKeyDown);
+    window.removeEventListener("keyup", this._onKeyUp);
+    this._keyControls.clear();
+  }
+
+  // Keys go through the trigger mapping; Delete removes the hovered marker
+  _keyDown(e) {
+    const engine = this._engine;
+    if (!engine) return;
+    if (engine.getState().learning && e.code === "Escape") {
+      engine.learnInput(null);
+      return;
+    }
+    if (!e.repeat && !e.ctrlKey && !e.metaKey && !e.altKey && e.key !== "Shift") {
+      const control = keyboardControl(e);
+      this._keyControls.set(e.code, control);
+      if (engine.handleInput({ source: "keyboard", control, value: 1, pressed: true })) {
+        e.preventDefault();
+        return;
+      }
+    }
+    if ((e.code === "Backspace" || e.code === "Delete") && this._hover !== null && !engine.getState().locked) {
+      engine.removeSocket(this._hover);
+      this._hover = null;
+    }
+  }
+
+  _keyUp(e) {
+    const control = this._keyControls.get(e.code);
+    if (!control) return;
+    this._keyControls.delete(e.code);
+    this._engine?.handleInput({ source: "keyboard", control, value: 0, pressed: false });
+  }
+
+  _point(e) {
+    const rect = this._stage.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+      y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height)),
+    };
+  }
+
+  // Click to place a socket; a drag that just ended isn't a click
+  _place(e) {
+    const engine = this._engine;
+    if (!engine || engine.getState().locked || this._dragged || e.target.classList.contains("marker")) return;
+    const { x, y } = this._point(e);
+    engine.addSocket(x, y);
+  }
+
+  _startDrag(e, index) {
+    if (this._engine.getState().locked) return;
+    e.stopPropagation();
+    e.preventDefault();
+    const marker = e.currentTarget;
+    marker.setPointerCapture?.(e.pointerId);
+    const start = { x: e.clientX, y: e.clientY };
+    this._dragged = false;
+    const move = (me) => {
+      if (!this._dragged && Math.hypot(me.clientX - start.x, me.clientY - start.y) < DRAG_THRESHOLD_PX) return;
+      this._dragged = true;
+      const { x, y } = this._point(me);
+      this._engine.moveSocket(index, x, y);
+    };
+    const up = () => {
+      marker.removeEventListener("pointermove", move);
+      marker.removeEventListener("pointerup", up);
+      marker.removeEventListener("pointercancel", up);
+      setTimeout(() => (this._dragged = false), 0);
+    };
+    marker.addEventListener("pointermove", move);
+    marker.addEventListener("pointerup", up);
+    marker.addEventListener("pointercancel", up);
+  }
+
+  _follow(e) {
+    if (this._gazeTarget !== undefined) return;
+    const rect = this._img.getBoundingClientRect();
+    if (rect.width && rect.height) this._gaze.lookAt({ x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height });
+  }
+
+  _measure() {
+    const width = this._img.clientWidth;
+    const height = this._img.clientHeight;
+    if (width === this._size.width && height === this._size.height) return;
+    this._size = { width, height };
+    if (this._engine) this._drawGlow(this._engine.getState());
+  }
+
+  _render(state, changed) {
+    const has = (field) => changed.includes(field);
+    if (has("image")) {
+      this._empty.hidden = !!state.image;
+      this._stage.hidden = !state.image;
+      if (state.image) this._img.src = state.image;
+      else this._img.removeAttribute("src");
+      this._emit("imagechange", state.image);
+    }
+    if (has("locked")) {
+      this._stage.classList.toggle("editing", !state.locked);
+      if (this.hasAttribute("locked") !== state.locked) this.toggleAttribute("locked", state.locked);
+      this._emit("lockchange", state.locked);
+    }
+    if (has("eyeSockets") || has("locked")) this._renderMarkers(state);
+    if (has("eyeSockets")) this._emit("socketschange", state.eyeSockets);
+    if (has("library")) this._emit("librarychange", state.library);
+
+    const { glowIntensity } = state.frame;
+    this._img.style.filter = this._gazeCanvas.style.filter = glowIntensity > 0 ? `brightness(${0.7 + 0.3 * glowIntensity})` : "brightness(0.85)";
+    this._vignette.style.background = `radial-gradient(ellipse at center, transparent 30%, rgba(0,0,0,${0.5 - 0.2 * glowIntensity}) 100%)`;
+    this._frame.style.boxShadow = `0 0 60px rgba(0,0,0,0.8), inset 0 0 80px rgba(0,0,0,0.5)${
+      glowIntensity > 0 ? `, 0 0 ${40 * glowIntensity}px rgba(200,40,0,${0.15 * glowIntensity})` : ""
+    }`;
+    this._drawGlow(state);
+  }
+
+  _renderMarkers(state) {
+    this._markers.replaceChildren();
+    this._hover = null;
+    if (state.locked) return;
+    state.eyeSockets.forEach((socket, index) => {
+      const marker = document.createElement("div");
+      marker.className = "marker";
+      marker.style.left = `${socket.x * 100}%`;
+      marker.style.top = `${socket.y * 100}%`;
+      if (socket.color) marker.style.borderColor = socket.color;
+      marker.title = "Drag to move · Delete/Backspace to remove";
+      marker.addEventListener("pointerenter", () => (this._hover = index));
+      marker.addEventListener("pointerleave", () => (this._hover = null));
+      marker.addEventListener("pointerdown", (e) => this._startDrag(e, index));
+      this._markers.appendChild(marker);
+    });
+  }
+
+  // One canvas on the GPU path, otherwise one per blend mode in use, as the
+  // React component does. Layers are rebuilt when the renderer changes.
+  _drawGlow(state, rebuild = false) {
+    const renderer = resolveGlowRenderer(this.getAttribute("renderer") || "auto", {
+      allowWebGL: !this._webglFailed,
+      shaped: state.eyeSockets.some((socket) => socket.shape),
+    });
+    const groups = renderer.composite === "full" ? new Map([["full", state.frame.eyeSockets]]) : groupByBlendMode(state.frame.eyeSockets);
+    if (rebuild || this._renderer !== renderer) {
+      this._layers.forEach(({ layer, canvas }) => {
+        layer.dispose();
+        canvas.remove();
+      });
+      this._layers.clear();
+      this._renderer = renderer;
+    }
+    this._layers.forEach(({ layer, canvas }, mode) => {
+      if (groups.has(mode)) return;
+      layer.dispose();
+      canvas.remove();
+      this._layers.delete(mode);
+    });
+    groups.forEach((eyeSockets, mode) => {
+      let entry = this._layers.get(mode);
+      if (!entry) {
+        const canvas = document.createElement("canvas");
+        canvas.style.mixBlendMode = mode === "full" ? "normal" : mode;
+        this._glow.appendChild(canvas);
+        const layer = createGlowLayer(canvas, renderer, {
+          onFallback: (err) => {
+            console.warn(`${renderer.name} glow renderer failed; using Canvas 2D`, err);
+            this._webglFailed = true;
+            queueMicrotask(() => this._engine && this._drawGlow(this._engine.getState(), true));
+          },
+        });
+        entry = { canvas, layer };
+        this._layers.set(mode, entry);
+      }
+      entry.layer.update({ eyeSockets, glowIntensity: state.frame.glowIntensity, ...this._size, image: this._img });
+    });
+    this._particles.update({ ...state.frame, particles: state.particles, ...this._size });
+    this._drawGaze(state);
+  }
+
+  // Pupils sit under the glow, or over it on the GPU path, which draws the
+  // portrait itself
+  _drawGaze(state) {
+    const scene = { eyeSockets: state.eyeSockets, gaze: state.gaze, size: this._size, renderer: this._renderer };
+    const last = this._gazeScene;
+    if (last && Object.keys(scene).every((key) => last[key] === scene[key])) return;
+    this._gazeScene = scene;
+    this._gazeCanvas.classList.toggle("over", this._renderer?.composite === "full");
+    this._gaze.update({ eyeSockets: state.eyeSockets, gaze: state.gaze, ...this._size });
+  }
+}
+
+if (typeof customElements !== "undefined" && !customElements.get("living-portrait")) {
+  customElements.define("living-portrait", LivingPortraitElement);
+}
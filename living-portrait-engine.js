@@ -0,0 +1,3687 @@
+// Living Portrait engine: the scene model, storage, glow rendering and input
+// handling, with no framework. living-portrait.jsx wraps it as a React
+// component and living-portrait-element.js as the <living-portrait> element.
+
+const DB_NAME = "LivingPortraitDB";
+const DB_VERSION = 4;
+const IMG_STORE = "images";
+const PROFILE_STORE = "profiles";
+
+// Database upgrades keyed by the version that introduces them. Each runs
+// inside the versionchange transaction, in order, from the stored version up.
+// An exception in a request callback would abort the whole transaction, so
+// the profile rewrites report failures and leave the data as it was.
+const DB_UPGRADES = {
+  2: (db) => {
+    if (!db.objectStoreNames.contains(IMG_STORE)) db.createObjectStore(IMG_STORE);
+    if (!db.objectStoreNames.contains(PROFILE_STORE)) db.createObjectStore(PROFILE_STORE);
+  },
+  // Versioned profile schema
+  3: (db, tx) => {
+    const store = tx.objectStore(PROFILE_STORE);
+    const req = store.get("allProfiles");
+    req.onsuccess = () => {
+      try {
+        if (req.result) store.put(migrateProfiles(req.result, 2), "allProfiles");
+      } catch (e) {
+        console.warn("Slot profiles could not be upgraded", e);
+      }
+    };
+  },
+  // Scene library. The library's first load clears the converted slot
+  // profiles.
+  4: (db, tx) => {
+    const store = tx.objectStore(PROFILE_STORE);
+    const req = store.get("allProfiles");
+    req.onsuccess = () => {
+      try {
+        if (req.result) store.put(libraryFromSlotProfiles(req.result).library, LIBRARY_KEY);
+      } catch (e) {
+        console.warn("Slot profiles could not be moved to the scene library", e);
+      }
+    };
+  },
+};
+
+// Storage adapters. Everything the component persists goes through one:
+//   get(store, key)         → the value, or undefined
+//   put(store, key, value)
+//   delete(store, key)
+//   keys(store)             → [key, …], without reading the values
+//   entries(store)          → [[key, value], …]
+//   size(store, key)        → bytes, or undefined; optional
+// Stores are IMG_STORE (image Blobs) and PROFILE_STORE (plain objects).
+
+// IndexedDB, one connection per adapter, reopened if the browser closes it
+// or another tab upgrades the database
+export function createIndexedDBStorage({ name = DB_NAME } = {}) {
+  let connection = null;
+  const open = () => {
+    if (!connection) {
+      connection = new Promise((resolve, reject) => {
+        const req = indexedDB.open(name, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+          const db = e.target.result;
+          for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) DB_UPGRADES[v]?.(db, e.target.transaction);
+        };
+        req.onsuccess = () => {
+          const db = req.result;
+          db.onversionchange = () => {
+            db.close();
+            connection = null;
+          };
+          db.onclose = () => (connection = null);
+          resolve(db);
+        };
+        req.onerror = () => {
+          connection = null;
+          reject(req.error);
+        };
+      });
+    }
+    return connection;
+  };
+
+  const write = async (store, apply) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, "readwrite");
+      apply(tx.objectStore(store));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  return {
+    async get(store, key) {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const req = db.transaction(store, "readonly").objectStore(store).get(key);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    },
+    put: (store, key, value) => write(store, (s) => s.put(value, key)),
+    delete: (store, key) => write(store, (s) => s.delete(key)),
+    async keys(store) {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const req = db.transaction(store, "readonly").objectStore(store).getAllKeys();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    },
+    async entries(store) {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const req = db.transaction(store, "readonly").objectStore(store).openCursor();
+        const entries = [];
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return resolve(entries);
+          entries.push([cursor.key, cursor.value]);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    },
+  };
+}
+
+// In memory, for tests and server rendering. Values are copied in and out,
+// as IndexedDB would.
+export function createMemoryStorage() {
+  const stores = new Map();
+  const copy = (value) => (value === undefined || typeof structuredClone !== "function" ? value : structuredClone(value));
+  const storeFor = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    get: async (store, key) => copy(storeFor(store).get(key)),
+    put: async (store, key, value) => void storeFor(store).set(key, copy(value)),
+    delete: async (store, key) => void storeFor(store).delete(key),
+    keys: async (store) => [...storeFor(store).keys()],
+    entries: async (store) => [...storeFor(store)].map(([key, value]) => [key, copy(value)]),
+  };
+}
+
+// A REST endpoint, e.g. for kiosks sharing one library:
+//   GET    {url}/{store}        → JSON array of keys
+//   GET    {url}/{store}/{key}  → the value; 404 when missing
+//   HEAD   {url}/{store}/{key}  → its Content-Length, for storage totals
+//   PUT    {url}/{store}/{key}  ← JSON, or the image bytes with their type
+//   DELETE {url}/{store}/{key}
+// Responses typed application/json are parsed; anything else reads as a Blob.
+export function createRestStorage({ url, headers = {}, fetch: fetchImpl = (...args) => fetch(...args) }) {
+  const base = url.replace(/\/+$/, "");
+  const path = (store, key) => `${base}/${encodeURIComponent(store)}${key === undefined ? "" : `/${encodeURIComponent(key)}`}`;
+  const send = async (method, store, key, init = {}) => {
+    const res = await fetchImpl(path(store, key), { method, ...init, headers: { ...headers, ...init.headers } });
+    if (res.ok || (res.status === 404 && method !== "PUT")) return res;
+    const err = new Error(`${method} ${store}/${key ?? ""} returned ${res.status}`);
+    if (res.status === 413 || res.status === 507) err.name = "QuotaExceededError";
+    throw err;
+  };
+  const read = (res) => (/json/.test(res.headers.get("Content-Type") || "") ? res.json() : res.blob());
+
+  const adapter = {
+    async get(store, key) {
+      const res = await send("GET", store, key);
+      return res.status === 404 ? undefined : read(res);
+    },
+    async put(store, key, value) {
+      const blob = value instanceof Blob;
+      await send("PUT", store, key, {
+        body: blob ? value : JSON.stringify(value),
+        headers: { "Content-Type": blob ? value.type || "application/octet-stream" : "application/json" },
+      });
+    },
+    async delete(store, key) {
+      await send("DELETE", store, key);
+    },
+    async keys(store) {
+      const res = await send("GET", store);
+      return res.status === 404 ? [] : res.json();
+    },
+    async entries(store) {
+      const keys = await adapter.keys(store);
+      const values = await Promise.all(keys.map((key) => adapter.get(store, key)));
+      return keys.map((key, i) => [key, values[i]]).filter(([, value]) => value !== undefined);
+    },
+    async size(store, key) {
+      const res = await send("HEAD", store, key);
+      const length = res.status === 404 ? null : res.headers.get("Content-Length");
+      return length === null ? undefined : Number(length);
+    },
+  };
+  return adapter;
+}
+
+// Portraits sharing one adapter keep apart by `instanceId`: their keys are
+// stored as "<instanceId>:<key>". The default namespace sees only unprefixed
+// keys, so pruning it never touches another portrait's images.
+const NAMESPACE_SEPARATOR = ":";
+
+function namespacedStorage(storage, namespace) {
+  const prefix = namespace ? `${namespace}${NAMESPACE_SEPARATOR}` : "";
+  const inNamespace = (key) => (prefix ? String(key).startsWith(prefix) : !String(key).includes(NAMESPACE_SEPARATOR));
+  return {
+    get: (store, key) => storage.get(store, prefix + key),
+    put: (store, key, value) => storage.put(store, prefix + key, value),
+    delete: (store, key) => storage.delete(store, prefix + key),
+    // Adapters written before keys() list them through entries()
+    keys: async (store) =>
+      (storage.keys ? await storage.keys(store) : (await storage.entries(store)).map(([key]) => key))
+        .filter(inNamespace)
+        .map((key) => String(key).slice(prefix.length)),
+    entries: async (store) =>
+      (await storage.entries(store)).filter(([key]) => inNamespace(key)).map(([key, value]) => [String(key).slice(prefix.length), value]),
+    size: storage.size && ((store, key) => storage.size(store, prefix + key)),
+  };
+}
+
+// Portraits without a `storage` prop share one IndexedDB connection
+let defaultStorage = null;
+function getDefaultStorage() {
+  if (!defaultStorage) defaultStorage = typeof indexedDB === "undefined" ? createMemoryStorage() : createIndexedDBStorage();
+  return defaultStorage;
+}
+
+// Images are stored as Blobs under a key derived from their content, so a
+// picture used by several scenes is stored once. Older entries hold data URLs
+// under per-scene keys; both read back as Blobs.
+const IMAGE_KEY_PREFIX = "img_";
+
+async function hashBlob(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (typeof crypto !== "undefined" && crypto.subtle) {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+    return `sha256-${[...digest].map((b) => b.toString(16).padStart(2, "0")).join("")}`;
+  }
+  // SubtleCrypto is missing outside secure contexts: two FNV-1a passes
+  let a = 0x811c9dc5;
+  let b = 0x01000193 ^ bytes.length;
+  for (let i = 0; i < bytes.length; i++) {
+    a = Math.imul(a ^ bytes[i], 0x01000193);
+    b = Math.imul(b ^ bytes[bytes.length - 1 - i], 0x01000193);
+  }
+  return `fnv-${(a >>> 0).toString(16).padStart(8, "0")}${(b >>> 0).toString(16).padStart(8, "0")}-${bytes.length}`;
+}
+
+function toBlob(value) {
+  if (value instanceof Blob) return Promise.resolve(value);
+  return fetch(value).then((res) => res.blob());
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Store an image (Blob, data URL or object URL) once; resolves to its key
+async function storeImage(storage, image) {
+  const blob = await toBlob(image);
+  const key = `${IMAGE_KEY_PREFIX}${await hashBlob(blob)}`;
+  if (!(await storage.get(IMG_STORE, key))) await storage.put(IMG_STORE, key, blob);
+  return key;
+}
+
+async function readImage(storage, key) {
+  const value = await storage.get(IMG_STORE, key);
+  return value ? toBlob(value) : null;
+}
+
+function storedImageSize(value) {
+  return value instanceof Blob ? value.size : Math.round((String(value).length * 3) / 4);
+}
+
+// Bytes an image takes, asking the adapter where it can tell without
+// sending the image (the REST adapter's HEAD); otherwise read it
+async function storedImageBytes(storage, key) {
+  const size = await storage.size?.(IMG_STORE, key);
+  if (size !== undefined) return size;
+  const value = await storage.get(IMG_STORE, key);
+  return value === undefined ? 0 : storedImageSize(value);
+}
+
+// Keys derived from image content always hold Blobs; only the older
+// per-scene keys can hold a data URL
+const isContentImageKey = (key) => /^img_(sha256|fnv)-/.test(key);
+
+async function sumImageBytes(storage, keys) {
+  let bytes = 0;
+  for (const key of keys) bytes += await storedImageBytes(storage, key);
+  return bytes;
+}
+
+// Image keys still in use: the library's scenes and any legacy slot profiles
+// that could not be converted, kept so their data isn't lost
+function referencedImageKeys(library, slotProfiles) {
+  return new Set([...Object.values(library?.scenes || {}), ...Object.values(slotProfiles || {})].map((profile) => profile?.imageKey).filter(Boolean));
+}
+
+// Delete an image once no scene or unconverted slot refers to it
+async function releaseImage(storage, key, library) {
+  const slotProfiles = await storage.get(PROFILE_STORE, "allProfiles");
+  if (!referencedImageKeys(library, slotProfiles).has(key)) await storage.delete(IMG_STORE, key);
+}
+
+// Delete the images no scene refers to; resolves to `{ count, bytes }` freed
+async function pruneImages(storage, library) {
+  const [keys, slotProfiles] = await Promise.all([storage.keys(IMG_STORE), storage.get(PROFILE_STORE, "allProfiles")]);
+  const used = referencedImageKeys(library, slotProfiles);
+  const unused = keys.filter((key) => !used.has(key));
+  const bytes = await sumImageBytes(storage, unused);
+  for (const key of unused) await storage.delete(IMG_STORE, key);
+  return { count: unused.length, bytes };
+}
+
+// Upload handling: downscale to `maxDimension` (0 keeps the size) and
+// re-encode to `format` ("original" keeps the file's own). The file is kept
+// untouched when neither applies, or when re-encoding alone would grow it.
+export const UPLOAD_FORMATS = ["original", "image/jpeg", "image/webp", "image/png"];
+export const UPLOAD_MAX_DIMENSIONS = [0, 4096, 2048, 1024];
+export const DEFAULT_UPLOAD = { maxDimension: 2048, format: "image/jpeg", quality: 0.9 };
+
+export async function prepareUpload(file, { maxDimension = 0, format = "original", quality = 0.9 } = {}) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const el = new Image();
+      el.onload = () => resolve(el);
+      el.onerror = () => reject(new Error("Not a readable image"));
+      el.src = url;
+    });
+    const scale = maxDimension ? Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight)) : 1;
+    const type = format === "original" ? file.type : format;
+    if (scale === 1 && type === file.type) return file;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext("2d");
+    // JPEG has no alpha; flatten onto the frame's black rather than leave it undefined
+    if (type === "image/jpeg") {
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+    if (!blob) return file;
+    return scale === 1 && blob.size >= file.size ? file : blob;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Flash text for a failed write; a full disk gets its own message
+export function storageErrorMessage(e, action = "Save") {
+  if (e?.name === "QuotaExceededError") return `${action} failed · storage is full`;
+  return `${action} failed${e?.message ? ` · ${e.message}` : ""}`;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
+
+export const HOTKEY_SLOTS = [1, 2, 3, 4, 5, 6];
+const LIBRARY_KEY = "library";
+const PROFILE_SCHEMA_VERSION = 3;
+
+// Profile migrations keyed by the schema version they upgrade from.
+// Profiles without a schemaVersion predate versioning and count as 1.
+const PROFILE_MIGRATIONS = {
+  1: (profile, slotKey) => {
+    const slot = profile.slot ?? slotKey;
+    return {
+      ...profile,
+      slot: typeof slot === "string" && /^\d+$/.test(slot) ? Number(slot) : slot,
+      locked: !!profile.locked,
+      schemaVersion: 2,
+    };
+  },
+  // Slot profiles become named library scenes; the slot number survives
+  // only as a hotkey assignment (see libraryFromSlotProfiles).
+  2: ({ slot, savedAt, ...profile }) => ({
+    ...profile,
+    id: `slot-${slot}`,
+    name: `Slot ${slot}`,
+    tags: [],
+    thumbnail: null,
+    createdAt: savedAt,
+    modifiedAt: savedAt,
+    schemaVersion: 3,
+  }),
+};
+
+// Bring a profile up to `toVersion` (the current schema by default). Profiles
+// from a newer or unknown schema (0, 1.5, "x") have no migration path and are
+// returned untouched for validateProfile to reject.
+function migrateProfile(profile, slotKey, toVersion = PROFILE_SCHEMA_VERSION) {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) return profile;
+  let migrated = profile;
+  for (let v = profile.schemaVersion ?? 1; v < toVersion; v++) {
+    if (!PROFILE_MIGRATIONS[v]) return profile;
+    migrated = PROFILE_MIGRATIONS[v](migrated, slotKey);
+  }
+  return migrated;
+}
+
+// A profile whose migration throws is reported and kept as it was
+export function migrateProfiles(profiles, toVersion) {
+  return Object.fromEntries(
+    Object.entries(profiles || {}).map(([key, profile]) => {
+      try {
+        return [key, migrateProfile(profile, key, toVersion)];
+      } catch (e) {
+        console.warn(`Profile ${key} could not be migrated`, e);
+        return [key, profile];
+      }
+    })
+  );
+}
+
+// Convert the six-slot `allProfiles` map into a library, keeping each slot's
+// number as the hotkey of the scene it became. `skipped` holds the profiles
+// that could not be converted, as they were.
+function libraryFromSlotProfiles(profiles) {
+  const library = { scenes: {}, hotkeys: {} };
+  const skipped = {};
+  Object.entries(profiles || {}).forEach(([key, profile]) => {
+    if (!profile) return;
+    try {
+      const slot = migrateProfile(profile, key, 2)?.slot;
+      const scene = migrateProfile(profile, key);
+      if (!scene?.id) throw new Error("No scene id after migration");
+      library.scenes[scene.id] = scene;
+      if (HOTKEY_SLOTS.includes(slot)) library.hotkeys[slot] = scene.id;
+    } catch (e) {
+      console.warn(`Slot profile ${key} was skipped`, e);
+      skipped[key] = profile;
+    }
+  });
+  return { library, skipped };
+}
+
+// Drop hotkeys that point at scenes which no longer exist
+function normaliseLibrary(library) {
+  const scenes = migrateProfiles(library?.scenes);
+  const hotkeys = {};
+  Object.entries(library?.hotkeys || {}).forEach(([key, id]) => {
+    if (scenes[id]) hotkeys[key] = id;
+  });
+  return { scenes, hotkeys };
+}
+
+function createSceneId() {
+  return `scene-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Small JPEG preview for the library browser
+function makeThumbnail(src, maxSize = 160) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/jpeg", 0.7));
+    };
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+async function makeBlobThumbnail(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    return await makeThumbnail(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Socket masks. A socket may carry a `shape` that its glow is stretched to
+// and cut by, with a soft edge `feather` wide (a fraction of image width):
+//   { type: "ellipse", rx, ry, rotation, feather }   radii in image widths, rotation in degrees
+//   { type: "polygon", points: [{ x, y }, …], feather }
+// Polygon points are offsets from the socket in normalised image
+// coordinates, so moving the socket moves its mask.
+export const SOCKET_SHAPES = ["ellipse", "polygon"];
+export const DEFAULT_FEATHER = 0.008;
+export const MAX_SHAPE_POINTS = 64;
+
+// A starting mask of `type`, about the size of a painted eye
+export function createSocketShape(type) {
+  if (type === "ellipse") return { type, rx: 0.04, ry: 0.018, rotation: 0, feather: DEFAULT_FEATHER };
+  if (type !== "polygon") return null;
+  const points = Array.from({ length: 8 }, (_, i) => {
+    const angle = (i / 8) * Math.PI * 2;
+    return { x: Math.round(400 * Math.cos(angle)) / 10000, y: Math.round(250 * Math.sin(angle)) / 10000 };
+  });
+  return { type, points, feather: DEFAULT_FEATHER };
+}
+
+function validateShape(shape) {
+  if (!shape || typeof shape !== "object") return ["shape is not an object"];
+  if (!SOCKET_SHAPES.includes(shape.type)) return [`unknown shape type "${shape.type}"`];
+  const errors = [];
+  const isNumber = (v, min, max) => typeof v === "number" && v >= min && v <= max;
+  if (shape.type === "ellipse") {
+    ["rx", "ry"].forEach((key) => {
+      if (!isNumber(shape[key], 0.001, 0.5)) errors.push(`shape ${key} must be from 0.001 to 0.5 of the image width`);
+    });
+    if (shape.rotation !== undefined && !isNumber(shape.rotation, -360, 360)) errors.push("shape rotation must be from -360 to 360 degrees");
+  } else if (!Array.isArray(shape.points) || shape.points.length < 3 || shape.points.length > MAX_SHAPE_POINTS) {
+    errors.push(`shape needs 3 to ${MAX_SHAPE_POINTS} points`);
+  } else if (shape.points.some((p) => !p || !isNumber(p.x, -1, 1) || !isNumber(p.y, -1, 1))) {
+    errors.push("shape points must be offsets from -1 to 1");
+  }
+  if (shape.feather !== undefined && !isNumber(shape.feather, 0, 0.1)) errors.push("shape feather must be from 0 to 0.1 of the image width");
+  return errors;
+}
+
+function validateSocket(socket) {
+  if (!socket || typeof socket !== "object") return ["is not an object"];
+  const errors = [];
+  ["x", "y"].forEach((k) => {
+    if (typeof socket[k] !== "number" || !(socket[k] >= 0 && socket[k] <= 1)) errors.push(`${k} must be a number from 0 to 1`);
+  });
+  if (socket.color !== undefined && !hexToRgb(socket.color)) errors.push("color must be #rrggbb");
+  if (socket.size !== undefined && !(typeof socket.size === "number" && socket.size > 0)) errors.push("size must be a positive number");
+  if (socket.balance !== undefined && !(typeof socket.balance === "number" && socket.balance >= 0 && socket.balance <= 1)) {
+    errors.push("balance must be a number from 0 to 1");
+  }
+  if (socket.blendMode !== undefined && !BLEND_MODES.includes(socket.blendMode)) errors.push(`unknown blendMode "${socket.blendMode}"`);
+  if (socket.gazeRange !== undefined && !(typeof socket.gazeRange === "number" && socket.gazeRange >= 0 && socket.gazeRange <= 0.2)) {
+    errors.push("gazeRange must be from 0 to 0.2 of the image width");
+  }
+  if (socket.shape !== undefined) errors.push(...validateShape(socket.shape));
+  return errors;
+}
+
+// Check a (migrated) profile against the current schema. Returns a list of
+// human-readable problems; an empty list means the profile is loadable.
+function validateProfile(profile) {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) return ["Profile is not an object"];
+  const errors = [];
+  const isDate = (value) => typeof value === "string" && !Number.isNaN(Date.parse(value));
+  const version = profile.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    errors.push(`Schema version ${JSON.stringify(version)} is not a whole number from 1 to ${PROFILE_SCHEMA_VERSION}`);
+  } else if (version > PROFILE_SCHEMA_VERSION) errors.push(`Schema version ${version} is newer than supported`);
+  if (typeof profile.id !== "string" || !profile.id) errors.push("Missing scene id");
+  if (typeof profile.name !== "string") errors.push("name must be text");
+  if (!Array.isArray(profile.tags) || profile.tags.some((t) => typeof t !== "string")) errors.push("tags must be a list of text");
+  if (typeof profile.imageKey !== "string" || !profile.imageKey) errors.push("Missing imageKey");
+  if (profile.thumbnail != null && !String(profile.thumbnail).startsWith("data:image/")) errors.push("thumbnail is not an image");
+  if (!Array.isArray(profile.eyeSockets)) errors.push("eyeSockets is not a list");
+  else profile.eyeSockets.forEach((socket, i) => validateSocket(socket).forEach((msg) => errors.push(`Socket ${i + 1} ${msg}`)));
+  if (profile.locked !== undefined && typeof profile.locked !== "boolean") errors.push("locked must be true or false");
+  if (profile.createdAt !== undefined && !isDate(profile.createdAt)) errors.push("createdAt is not a date");
+  if (profile.modifiedAt !== undefined && !isDate(profile.modifiedAt)) errors.push("modifiedAt is not a date");
+  if (profile.ambient != null) validateAmbient(profile.ambient).forEach((msg) => errors.push(`Ambient ${msg}`));
+  if (profile.gaze != null) validateGaze(profile.gaze).forEach((msg) => errors.push(`Gaze ${msg}`));
+  if (profile.particles != null) validateParticles(profile.particles).forEach((msg) => errors.push(`Particles ${msg}`));
+  if (profile.sequence != null) {
+    const socketCount = Array.isArray(profile.eyeSockets) ? profile.eyeSockets.length : 0;
+    validateSequence(profile.sequence, socketCount).forEach((msg) => errors.push(`Sequence ${msg}`));
+  }
+  return errors;
+}
+
+// Validate a map of scenes keyed by id. Returns `{ [key]: errors[] }` for the
+// scenes that have problems; an empty object means everything is loadable.
+export function validateProfiles(profiles) {
+  const report = {};
+  Object.entries(profiles || {}).forEach(([key, profile]) => {
+    const errors = validateProfile(profile);
+    if (profile?.id && profile.id !== key) errors.push(`Scene ${profile.id} is stored under key "${key}"`);
+    if (errors.length) report[key] = errors;
+  });
+  return report;
+}
+
+const BUNDLE_FORMAT = "living-portrait-bundle";
+const BUNDLE_VERSION = 2;
+
+// Build a self-contained scene bundle: every scene plus its image as a data
+// URL and the hotkey map, so an import on another machine needs nothing from
+// IndexedDB.
+async function buildSceneBundle(storage, library) {
+  const scenes = {};
+  for (const [id, profile] of Object.entries(library.scenes)) {
+    const image = await readImage(storage, profile.imageKey);
+    scenes[id] = { profile, image: image ? await blobToDataUrl(image) : null };
+  }
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), hotkeys: library.hotkeys, scenes };
+}
+
+// Turn a parsed import file into per-scene entries. Accepts version 2 scene
+// bundles, version 1 slot bundles and legacy profile-only slot exports (whose
+// images must already be stored locally). Throws if the file is none of
+// these. Profiles are migrated to the current schema, each entry carries its
+// validation `errors`, and `hotkey` is the key the scene was bound to.
+export function parseSceneBundle(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not a profile file");
+
+  let raw;
+  if (data.format === BUNDLE_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version ${data.version}`);
+    }
+    const entries = data.version >= 2 ? data.scenes : data.slots;
+    if (!entries || typeof entries !== "object") throw new Error("Bundle has no scenes");
+    const hotkeyOf = (key, id) =>
+      data.version >= 2 ? Number(Object.keys(data.hotkeys || {}).find((k) => data.hotkeys[k] === id)) || null : Number(key) || null;
+    raw = Object.entries(entries).map(([key, entry]) => [key, entry?.profile, entry?.image, true, hotkeyOf]);
+  } else {
+    raw = Object.entries(data).map(([key, profile]) => [key, profile, null, false, () => Number(key) || null]);
+  }
+
+  return raw.map(([key, rawProfile, image, bundled, hotkeyOf]) => {
+    const profile = migrateProfile(rawProfile, key);
+    const errors = validateProfile(profile);
+    if (bundled && (typeof image !== "string" || !image.startsWith("data:image/"))) errors.push("Missing image data");
+    const hotkey = hotkeyOf(key, profile?.id);
+    return { key, profile, image: image || null, legacy: !bundled, hotkey: HOTKEY_SLOTS.includes(hotkey) ? hotkey : null, errors };
+  });
+}
+
+// Bind a hotkey to a scene (or unbind with key = null). A scene holds at
+// most one hotkey, and binding a key moves it off any other scene.
+function withHotkey(hotkeys, key, id) {
+  const next = Object.fromEntries(Object.entries(hotkeys).filter(([, sceneId]) => sceneId !== id));
+  if (key) next[key] = id;
+  return next;
+}
+
+function hotkeyFor(library, id) {
+  return HOTKEY_SLOTS.find((k) => library.hotkeys[k] === id) ?? null;
+}
+
+// The scene library on a storage adapter: scenes, hotkeys, their images and
+// the input mappings and playlists kept beside them. Changes run one at a
+// time against the latest library, so rapid edits never overwrite each other,
+// and are published only once stored: a failed write rejects and leaves the
+// library as it was. `subscribe(listener)` hears every change. Without
+// `storage`, libraries share one IndexedDB connection; `instanceId`
+// namespaces the keys.
+export function createSceneLibrary({ storage: adapter, instanceId } = {}) {
+  const storage = namespacedStorage(adapter || getDefaultStorage(), instanceId);
+  let library = { scenes: {}, hotkeys: {} };
+  const listeners = new Set();
+  let writes = Promise.resolve();
+
+  const update = (change) => {
+    const write = writes.then(async () => {
+      const next = change(library);
+      await storage.put(PROFILE_STORE, LIBRARY_KEY, next);
+      library = next;
+      listeners.forEach((listener) => listener(next));
+      return next;
+    });
+    writes = write.catch(() => {});
+    return write;
+  };
+
+  // Delete images stored for a save that then failed, unless something else
+  // uses them once queued writes land. Only logged, so the save's own error
+  // is the one reported.
+  const discardImages = async (keys) => {
+    await writes;
+    for (const key of keys) await releaseImage(storage, key, library).catch((e) => console.warn(`Could not remove image ${key}`, e));
+  };
+
+  // Rewrite some scenes, leaving any the user changed meanwhile alone
+  const patchScenes = (patches, stillApplies) =>
+    update((lib) => ({
+      ...lib,
+      scenes: Object.fromEntries(
+        Object.entries(lib.scenes).map(([id, scene]) => [id, patches[id] && stillApplies(scene, id) ? { ...scene, ...patches[id] } : scene])
+      ),
+    }));
+
+  return {
+    get: () => library,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    update,
+    hotkeyFor: (id, lib = library) => hotkeyFor(lib, id),
+
+    // Read the stored library. Legacy slot profiles become scenes if the
+    // database upgrade didn't already convert them (other storage adapters
+    // have no upgrade), and are then deleted so their images can be
+    // reclaimed with the scenes. Those that can't be converted stay.
+    async load() {
+      let [saved, slots] = await Promise.all([storage.get(PROFILE_STORE, LIBRARY_KEY), storage.get(PROFILE_STORE, "allProfiles")]);
+      if (slots) {
+        const { library: converted, skipped } = libraryFromSlotProfiles(slots);
+        if (!saved) {
+          saved = converted;
+          await storage.put(PROFILE_STORE, LIBRARY_KEY, saved);
+        }
+        if (!Object.keys(skipped).length) await storage.delete(PROFILE_STORE, "allProfiles");
+        else if (Object.keys(skipped).length < Object.keys(slots).length) await storage.put(PROFILE_STORE, "allProfiles", skipped);
+      }
+      if (saved) {
+        library = normaliseLibrary(saved);
+        const report = validateProfiles(library.scenes);
+        if (Object.keys(report).length) console.warn("Invalid stored scenes", report);
+        listeners.forEach((listener) => listener(library));
+      }
+      return library;
+    },
+
+    // Scenes saved before images were stored as Blobs point at per-scene
+    // data URLs; move them to shared, content-keyed Blobs. Migrated slot
+    // scenes have no thumbnail yet; make them from the stored images.
+    async upgradeImages({ signal } = {}) {
+      const moved = {};
+      const stored = new Set(await storage.keys(IMG_STORE).catch(() => []));
+      for (const scene of Object.values(library.scenes)) {
+        if (isContentImageKey(scene.imageKey) || !stored.has(scene.imageKey)) continue;
+        const value = await storage.get(IMG_STORE, scene.imageKey).catch(() => null);
+        if (signal?.aborted) return;
+        if (typeof value === "string") moved[scene.id] = [scene.imageKey, await storeImage(storage, value)];
+      }
+      if (Object.keys(moved).length) {
+        const patches = Object.fromEntries(Object.entries(moved).map(([id, [, imageKey]]) => [id, { imageKey }]));
+        const lib = await patchScenes(patches, (scene, id) => scene.imageKey === moved[id][0]);
+        for (const [oldKey] of Object.values(moved)) await releaseImage(storage, oldKey, lib);
+      }
+
+      const thumbnails = {};
+      for (const scene of Object.values(library.scenes).filter((scene) => !scene.thumbnail)) {
+        const img = await readImage(storage, scene.imageKey).catch(() => null);
+        const thumbnail = img && (await makeBlobThumbnail(img));
+        if (signal?.aborted) return;
+        if (thumbnail) thumbnails[scene.id] = { thumbnail };
+      }
+      if (Object.keys(thumbnails).length) await patchScenes(thumbnails, (scene) => !scene.thumbnail);
+    },
+
+    // Store a scene: updates scene `id` when it exists, otherwise creates one.
+    // `image` is a Blob, data URL or object URL. `hotkey` also binds the
+    // scene to that key. Resolves to the saved profile.
+    async saveScene({
+      id = null,
+      image,
+      eyeSockets = [],
+      locked = false,
+      sequence = null,
+      ambient = null,
+      gaze = null,
+      particles = null,
+      name,
+      tags,
+      hotkey,
+    }) {
+      const existing = id ? library.scenes[id] : null;
+      const sceneId = existing ? existing.id : createSceneId();
+      const now = new Date().toISOString();
+      const blob = await toBlob(image);
+      const imageKey = await storeImage(storage, blob);
+      let profile, lib;
+      try {
+        profile = {
+          schemaVersion: PROFILE_SCHEMA_VERSION,
+          id: sceneId,
+          name: name ?? existing?.name ?? `Scene ${Object.keys(library.scenes).length + 1}`,
+          tags: tags ?? existing?.tags ?? [],
+          imageKey,
+          thumbnail: await makeBlobThumbnail(blob),
+          eyeSockets: [...eyeSockets],
+          ...(ambient && { ambient }),
+          ...(gaze && { gaze }),
+          ...(particles && { particles }),
+          locked,
+          ...(sequence && { sequence }),
+          createdAt: existing?.createdAt ?? now,
+          modifiedAt: now,
+        };
+        lib = await update((prev) => ({
+          scenes: { ...prev.scenes, [sceneId]: profile },
+          hotkeys: hotkey ? withHotkey(prev.hotkeys, hotkey, sceneId) : prev.hotkeys,
+        }));
+      } catch (e) {
+        await discardImages([imageKey]);
+        throw e;
+      }
+      if (existing && existing.imageKey !== imageKey) await releaseImage(storage, existing.imageKey, lib);
+      return profile;
+    },
+
+    // A scene brought up to the current schema, with its validation errors;
+    // null if there is no such scene
+    checkScene(id) {
+      if (!library.scenes[id]) return null;
+      const profile = migrateProfile(library.scenes[id]);
+      return { profile, errors: validateProfile(profile) };
+    },
+
+    readImage: (key) => readImage(storage, key),
+
+    assignHotkey: (key, id) => update((lib) => ({ ...lib, hotkeys: withHotkey(lib.hotkeys, key, id) })),
+
+    // Edit a scene's name or tags without loading it
+    updateScene: (id, patch) =>
+      update((lib) => ({
+        ...lib,
+        scenes: { ...lib.scenes, [id]: { ...lib.scenes[id], ...patch, modifiedAt: new Date().toISOString() } },
+      })),
+
+    // Remove a scene and its image. Images shared with another scene are kept.
+    async deleteScene(id) {
+      const scene = library.scenes[id];
+      if (!scene) return null;
+      const lib = await update((prev) => {
+        const scenes = { ...prev.scenes };
+        delete scenes[id];
+        return { scenes, hotkeys: withHotkey(prev.hotkeys, null, id) };
+      });
+      await releaseImage(storage, scene.imageKey, lib);
+      return scene;
+    },
+
+    exportBundle: () => buildSceneBundle(storage, library),
+
+    // Apply reviewed entries from parseSceneBundle. "overwrite" adds the scene
+    // under its own id, replacing any scene with that id; "merge" imports a
+    // copy under a new id; "skip" ignores it. Bundled hotkeys are applied only
+    // where the key is free. Resolves to the number imported.
+    async importScenes(entries) {
+      let imported = 0;
+      const scenes = {};
+      const hotkeyBindings = [];
+      const replacedImages = [];
+      const storedImages = [];
+      let next;
+      try {
+        for (const { profile, image, hotkey, action } of entries) {
+          if (action === "skip") continue;
+          const existing = action === "overwrite" ? library.scenes[profile.id] : null;
+          const id = action === "overwrite" ? profile.id : createSceneId();
+          const img = image ? await toBlob(image) : await readImage(storage, profile.imageKey);
+          const imageKey = img ? await storeImage(storage, img) : existing?.imageKey ?? profile.imageKey;
+          if (img) storedImages.push(imageKey);
+          scenes[id] = { ...profile, id, imageKey, thumbnail: profile.thumbnail ?? (img && (await makeBlobThumbnail(img))) };
+          if (existing && existing.imageKey !== imageKey) replacedImages.push(existing.imageKey);
+          if (hotkey) hotkeyBindings.push([hotkey, id]);
+          imported++;
+        }
+        next = await update((lib) => {
+          let hotkeys = lib.hotkeys;
+          hotkeyBindings.forEach(([key, id]) => {
+            if (!hotkeys[key] || hotkeys[key] === id) hotkeys = withHotkey(hotkeys, key, id);
+          });
+          return { scenes: { ...lib.scenes, ...scenes }, hotkeys };
+        });
+      } catch (e) {
+        await discardImages(storedImages);
+        throw e;
+      }
+      for (const key of replacedImages) await releaseImage(storage, key, next);
+      return imported;
+    },
+
+    // Stored images: how many and how large, and how many no scene uses
+    async imageUsage() {
+      const [keys, slotProfiles] = await Promise.all([storage.keys(IMG_STORE), storage.get(PROFILE_STORE, "allProfiles")]);
+      const used = referencedImageKeys(library, slotProfiles);
+      const unused = keys.filter((key) => !used.has(key));
+      const unusedBytes = await sumImageBytes(storage, unused);
+      const usedBytes = await sumImageBytes(storage, keys.filter((key) => used.has(key)));
+      return { images: keys.length, imageBytes: usedBytes + unusedBytes, unused: unused.length, unusedBytes };
+    },
+
+    pruneImages: () => pruneImages(storage, library),
+
+    // Trigger mappings, or null when none are saved or they are invalid
+    async loadInputMappings() {
+      const saved = await storage.get(PROFILE_STORE, INPUT_BINDINGS_KEY);
+      if (!saved) return null;
+      const errors = validateInputBindings(saved.bindings);
+      if (errors.length) {
+        console.warn("Ignoring invalid input mappings", errors);
+        return null;
+      }
+      return { bindings: saved.bindings, midi: !!saved.midi };
+    },
+
+    saveInputMappings: (bindings, midi) => storage.put(PROFILE_STORE, INPUT_BINDINGS_KEY, { bindings, midi }),
+
+    // Presentation playlists; empty when none are saved or they are invalid
+    async loadPlaylists() {
+      const saved = await storage.get(PROFILE_STORE, PLAYLISTS_KEY);
+      if (!saved) return [];
+      const errors = validatePlaylists(saved);
+      if (errors.length) {
+        console.warn("Ignoring invalid playlists", errors);
+        return [];
+      }
+      return saved;
+    },
+
+    savePlaylists: (playlists) => storage.put(PROFILE_STORE, PLAYLISTS_KEY, playlists),
+  };
+}
+
+// Audio-reactive glow driver. Analyses a microphone, <audio>/<video> element,
+// MediaStream or any AudioNode and smooths its loudness into a 0–1 level.
+// Attack/release are time constants in ms; floor/ceiling map RMS onto 0–1.
+export function createAudioGlowDriver({ audioContext, attack = 40, release = 260, floor = 0.02, ceiling = 0.3, fftSize = 1024 } = {}) {
+  const ctx = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+  const ownsContext = !audioContext;
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = fftSize;
+  const buffer = new Float32Array(analyser.fftSize);
+  const elementSources = new WeakMap();
+  const opts = { attack, release, floor, ceiling };
+
+  let source = null;
+  let ownedStream = null;
+  let level = 0;
+  let clock = 0;
+  let pulseLevel = 0;
+  let pulseUntil = 0;
+  let frame = null;
+
+  const disconnect = () => {
+    if (source) {
+      try {
+        source.disconnect(analyser);
+      } catch (e) {
+        // Already disconnected
+      }
+      source = null;
+    }
+    if (ownedStream) {
+      ownedStream.getTracks().forEach((t) => t.stop());
+      ownedStream = null;
+    }
+    if (typeof window !== "undefined" && window.speechSynthesis) window.speechSynthesis.cancel();
+  };
+
+  const attach = async (node) => {
+    disconnect();
+    node.connect(analyser);
+    source = node;
+    if (ctx.state === "suspended") await ctx.resume();
+    return node;
+  };
+
+  // Live microphone (never routed to the speakers to avoid feedback). If it
+  // can't be wired up, the tracks are stopped so the browser stops recording.
+  const connectMicrophone = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    try {
+      await attach(ctx.createMediaStreamSource(stream));
+    } catch (e) {
+      disconnect();
+      stream.getTracks().forEach((t) => t.stop());
+      throw e;
+    }
+    ownedStream = stream;
+  };
+
+  // Arbitrary MediaStream, e.g. WebRTC or a TTS engine's output stream
+  const connectStream = (stream) => attach(ctx.createMediaStreamSource(stream));
+
+  // <audio>/<video> element. An element can only be wrapped once per context,
+  // and once wrapped it must be routed to the destination to stay audible.
+  const connectMediaElement = (el) => {
+    let node = elementSources.get(el);
+    if (!node) {
+      node = ctx.createMediaElementSource(el);
+      node.connect(ctx.destination);
+      elementSources.set(el, node);
+    }
+    return attach(node);
+  };
+
+  // Any AudioNode created on `driver.context` — e.g. an OscillatorNode in tests
+  const connectNode = (node) => attach(node);
+
+  // Momentary level held for `ms` of driver time, then released
+  const pulse = (amount = 1, ms = 140) => {
+    pulseLevel = Math.max(0, Math.min(1, amount));
+    pulseUntil = clock + ms;
+  };
+
+  // Browser speech synthesis doesn't pass through Web Audio, so the glow is
+  // driven from word-boundary events instead of the analyser.
+  const speak = (text, { voice, rate = 1, pitch = 1 } = {}) =>
+    new Promise((resolve, reject) => {
+      if (!window.speechSynthesis) {
+        reject(new Error("Speech synthesis not supported"));
+        return;
+      }
+      disconnect();
+      const utterance = new SpeechSynthesisUtterance(text);
+      if (voice) utterance.voice = voice;
+      utterance.rate = rate;
+      utterance.pitch = pitch;
+      utterance.onstart = () => pulse(0.8);
+      utterance.onboundary = () => pulse(1);
+      utterance.onend = () => resolve();
+      utterance.onerror = (e) => reject(e.error || e);
+      window.speechSynthesis.speak(utterance);
+    });
+
+  const readLoudness = () => {
+    if (!source) return 0;
+    analyser.getFloatTimeDomainData(buffer);
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+    const rms = Math.sqrt(sum / buffer.length);
+    return Math.max(0, Math.min(1, (rms - opts.floor) / Math.max(1e-6, opts.ceiling - opts.floor)));
+  };
+
+  // Advance the smoother by `dt` ms and return the new level
+  const sample = (dt = 1000 / 60) => {
+    clock += dt;
+    const target = Math.max(readLoudness(), clock < pulseUntil ? pulseLevel : 0);
+    const tau = Math.max(1, target > level ? opts.attack : opts.release);
+    level += (target - level) * (1 - Math.exp(-dt / tau));
+    if (level < 0.001) level = 0;
+    return level;
+  };
+
+  // Sample once per animation frame, reporting only meaningful changes
+  const start = (onLevel) => {
+    stop();
+    let last = performance.now();
+    let reported = -1;
+    const tick = (now) => {
+      const value = sample(now - last);
+      last = now;
+      if (Math.abs(value - reported) > 0.002) {
+        reported = value;
+        onLevel(value);
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+  };
+
+  const stop = () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+  };
+
+  const close = async () => {
+    stop();
+    disconnect();
+    if (ownsContext && ctx.state !== "closed") await ctx.close();
+  };
+
+  return {
+    context: ctx,
+    analyser,
+    connectMicrophone,
+    connectStream,
+    connectMediaElement,
+    connectNode,
+    disconnect,
+    pulse,
+    speak,
+    sample,
+    start,
+    stop,
+    close,
+    configure: (next) => Object.assign(opts, next),
+    getLevel: () => level,
+  };
+}
+
+// Keyframed glow sequences. A sequence has a `duration` in ms, a playback
+// `mode` and `tracks`: "all" drives every socket, and a track keyed by socket
+// index overrides it for that socket. Keyframes are `{ t, value, ease }`,
+// where `ease` shapes the segment from that keyframe to the next.
+export const SEQUENCE_MODES = ["loop", "once", "pingpong"];
+export const EASINGS = {
+  linear: (p) => p,
+  easeIn: (p) => p * p,
+  easeOut: (p) => 1 - (1 - p) * (1 - p),
+  easeInOut: (p) => (p < 0.5 ? 2 * p * p : 1 - 2 * (1 - p) * (1 - p)),
+  step: () => 0,
+};
+
+export function createDefaultSequence() {
+  return {
+    duration: 4000,
+    mode: "loop",
+    autoplay: false,
+    tracks: {
+      all: [
+        { t: 0, value: 0, ease: "easeInOut" },
+        { t: 2000, value: 1, ease: "easeInOut" },
+        { t: 4000, value: 0, ease: "linear" },
+      ],
+    },
+  };
+}
+
+// Map elapsed playback time onto the sequence's own 0–duration timeline
+function sequenceLocalTime(sequence, elapsed) {
+  const d = sequence.duration;
+  if (!(d > 0)) return 0;
+  const t = Math.max(0, elapsed);
+  if (sequence.mode === "once") return Math.min(t, d);
+  if (sequence.mode === "pingpong") {
+    const phase = t % (2 * d);
+    return phase <= d ? phase : 2 * d - phase;
+  }
+  return t % d;
+}
+
+// Value of one track at local time `t`, or null for an empty track
+export function evaluateTrack(keyframes, t) {
+  if (!keyframes?.length) return null;
+  const frames = [...keyframes].sort((a, b) => a.t - b.t);
+  if (t <= frames[0].t) return frames[0].value;
+  for (let i = 0; i < frames.length - 1; i++) {
+    const from = frames[i];
+    const to = frames[i + 1];
+    if (t < to.t) {
+      const p = (t - from.t) / (to.t - from.t);
+      return from.value + (to.value - from.value) * (EASINGS[from.ease] || EASINGS.linear)(p);
+    }
+  }
+  return frames[frames.length - 1].value;
+}
+
+// Evaluate a sequence `elapsed` ms after playback started. Pure and
+// deterministic: the same inputs always give the same frame.
+export function evaluateSequence(sequence, elapsed) {
+  const time = sequenceLocalTime(sequence, elapsed);
+  const sockets = {};
+  Object.entries(sequence.tracks || {}).forEach(([key, keyframes]) => {
+    if (key === "all") return;
+    const value = evaluateTrack(keyframes, time);
+    if (value !== null) sockets[key] = value;
+  });
+  return {
+    time,
+    all: evaluateTrack(sequence.tracks?.all, time) ?? 0,
+    sockets,
+    done: sequence.mode === "once" && elapsed >= sequence.duration,
+  };
+}
+
+// Drop a deleted socket's track and shift the tracks above it down by one
+export function removeSocketTrack(sequence, idx) {
+  const tracks = {};
+  Object.entries(sequence.tracks).forEach(([key, keyframes]) => {
+    if (key === "all") tracks.all = keyframes;
+    else if (Number(key) < idx) tracks[key] = keyframes;
+    else if (Number(key) > idx) tracks[Number(key) - 1] = keyframes;
+  });
+  return { ...sequence, tracks };
+}
+
+export function validateSequence(sequence, socketCount) {
+  if (!sequence || typeof sequence !== "object") return ["is not an object"];
+  const errors = [];
+  if (!(typeof sequence.duration === "number" && sequence.duration > 0)) errors.push("duration must be a positive number");
+  if (!SEQUENCE_MODES.includes(sequence.mode)) errors.push(`unknown mode "${sequence.mode}"`);
+  if (sequence.autoplay !== undefined && typeof sequence.autoplay !== "boolean") errors.push("autoplay must be true or false");
+  if (!sequence.tracks || typeof sequence.tracks !== "object") return [...errors, "tracks is not an object"];
+  Object.entries(sequence.tracks).forEach(([key, keyframes]) => {
+    const label = key === "all" ? "track all" : `track ${key}`;
+    if (key !== "all" && !(/^\d+$/.test(key) && Number(key) < socketCount)) errors.push(`${label} has no matching socket`);
+    if (!Array.isArray(keyframes)) {
+      errors.push(`${label} is not a list`);
+      return;
+    }
+    keyframes.forEach((k, i) => {
+      if (!k || typeof k.t !== "number" || k.t < 0 || k.t > sequence.duration) errors.push(`${label} keyframe ${i + 1} time is outside the sequence`);
+      if (!k || typeof k.value !== "number" || k.value < 0 || k.value > 1) errors.push(`${label} keyframe ${i + 1} value must be from 0 to 1`);
+      if (k?.ease !== undefined && !EASINGS[k.ease]) errors.push(`${label} keyframe ${i + 1} has unknown ease "${k.ease}"`);
+    });
+  });
+  return errors;
+}
+
+// Procedural idle effects. Breathing and flicker raise every socket a little;
+// glances flare one socket and blinks drop all glow to zero for a moment.
+// Everything derives from `seed` and the time, so a frame can be reproduced.
+export const DEFAULT_AMBIENT = {
+  enabled: true,
+  seed: 1,
+  breathing: 0.12, // peak level added by the pulse
+  breathingPeriod: 5000, // ms per breath
+  flicker: 0.06, // peak level added by candle noise
+  glances: 2, // per minute
+  glanceStrength: 0.6,
+  blinks: 3, // per minute
+};
+const AMBIENT_WINDOW = 1000; // each window holds at most one glance and one blink
+const GLANCE_MS = 700;
+const BLINK_MS = 140;
+const FLICKER_HZ = 7;
+const AMBIENT_GLANCE = 1;
+const AMBIENT_BLINK = 2;
+const AMBIENT_FLICKER = 16; // + socket index
+
+// Seedable PRNG (mulberry32); returns floats in [0, 1)
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Independent random stream for one (seed, channel, index) cell
+function cellRandom(seed, channel, index) {
+  return createRandom(Math.imul(seed, 73856093) ^ Math.imul(channel, 19349663) ^ Math.imul(index, 83492791));
+}
+
+// Smooth 1D value noise in [0, 1]
+function valueNoise(seed, channel, x) {
+  const i = Math.floor(x);
+  const f = x - i;
+  const a = cellRandom(seed, channel, i)();
+  const b = cellRandom(seed, channel, i + 1)();
+  return a + (b - a) * f * f * (3 - 2 * f);
+}
+
+// The event (if any) active at `t` on a channel firing `perMinute` times on average
+function ambientEvent(seed, channel, perMinute, duration, t) {
+  if (!(perMinute > 0)) return null;
+  const window = Math.floor(t / AMBIENT_WINDOW);
+  for (const w of [window, window - 1]) {
+    const rand = cellRandom(seed, channel, w);
+    if (rand() >= (perMinute * AMBIENT_WINDOW) / 60000) continue;
+    const start = (w + rand()) * AMBIENT_WINDOW;
+    if (t >= start && t < start + duration) return { progress: (t - start) / duration, pick: rand() };
+  }
+  return null;
+}
+
+// Ambient levels `t` ms after the effects started: a `0–1` level per socket
+// and a `blink` factor (0 during a blink) applied to the combined glow
+export function evaluateAmbient(settings, socketCount, t) {
+  const s = { ...DEFAULT_AMBIENT, ...settings };
+  const breath = s.breathing * (0.5 - 0.5 * Math.cos((2 * Math.PI * t) / s.breathingPeriod));
+  const glance = ambientEvent(s.seed, AMBIENT_GLANCE, s.glances, GLANCE_MS, t);
+  const blink = ambientEvent(s.seed, AMBIENT_BLINK, s.blinks, BLINK_MS, t);
+  const glanceSocket = glance ? Math.floor(glance.pick * socketCount) : -1;
+  const sockets = Array.from({ length: socketCount }, (_, i) => {
+    const flicker = s.flicker * valueNoise(s.seed, AMBIENT_FLICKER + i, (t / 1000) * FLICKER_HZ);
+    const flare = i === glanceSocket ? s.glanceStrength * Math.sin(Math.PI * glance.progress) : 0;
+    return Math.min(1, breath + flicker + flare);
+  });
+  return { sockets, blink: blink ? 0 : 1 };
+}
+
+export function validateAmbient(ambient) {
+  if (!ambient || typeof ambient !== "object") return ["is not an object"];
+  const errors = [];
+  const isLevel = (v) => typeof v === "number" && v >= 0 && v <= 1;
+  if (ambient.enabled !== undefined && typeof ambient.enabled !== "boolean") errors.push("enabled must be true or false");
+  if (ambient.seed !== undefined && !Number.isInteger(ambient.seed)) errors.push("seed must be an integer");
+  ["breathing", "flicker", "glanceStrength"].forEach((key) => {
+    if (ambient[key] !== undefined && !isLevel(ambient[key])) errors.push(`${key} must be from 0 to 1`);
+  });
+  if (ambient.breathingPeriod !== undefined && !(typeof ambient.breathingPeriod === "number" && ambient.breathingPeriod > 0))
+    errors.push("breathingPeriod must be a positive number");
+  ["glances", "blinks"].forEach((key) => {
+    if (ambient[key] !== undefined && !(typeof ambient[key] === "number" && ambient[key] >= 0 && ambient[key] <= 60))
+      errors.push(`${key} must be from 0 to 60 per minute`);
+  });
+  return errors;
+}
+
+// Gaze: pupils drawn in each socket that turn towards a target, the viewer's
+// pointer or a point set by the host. A pupil eases towards its goal over
+// `smoothing` ms, saccades add small seeded jumps, and it never strays more
+// than `range` (or the socket's own `gazeRange`) from the socket's centre.
+export const DEFAULT_GAZE = {
+  enabled: true,
+  seed: 1,
+  size: 0.012, // pupil radius as a fraction of image width
+  range: 0.01, // furthest a pupil travels, as a fraction of image width
+  color: "#140a06",
+  smoothing: 180, // ms time constant for following the target
+  saccades: 24, // per minute
+  jitter: 0.3, // saccade size as a fraction of the range
+};
+const GAZE_REACH = 0.35; // target distance (image widths) at which pupils are ~70% of the way out
+const SACCADE_WINDOW = 250; // each window holds at most one saccade
+const SACCADE_LOOKBACK = 40; // windows searched back for the latest one
+const GAZE_SACCADE = 3;
+
+// Offset of the latest saccade at `t`, in units of the range
+function saccadeAt({ seed, saccades, jitter }, t) {
+  if (!(saccades > 0) || !(jitter > 0)) return { x: 0, y: 0 };
+  const chance = (saccades * SACCADE_WINDOW) / 60000;
+  const window = Math.floor(t / SACCADE_WINDOW);
+  for (let w = window; w > window - SACCADE_LOOKBACK; w--) {
+    const rand = cellRandom(seed, GAZE_SACCADE, w);
+    if (rand() >= chance || (w + rand()) * SACCADE_WINDOW > t) continue;
+    const angle = 2 * Math.PI * rand();
+    const size = jitter * Math.sqrt(rand());
+    return { x: Math.cos(angle) * size, y: Math.sin(angle) * size };
+  }
+  return { x: 0, y: 0 };
+}
+
+// Where each pupil settles looking at `target` (normalised image coordinates,
+// null for straight ahead), as offsets in image widths. `aspect` is the
+// image's height over its width.
+export function gazeGoals(eyeSockets, gaze, target, aspect = 1) {
+  const s = { ...DEFAULT_GAZE, ...gaze };
+  return eyeSockets.map((socket) => {
+    if (!target) return { x: 0, y: 0 };
+    const dx = target.x - socket.x;
+    const dy = (target.y - socket.y) * aspect;
+    const scale = (socket.gazeRange ?? s.range) / Math.hypot(dx, dy, GAZE_REACH);
+    return { x: dx * scale, y: dy * scale };
+  });
+}
+
+// Add the saccade at `t` to each (smoothed) goal and hold it within the range
+export function pupilOffsets(eyeSockets, gaze, goals, t) {
+  const s = { ...DEFAULT_GAZE, ...gaze };
+  const saccade = saccadeAt(s, t);
+  return eyeSockets.map((socket, i) => {
+    const range = socket.gazeRange ?? s.range;
+    const x = (goals[i]?.x ?? 0) + saccade.x * range;
+    const y = (goals[i]?.y ?? 0) + saccade.y * range;
+    const over = Math.hypot(x, y) / range;
+    return over > 1 ? { x: x / over, y: y / over } : { x, y };
+  });
+}
+
+// Soft-edged pupils, scaled with each socket's glow `size`
+export function drawPupils(ctx, eyeSockets, pupils, gaze, width, height) {
+  const s = { ...DEFAULT_GAZE, ...gaze };
+  const [r, g, b] = hexToRgb(s.color) || hexToRgb(DEFAULT_GAZE.color);
+  eyeSockets.forEach((socket, i) => {
+    const px = (socket.x + (pupils?.[i]?.x ?? 0)) * width;
+    const py = socket.y * height + (pupils?.[i]?.y ?? 0) * width;
+    const radius = s.size * width * (socket.size ?? 1);
+    if (!(radius > 0)) return;
+    const grad = ctx.createRadialGradient(px, py, 0, px, py, radius);
+    grad.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.95)`);
+    grad.addColorStop(0.6, `rgba(${r}, ${g}, ${b}, 0.85)`);
+    grad.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    ctx.arc(px, py, radius, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+// Pupils on a 2D canvas. `update({ eyeSockets, gaze, width, height })` sets
+// the scene and `lookAt(target)` the point to follow; the pupils then move on
+// their own animation frames. `pupils()` returns the offsets last drawn.
+export function createGazeLayer(canvas) {
+  const ctx = canvas.getContext("2d");
+  let scene = { eyeSockets: [], gaze: null, width: 0, height: 0 };
+  let target = null;
+  let smoothed = [];
+  let pupils = [];
+  let raf = null;
+  let start = null;
+  let last = null;
+
+  const stop = () => {
+    if (raf) cancelAnimationFrame(raf);
+    raf = null;
+  };
+  const draw = (now) => {
+    const { eyeSockets, gaze, width, height } = scene;
+    const s = { ...DEFAULT_GAZE, ...gaze };
+    start ??= now;
+    const k = last === null || !(s.smoothing > 0) ? 1 : 1 - Math.exp(-(now - last) / s.smoothing);
+    last = now;
+    smoothed = gazeGoals(eyeSockets, s, target, height / width).map((goal, i) => {
+      const prev = smoothed[i] || goal;
+      return { x: prev.x + (goal.x - prev.x) * k, y: prev.y + (goal.y - prev.y) * k };
+    });
+    pupils = pupilOffsets(eyeSockets, s, smoothed, now - start);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+    drawPupils(ctx, eyeSockets, pupils, s, width, height);
+  };
+  const tick = (now) => {
+    draw(now);
+    raf = requestAnimationFrame(tick);
+  };
+
+  return {
+    update(next) {
+      scene = next;
+      if (smoothed.length !== next.eyeSockets.length) smoothed = [];
+      stop();
+      if (!scene.gaze?.enabled || !scene.width || !scene.height) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        pupils = [];
+        return;
+      }
+      draw(performance.now());
+      raf = requestAnimationFrame(tick);
+    },
+    lookAt(point) {
+      target = point && Number.isFinite(point.x) && Number.isFinite(point.y) ? { x: point.x, y: point.y } : null;
+    },
+    pupils: () => pupils,
+    dispose: stop,
+  };
+}
+
+export function validateGaze(gaze) {
+  if (!gaze || typeof gaze !== "object") return ["is not an object"];
+  const errors = [];
+  const isNumber = (v, min, max) => typeof v === "number" && v >= min && v <= max;
+  if (gaze.enabled !== undefined && typeof gaze.enabled !== "boolean") errors.push("enabled must be true or false");
+  if (gaze.seed !== undefined && !Number.isInteger(gaze.seed)) errors.push("seed must be an integer");
+  ["size", "range"].forEach((key) => {
+    if (gaze[key] !== undefined && !isNumber(gaze[key], 0, 0.2)) errors.push(`${key} must be from 0 to 0.2 of the image width`);
+  });
+  if (gaze.color !== undefined && !hexToRgb(gaze.color)) errors.push("color must be #rrggbb");
+  if (gaze.smoothing !== undefined && !isNumber(gaze.smoothing, 0, 10000)) errors.push("smoothing must be from 0 to 10000 ms");
+  if (gaze.saccades !== undefined && !isNumber(gaze.saccades, 0, 240)) errors.push("saccades must be from 0 to 240 per minute");
+  if (gaze.jitter !== undefined && !isNumber(gaze.jitter, 0, 1)) errors.push("jitter must be from 0 to 1");
+  return errors;
+}
+
+// Particles: embers, smoke or tears emitted from the sockets, more of them the
+// brighter each socket glows. The simulation runs in fixed steps from a seed,
+// so the same settings and glow always give the same frames. Positions are
+// offsets from the emitting socket in image widths; speeds are image widths
+// per second and `gravity` and `turbulence` widths per second², negative
+// gravity rising. `budget` caps the particles alive at once.
+export const PARTICLE_PRESETS = {
+  embers: { rate: 12, life: 2200, speed: 0.05, spread: 0.5, gravity: -0.03, drag: 0.8, turbulence: 0.05, size: 0.004, color: "#ff8a2a" },
+  smoke: { rate: 5, life: 4000, speed: 0.02, spread: 0.5, gravity: -0.015, drag: 1.2, turbulence: 0.02, size: 0.012, color: "#9a928a" },
+  tears: { rate: 0.8, life: 6000, speed: 0.004, spread: 0.15, gravity: 0.06, drag: 1.5, turbulence: 0.003, size: 0.004, color: "#c8dcea" },
+};
+export const DEFAULT_PARTICLES = { enabled: true, preset: "embers", seed: 1, budget: 240, ...PARTICLE_PRESETS.embers };
+export const PARTICLE_STEP = 1000 / 60;
+export const MAX_PARTICLE_BUDGET = 2000;
+const MAX_CATCH_UP_STEPS = 6; // per animation frame; a stalled tab skips ahead instead of spiralling
+const EMITTER_RADIUS = 0.02; // image widths, scaled by the socket's size
+const TEAR_TRAIL = 0.08; // longest wet streak behind a tear, in image widths
+
+// A seeded simulation. `step(eyeSockets, glowIntensity)` advances one
+// PARTICLE_STEP, emitting in proportion to each socket's level (its `gain`
+// times the intensity, as from socketsWithGain). `particles()` is the live list.
+export function createParticleSystem(settings) {
+  const s = { ...DEFAULT_PARTICLES, ...settings };
+  const random = createRandom(s.seed);
+  const dt = PARTICLE_STEP / 1000;
+  const damping = Math.exp(-s.drag * dt);
+  const down = s.gravity > 0;
+  let live = [];
+  let owed = [];
+  let steps = 0;
+
+  const spawn = (socket) => {
+    const scale = socket.size ?? 1;
+    const r = EMITTER_RADIUS * scale;
+    const angle = (down ? Math.PI / 2 : -Math.PI / 2) + (random() - 0.5) * s.spread * Math.PI;
+    const speed = s.speed * (0.5 + random());
+    return {
+      sx: socket.x,
+      sy: socket.y,
+      x: (random() - 0.5) * r * 1.2,
+      y: down ? r * 0.8 : (random() - 0.7) * r,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      age: 0,
+      life: s.life * (0.6 + 0.8 * random()),
+      size: s.size * scale * (0.6 + 0.8 * random()),
+      phase: random() * Math.PI * 2,
+    };
+  };
+
+  return {
+    step(eyeSockets, glowIntensity) {
+      live = live.filter((p) => (p.age += PARTICLE_STEP) < p.life);
+      live.forEach((p) => {
+        p.vx = (p.vx + (random() - 0.5) * 2 * s.turbulence * dt) * damping;
+        p.vy = (p.vy + s.gravity * dt) * damping;
+        p.x += p.vx * dt;
+        p.y += p.vy * dt;
+      });
+      if (owed.length !== eyeSockets.length) owed = eyeSockets.map((_, i) => owed[i] ?? 0);
+      eyeSockets.forEach((socket, i) => {
+        const level = Math.max(0, Math.min(1, glowIntensity * (socket.gain ?? 1)));
+        owed[i] += s.rate * level * dt;
+        for (; owed[i] >= 1; owed[i]--) if (live.length < s.budget) live.push(spawn(socket));
+      });
+      steps++;
+    },
+    particles: () => live,
+    time: () => steps * PARTICLE_STEP,
+  };
+}
+
+// The particles of a scripted performance at `t`: steps forward from the last
+// call (or from the start, if `t` is earlier) with scriptedGlowAt each step
+export function createScriptedParticles(scene) {
+  let system = null;
+  return (t) => {
+    if (!scene.particles?.enabled) return null;
+    if (!system || system.time() > t) system = createParticleSystem(scene.particles);
+    while (system.time() + PARTICLE_STEP <= t) {
+      const { eyeSockets, glowIntensity } = scriptedGlowAt(scene, system.time());
+      system.step(eyeSockets, glowIntensity);
+    }
+    return system.particles();
+  };
+}
+
+// Embers glow additively and flicker, smoke swells and thins, and tears are
+// drops trailing a wet streak
+export function drawParticles(ctx, particles, settings, width, height) {
+  const s = { ...DEFAULT_PARTICLES, ...settings };
+  const [r, g, b] = hexToRgb(s.color) || hexToRgb(DEFAULT_PARTICLES.color);
+  ctx.save();
+  ctx.globalCompositeOperation = s.preset === "embers" ? "lighter" : "source-over";
+  (particles || []).forEach((p) => {
+    const k = p.age / p.life;
+    const px = (p.sx + p.x) * width;
+    const py = p.sy * height + p.y * width;
+    if (s.preset === "tears") {
+      const alpha = 0.8 * Math.sqrt(1 - k);
+      ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha * 0.4})`;
+      ctx.lineWidth = p.size * width * 0.6;
+      ctx.lineCap = "round";
+      ctx.beginPath();
+      ctx.moveTo(px, py - Math.min(p.y, TEAR_TRAIL) * width);
+      ctx.lineTo(px, py);
+      ctx.stroke();
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+      ctx.beginPath();
+      ctx.arc(px, py, p.size * width, 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    }
+    const smoke = s.preset === "smoke";
+    const radius = p.size * width * (smoke ? 1 + 3 * k : 1);
+    const alpha = smoke ? 0.25 * Math.sin(Math.PI * k) : (1 - k) * (0.65 + 0.35 * Math.sin(p.phase + p.age * 0.02));
+    if (!(radius > 0) || !(alpha > 0)) return;
+    const grad = ctx.createRadialGradient(px, py, 0, px, py, radius);
+    grad.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${alpha})`);
+    grad.addColorStop(smoke ? 0.4 : 0.3, `rgba(${r}, ${g}, ${b}, ${alpha * (smoke ? 0.7 : 0.5)})`);
+    grad.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    ctx.arc(px, py, radius, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.restore();
+}
+
+// Particles on a 2D canvas, simulated on animation frames. Call `update({
+// eyeSockets, glowIntensity, particles, width, height })` as the glow changes;
+// new settings restart the simulation. The loop idles once every socket is
+// dark and the last particle has gone. `particles()` is the live list.
+export function createParticleLayer(canvas) {
+  const ctx = canvas.getContext("2d");
+  let scene = { eyeSockets: [], glowIntensity: 0, particles: null, width: 0, height: 0 };
+  let system = null;
+  let settingsKey = null;
+  let raf = null;
+  let last = null;
+  let owedTime = 0;
+
+  const stop = () => {
+    if (raf) cancelAnimationFrame(raf);
+    raf = null;
+    last = null;
+  };
+  const tick = (now) => {
+    const { eyeSockets, glowIntensity, particles, width, height } = scene;
+    owedTime += last === null ? PARTICLE_STEP : now - last;
+    last = now;
+    const steps = Math.min(MAX_CATCH_UP_STEPS, Math.floor(owedTime / PARTICLE_STEP));
+    owedTime = steps === MAX_CATCH_UP_STEPS ? 0 : owedTime - steps * PARTICLE_STEP;
+    for (let i = 0; i < steps; i++) system.step(eyeSockets, glowIntensity);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+    drawParticles(ctx, system.particles(), particles, width, height);
+    if (!system.particles().length && !(glowIntensity > 0)) stop();
+    else raf = requestAnimationFrame(tick);
+  };
+
+  return {
+    update(next) {
+      scene = next;
+      const key = next.particles?.enabled ? JSON.stringify(next.particles) : null;
+      if (key !== settingsKey) {
+        settingsKey = key;
+        system = key && createParticleSystem(next.particles);
+        stop();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+      }
+      if (system && next.width && next.height && !raf && (next.glowIntensity > 0 || system.particles().length)) {
+        raf = requestAnimationFrame(tick);
+      }
+    },
+    particles: () => system?.particles() ?? [],
+    dispose: stop,
+  };
+}
+
+export function validateParticles(particles) {
+  if (!particles || typeof particles !== "object") return ["is not an object"];
+  const errors = [];
+  const isNumber = (v, min, max) => typeof v === "number" && v >= min && v <= max;
+  const check = (key, min, max, unit) => {
+    if (particles[key] !== undefined && !isNumber(particles[key], min, max)) errors.push(`${key} must be from ${min} to ${max}${unit}`);
+  };
+  if (particles.enabled !== undefined && typeof particles.enabled !== "boolean") errors.push("enabled must be true or false");
+  if (particles.preset !== undefined && !PARTICLE_PRESETS[particles.preset]) {
+    errors.push(`preset is not one of ${Object.keys(PARTICLE_PRESETS).join(", ")}`);
+  }
+  if (particles.seed !== undefined && !Number.isInteger(particles.seed)) errors.push("seed must be an integer");
+  if (particles.budget !== undefined && !(Number.isInteger(particles.budget) && isNumber(particles.budget, 0, MAX_PARTICLE_BUDGET))) {
+    errors.push(`budget must be a whole number from 0 to ${MAX_PARTICLE_BUDGET}`);
+  }
+  check("rate", 0, 120, " per second");
+  check("life", 100, 20000, " ms");
+  check("speed", 0, 1, " image widths per second");
+  check("spread", 0, 2, "");
+  check("gravity", -1, 1, " image widths per second²");
+  check("drag", 0, 20, "");
+  check("turbulence", 0, 1, " image widths per second²");
+  check("size", 0, 0.1, " of the image width");
+  if (particles.color !== undefined && !hexToRgb(particles.color)) errors.push("color must be #rrggbb");
+  return errors;
+}
+
+// Eye detection. Classic heuristics on a downscaled copy of the image: the
+// largest skin-coloured region is taken as the face, and its upper part is
+// searched for a level pair of dark spots (iris and lashes against lighter
+// skin). Works on any ImageData-like `{ data, width, height }`, so it runs
+// headless on decoded fixtures as well as in the browser.
+const DETECT_WIDTH = 200;
+const EYE_SCALES = [0.03, 0.045, 0.065]; // dark-spot radius as a fraction of face width
+const MIN_EYE_CONTRAST = 6; // grey levels between a spot and its surround
+
+// Greyscale and skin mask at no more than DETECT_WIDTH pixels wide
+function detectionPlanes({ data, width, height }) {
+  const w = Math.min(width, DETECT_WIDTH);
+  const h = Math.max(1, Math.round((height * w) / width));
+  const sums = new Float64Array(w * h * 4);
+  for (let sy = 0; sy < height; sy++) {
+    const row = Math.min(h - 1, Math.floor((sy * h) / height)) * w;
+    for (let sx = 0; sx < width; sx++) {
+      const i = (sy * width + sx) * 4;
+      const o = (row + Math.min(w - 1, Math.floor((sx * w) / width))) * 4;
+      sums[o] += data[i];
+      sums[o + 1] += data[i + 1];
+      sums[o + 2] += data[i + 2];
+      sums[o + 3] += 1;
+    }
+  }
+  const gray = new Float64Array(w * h);
+  const skin = new Uint8Array(w * h);
+  for (let p = 0; p < w * h; p++) {
+    const n = sums[p * 4 + 3] || 1;
+    const r = sums[p * 4] / n;
+    const g = sums[p * 4 + 1] / n;
+    const b = sums[p * 4 + 2] / n;
+    gray[p] = 0.299 * r + 0.587 * g + 0.114 * b;
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    skin[p] = gray[p] > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173 ? 1 : 0;
+  }
+  return { gray, skin, width: w, height: h };
+}
+
+// Summed-area table with a zero row and column for O(1) box sums
+function integralImage(values, w, h) {
+  const table = new Float64Array((w + 1) * (h + 1));
+  for (let y = 0; y < h; y++) {
+    let row = 0;
+    for (let x = 0; x < w; x++) {
+      row += values[y * w + x];
+      table[(y + 1) * (w + 1) + x + 1] = table[y * (w + 1) + x + 1] + row;
+    }
+  }
+  return (x0, y0, x1, y1) => table[y1 * (w + 1) + x1] - table[y0 * (w + 1) + x1] - table[y1 * (w + 1) + x0] + table[y0 * (w + 1) + x0];
+}
+
+// Bounding box of the largest 4-connected skin region, or null if it is too small
+function findFaceBox(skin, w, h) {
+  const labels = new Int32Array(w * h);
+  const queue = new Int32Array(w * h);
+  let best = null;
+  let label = 0;
+  for (let start = 0; start < w * h; start++) {
+    if (!skin[start] || labels[start]) continue;
+    label++;
+    let head = 0;
+    let tail = 0;
+    const box = { x0: w, y0: h, x1: 0, y1: 0, area: 0 };
+    queue[tail++] = start;
+    labels[start] = label;
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % w;
+      const y = (p - x) / w;
+      box.area++;
+      box.x0 = Math.min(box.x0, x);
+      box.y0 = Math.min(box.y0, y);
+      box.x1 = Math.max(box.x1, x + 1);
+      box.y1 = Math.max(box.y1, y + 1);
+      const neighbours = [x > 0 && p - 1, x < w - 1 && p + 1, y > 0 && p - w, y < h - 1 && p + w];
+      for (const n of neighbours) {
+        if (n !== false && skin[n] && !labels[n]) {
+          labels[n] = label;
+          queue[tail++] = n;
+        }
+      }
+    }
+    if (!best || box.area > best.area) best = box;
+  }
+  return best && best.area >= w * h * 0.03 ? best : null;
+}
+
+// Dark spots inside a search box, strongest first, one per neighbourhood
+function findDarkSpots(gray, w, h, area, faceWidth) {
+  const boxSum = integralImage(gray, w, h);
+  const spots = [];
+  EYE_SCALES.forEach((scale) => {
+    const r = Math.max(1, Math.round(scale * faceWidth));
+    const R = Math.round(r * 2.5);
+    const innerArea = (2 * r + 1) ** 2;
+    const outerArea = (2 * R + 1) ** 2;
+    const y0 = Math.max(R, Math.floor(area.y0));
+    const y1 = Math.min(h - R - 1, Math.ceil(area.y1));
+    const x0 = Math.max(R, Math.floor(area.x0));
+    const x1 = Math.min(w - R - 1, Math.ceil(area.x1));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const inner = boxSum(x - r, y - r, x + r + 1, y + r + 1);
+        const outer = boxSum(x - R, y - R, x + R + 1, y + R + 1);
+        const innerMean = inner / innerArea;
+        const contrast = (outer - inner) / (outerArea - innerArea) - innerMean;
+        if (contrast >= MIN_EYE_CONTRAST) spots.push({ x, y, r, contrast });
+      }
+    }
+  });
+  spots.sort((a, b) => b.contrast - a.contrast);
+  const minGap = faceWidth * 0.08;
+  const kept = [];
+  for (const spot of spots) {
+    if (kept.some((k) => Math.hypot(k.x - spot.x, k.y - spot.y) < Math.max(minGap, k.r + spot.r))) continue;
+    kept.push(spot);
+    if (kept.length >= 24) break;
+  }
+  return kept;
+}
+
+// Score candidate pairs on spacing, level, balance and centring on the face
+function bestEyePair(spots, face) {
+  const faceWidth = face.x1 - face.x0;
+  const centre = (face.x0 + face.x1) / 2;
+  const pairs = [];
+  spots.forEach((a) =>
+    spots.forEach((b) => {
+      if (b.x <= a.x) return;
+      const dx = b.x - a.x;
+      const dy = Math.abs(b.y - a.y);
+      if (dx < faceWidth * 0.2 || dx > faceWidth * 0.65 || dy > dx * 0.25) return;
+      const balance = Math.min(a.contrast, b.contrast) / Math.max(a.contrast, b.contrast);
+      const offCentre = Math.min(1, Math.abs((a.x + b.x) / 2 - centre) / (faceWidth / 2));
+      const score = (a.contrast + b.contrast) * (1 - dy / dx) * (0.5 + 0.5 * balance) * (1 - 0.5 * offCentre);
+      pairs.push({ a, b, dx, score });
+    })
+  );
+  if (!pairs.length) return null;
+  pairs.sort((p, q) => q.score - p.score);
+  // Eyebrows form a strong pair too; prefer a comparable pair just below
+  const best = pairs[0];
+  const below = pairs.find((p) => {
+    const drop = (p.a.y + p.b.y - best.a.y - best.b.y) / 2;
+    return (
+      p.score >= best.score * 0.5 &&
+      drop > best.dx * 0.1 &&
+      drop < best.dx * 0.45 &&
+      Math.abs(p.a.x + p.b.x - best.a.x - best.b.x) / 2 < best.dx * 0.2
+    );
+  });
+  return below || best;
+}
+
+// Propose eye positions as normalised `{ x, y, confidence }`, left to right.
+// Returns two proposals for a frontal face, at most one otherwise.
+export function detectEyes(image) {
+  const { gray, skin, width: w, height: h } = detectionPlanes(image);
+  const face = findFaceBox(skin, w, h) || { x0: w * 0.1, y0: h * 0.05, x1: w * 0.9, y1: h * 0.75 };
+  const faceWidth = face.x1 - face.x0;
+  const area = { x0: face.x0, x1: face.x1, y0: face.y0, y1: Math.min(face.y1, face.y0 + faceWidth * 0.8) };
+  const spots = findDarkSpots(gray, w, h, area, faceWidth);
+  const toProposal = (spot) => ({
+    x: (spot.x + 0.5) / w,
+    y: (spot.y + 0.5) / h,
+    confidence: Math.min(1, spot.contrast / 40),
+  });
+  const pair = bestEyePair(spots, face);
+  if (pair) return [toProposal(pair.a), toProposal(pair.b)];
+  return spots.length && spots[0].contrast >= MIN_EYE_CONTRAST * 2 ? [toProposal(spots[0])] : [];
+}
+
+// Decode an image URL to ImageData no wider than `maxWidth`
+export function imagePixels(src, maxWidth) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxWidth / img.width);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    };
+    img.onerror = () => reject(new Error("Image could not be decoded"));
+    img.src = src;
+  });
+}
+
+// Browser wrapper: decode an image URL and run detectEyes on a small copy
+export async function detectEyesInImage(src) {
+  return detectEyes(await imagePixels(src, DETECT_WIDTH));
+}
+
+// Snap refinement: move a point to the brightest or darkest spot nearby, e.g.
+// a pupil or a catch-light. Luminance is averaged over 3×3 pixels so single
+// noisy pixels don't win, and ties go to the spot nearest the original point
+// so flat areas leave it where it is.
+export const SNAP_MODES = ["off", "brightest", "darkest"];
+const SNAP_RADIUS = 0.015; // search radius as a fraction of image width
+export const SNAP_MAX_WIDTH = 2048; // pixels decoded for snapping
+
+export function snapToExtreme({ data, width, height }, point, mode, radius = SNAP_RADIUS) {
+  const cx = point.x * width - 0.5;
+  const cy = point.y * height - 0.5;
+  const r = Math.max(2, Math.round(radius * width));
+  const sign = mode === "darkest" ? -1 : 1;
+  const luminance = (x, y) => {
+    const i = (y * width + x) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+  let best = null;
+  for (let y = Math.max(1, Math.floor(cy - r)); y <= Math.min(height - 2, Math.ceil(cy + r)); y++) {
+    for (let x = Math.max(1, Math.floor(cx - r)); x <= Math.min(width - 2, Math.ceil(cx + r)); x++) {
+      const distance = (x - cx) ** 2 + (y - cy) ** 2;
+      if (distance > r * r) continue;
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) sum += luminance(x + dx, y + dy);
+      const value = sign * sum;
+      if (!best || value > best.value || (value === best.value && distance < best.distance)) best = { x, y, value, distance };
+    }
+  }
+  return best ? { x: (best.x + 0.5) / width, y: (best.y + 0.5) / height } : point;
+}
+
+// Per-socket glow style defaults. Sockets without overrides render the
+// original red glow exactly.
+export const DEFAULT_BLEND_MODE = "screen";
+export const BLEND_MODES = ["screen", "lighten", "color-dodge", "overlay", "soft-light", "hard-light", "normal"];
+export const DEFAULT_GLOW_COLOR = "#ff1400";
+
+// Gradient stops per layer as [offset, r, g, b, alpha]
+const DEFAULT_GLOW_PALETTE = {
+  halo: [
+    [0, 255, 20, 0, 0.25],
+    [0.3, 200, 0, 0, 0.12],
+    [1, 100, 0, 0, 0],
+  ],
+  inner: [
+    [0, 255, 80, 30, 0.9],
+    [0.4, 255, 20, 0, 0.5],
+    [1, 180, 0, 0, 0],
+  ],
+  core: [
+    [0, 255, 220, 180, 0.95],
+    [0.5, 255, 120, 40, 0.6],
+    [1, 255, 40, 0, 0],
+  ],
+};
+
+function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Derive the three-layer palette from a single hue: the halo darkens towards
+// the edge, the core is pushed towards white-hot.
+function glowPalette(color) {
+  const rgb = hexToRgb(color);
+  if (!rgb) return DEFAULT_GLOW_PALETTE;
+  const tint = (t) => rgb.map((c) => Math.round(c + (255 - c) * t));
+  const shade = (t) => rgb.map((c) => Math.round(c * t));
+  return {
+    halo: [
+      [0, ...rgb, 0.25],
+      [0.3, ...shade(0.8), 0.12],
+      [1, ...shade(0.4), 0],
+    ],
+    inner: [
+      [0, ...tint(0.15), 0.9],
+      [0.4, ...rgb, 0.5],
+      [1, ...shade(0.7), 0],
+    ],
+    core: [
+      [0, ...tint(0.75), 0.95],
+      [0.5, ...tint(0.35), 0.6],
+      [1, ...rgb, 0],
+    ],
+  };
+}
+
+function socketRadius(socket, width) {
+  return Math.max(20, width * 0.045) * (socket.size ?? 1);
+}
+
+function radialLayer(ctx, px, py, r, stops, alphaScale) {
+  const grad = ctx.createRadialGradient(px, py, 0, px, py, r);
+  stops.forEach(([offset, red, green, blue, alpha]) => {
+    grad.addColorStop(offset, `rgba(${red}, ${green}, ${blue}, ${Math.min(1, alpha * alphaScale)})`);
+  });
+  return grad;
+}
+
+// Outline a socket's mask as the current path, shifted `dx` pixels
+function traceShape(ctx, socket, width, height, dx = 0) {
+  const { shape } = socket;
+  const cx = socket.x * width + dx;
+  const cy = socket.y * height;
+  ctx.beginPath();
+  if (shape.type === "ellipse") ctx.ellipse(cx, cy, shape.rx * width, shape.ry * width, ((shape.rotation ?? 0) * Math.PI) / 180, 0, Math.PI * 2);
+  else shape.points.forEach((p, i) => (i ? ctx.lineTo(cx + p.x * width, cy + p.y * height) : ctx.moveTo(cx + p.x * width, cy + p.y * height)));
+  ctx.closePath();
+}
+
+// How far a mask reaches from its socket: half-extents in pixels and rotation in radians
+function shapeExtent(socket, width, height) {
+  const { shape } = socket;
+  if (shape.type === "ellipse") return { rx: shape.rx * width, ry: shape.ry * width, rotation: ((shape.rotation ?? 0) * Math.PI) / 180 };
+  return {
+    rx: Math.max(...shape.points.map((p) => Math.abs(p.x))) * width,
+    ry: Math.max(...shape.points.map((p) => Math.abs(p.y))) * height,
+    rotation: 0,
+  };
+}
+
+// Scratch canvases per drawing context: one for a shaped socket's glow and
+// one for its feathered mask. Null where no canvas can be made (some
+// headless contexts), which falls back to a hard clip.
+const shapeScratch = new WeakMap();
+
+function scratchCanvases(ctx, width, height) {
+  let scratch = shapeScratch.get(ctx);
+  if (!scratch) {
+    const make = () =>
+      typeof OffscreenCanvas !== "undefined"
+        ? new OffscreenCanvas(width, height)
+        : typeof document !== "undefined"
+        ? document.createElement("canvas")
+        : null;
+    const glow = make();
+    if (!glow) return null;
+    scratch = { glow, mask: make() };
+    shapeScratch.set(ctx, scratch);
+  }
+  Object.values(scratch).forEach((canvas) => {
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+  });
+  return scratch;
+}
+
+// A shaped socket: the round glow stretched to the mask's extent and
+// rotation, then cut to the feathered mask off to the side so other sockets
+// on the same layer are untouched. `size` scales the glow within the mask.
+function drawShapedGlow(ctx, socket, glowIntensity, width, height) {
+  const px = socket.x * width;
+  const py = socket.y * height;
+  const radius = socketRadius(socket, width);
+  const size = socket.size ?? 1;
+  const { rx, ry, rotation } = shapeExtent(socket, width, height);
+  const scratch = scratchCanvases(ctx, width, height);
+  const target = scratch ? scratch.glow.getContext("2d") : ctx;
+
+  target.save();
+  if (scratch) {
+    target.clearRect(0, 0, width, height);
+  } else {
+    traceShape(ctx, socket, width, height);
+    ctx.clip();
+  }
+  target.translate(px, py);
+  target.rotate(rotation);
+  target.scale((Math.max(rx, 1) * size) / radius, (Math.max(ry, 1) * size) / radius);
+  target.translate(-px, -py);
+  drawRoundGlow(target, socket, glowIntensity, px, py, radius);
+  target.restore();
+  if (!scratch) return;
+
+  // The mask is filled off-canvas so only its blurred shadow lands in place
+  const feather = (socket.shape.feather ?? DEFAULT_FEATHER) * width;
+  const mask = scratch.mask.getContext("2d");
+  const offset = feather > 0 ? width + feather * 4 : 0;
+  mask.save();
+  mask.clearRect(0, 0, width, height);
+  mask.fillStyle = "#000";
+  mask.shadowColor = "#000";
+  mask.shadowBlur = feather;
+  mask.shadowOffsetX = offset;
+  traceShape(mask, socket, width, height, -offset);
+  mask.fill();
+  mask.restore();
+
+  target.globalCompositeOperation = "destination-in";
+  target.drawImage(scratch.mask, 0, 0);
+  target.globalCompositeOperation = "source-over";
+  ctx.drawImage(scratch.glow, 0, 0);
+}
+
+// One socket's glow; shaped sockets use the masked path
+function drawSocketGlow(ctx, socket, glowIntensity, width, height) {
+  if (socket.shape) drawShapedGlow(ctx, socket, glowIntensity, width, height);
+  else drawRoundGlow(ctx, socket, glowIntensity, socket.x * width, socket.y * height, socketRadius(socket, width));
+}
+
+// Draw one socket's halo, inner glow and core. `balance` shifts weight
+// between halo (0) and core (1); 0.5 leaves both at their default strength.
+// A transient `gain` (from sequence playback) scales this socket only.
+function drawRoundGlow(ctx, socket, glowIntensity, px, py, radius) {
+  const intensity = glowIntensity * (socket.gain ?? 1);
+  const palette = glowPalette(socket.color);
+  const balance = socket.balance ?? 0.5;
+
+  // Outer halo
+  ctx.fillStyle = radialLayer(ctx, px, py, radius * 3.5, palette.halo, intensity * 2 * (1 - balance));
+  ctx.fillRect(px - radius * 4, py - radius * 4, radius * 8, radius * 8);
+
+  // Inner glow
+  ctx.fillStyle = radialLayer(ctx, px, py, radius * 1.5, palette.inner, intensity);
+  ctx.beginPath();
+  ctx.arc(px, py, radius * 1.5, 0, Math.PI * 2);
+  ctx.fill();
+
+  // White-hot core
+  ctx.fillStyle = radialLayer(ctx, px, py, radius * 0.5, palette.core, intensity * 2 * balance);
+  ctx.beginPath();
+  ctx.arc(px, py, radius * 0.5, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Glow renderers share one interface. `create(canvas)` returns null when the
+// canvas can't host it, otherwise an instance with `resize(width, height)`,
+// `setImage(image)`, `render({ eyeSockets, glowIntensity, time })` and
+// `dispose()`. "overlay" renderers draw only the glow and are stacked one
+// canvas per blend mode; "full" renderers draw the whole portrait themselves.
+
+// The original path, and the software fallback: plain 2D gradients, so it
+// also runs on a headless canvas (node-canvas, OffscreenCanvas) with no GPU.
+export function createCanvas2DGlowRenderer(canvas) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  let width = canvas.width;
+  let height = canvas.height;
+  return {
+    // Reallocating the backing store clears it and is slow; only do it on a real size change
+    resize(w, h) {
+      if (canvas.width !== w) canvas.width = w;
+      if (canvas.height !== h) canvas.height = h;
+      width = w;
+      height = h;
+    },
+    setImage() {},
+    render({ eyeSockets = [], glowIntensity = 0 }) {
+      ctx.clearRect(0, 0, width, height);
+      if (glowIntensity <= 0) return;
+      eyeSockets.forEach((socket) => drawSocketGlow(ctx, socket, glowIntensity, width, height));
+    },
+    dispose() {},
+  };
+}
+
+const MAX_GL_SOCKETS = 16;
+const BLOOM_DOWNSAMPLE = 4;
+
+const GL_VERTEX = `
+attribute vec2 a_pos;
+varying vec2 v_uv;
+void main() {
+  v_uv = a_pos * 0.5 + 0.5;
+  gl_Position = vec4(a_pos, 0.0, 1.0);
+}`;
+
+// Sockets arrive as (x px, y px from the bottom, radius px, level) plus
+// (r, g, b, balance). The falloffs approximate the 2D halo, inner and core.
+const GL_SOCKETS = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 v_uv;
+uniform vec2 u_size;
+uniform int u_count;
+uniform vec4 u_sockets[${MAX_GL_SOCKETS}];
+uniform vec4 u_colors[${MAX_GL_SOCKETS}];
+
+vec3 socketLight(vec2 p, vec4 s, vec4 c) {
+  float d = distance(p, s.xy) / s.z;
+  float halo = exp(-d * d / 3.0) * 0.5 * (1.0 - c.a);
+  float inner = exp(-d * d / 0.5) * 0.7;
+  float core = exp(-d * d / 0.06) * 1.6 * c.a;
+  return s.w * (c.rgb * halo + mix(c.rgb, vec3(1.0), 0.15) * inner + mix(c.rgb, vec3(1.0), 0.75) * core);
+}`;
+
+const GL_EMISSION = `${GL_SOCKETS}
+void main() {
+  vec2 p = v_uv * u_size;
+  vec3 light = vec3(0.0);
+  for (int i = 0; i < ${MAX_GL_SOCKETS}; i++) {
+    if (i >= u_count) break;
+    light += socketLight(p, u_sockets[i], u_colors[i]);
+  }
+  gl_FragColor = vec4(light, 1.0);
+}`;
+
+// 9-tap separable Gaussian using linear sampling
+const GL_BLUR = `
+precision mediump float;
+varying vec2 v_uv;
+uniform sampler2D u_texture;
+uniform vec2 u_step;
+void main() {
+  vec3 sum = texture2D(u_texture, v_uv).rgb * 0.2270270270;
+  sum += (texture2D(u_texture, v_uv + u_step * 1.3846153846).rgb + texture2D(u_texture, v_uv - u_step * 1.3846153846).rgb) * 0.3162162162;
+  sum += (texture2D(u_texture, v_uv + u_step * 3.2307692308).rgb + texture2D(u_texture, v_uv - u_step * 3.2307692308).rgb) * 0.0702702703;
+  gl_FragColor = vec4(sum, 1.0);
+}`;
+
+// Final pass: the portrait with heat shimmer and coloured spill, the same
+// brightness and vignette as the CSS stack, then glow and bloom screened on top.
+const GL_COMPOSITE = `${GL_SOCKETS}
+uniform sampler2D u_image;
+uniform sampler2D u_bloom;
+uniform float u_time;
+uniform float u_intensity;
+void main() {
+  vec2 p = v_uv * u_size;
+  vec2 offset = vec2(0.0);
+  vec3 spill = vec3(0.0);
+  vec3 light = vec3(0.0);
+  for (int i = 0; i < ${MAX_GL_SOCKETS}; i++) {
+    if (i >= u_count) break;
+    vec4 s = u_sockets[i];
+    float d = distance(p, s.xy) / s.z;
+    // Heat rising off the socket: a wobbling offset that fades within a few radii
+    float heat = s.w * exp(-d * d / 6.0);
+    offset += heat * s.z * 0.04 * vec2(sin(p.y * 0.11 - u_time * 6.0 + sin(p.x * 0.05)), sin(p.x * 0.09 + u_time * 4.0) * 0.5);
+    // Light spilling onto the brow, cheeks and nose
+    spill += u_colors[i].rgb * s.w * exp(-d * d / 30.0) * 0.8;
+    light += socketLight(p, s, u_colors[i]);
+  }
+  vec3 base = texture2D(u_image, clamp((p + offset) / u_size, 0.0, 1.0)).rgb * (0.7 + 0.3 * u_intensity);
+  base += base * spill;
+  float edge = clamp((length((v_uv - 0.5) * 2.0) / 1.41421356 - 0.3) / 0.7, 0.0, 1.0);
+  base *= 1.0 - (0.5 - 0.2 * u_intensity) * edge;
+  vec3 glow = clamp(light + texture2D(u_bloom, v_uv).rgb * 1.5, 0.0, 1.0);
+  gl_FragColor = vec4(1.0 - (1.0 - clamp(base, 0.0, 1.0)) * (1.0 - glow), 1.0);
+}`;
+
+function compileProgram(gl, fragment) {
+  const program = gl.createProgram();
+  [
+    [gl.VERTEX_SHADER, GL_VERTEX],
+    [gl.FRAGMENT_SHADER, fragment],
+  ].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader) || "Shader failed to compile");
+    gl.attachShader(program, shader);
+  });
+  gl.bindAttribLocation(program, 0, "a_pos");
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program) || "Shader failed to link");
+  const uniforms = {};
+  const uniform = (name) => (name in uniforms ? uniforms[name] : (uniforms[name] = gl.getUniformLocation(program, name)));
+  return { program, uniform };
+}
+
+function createTexture(gl) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
+
+// Pack sockets for the shaders; y flips because GL's origin is bottom-left
+function socketUniforms(eyeSockets, glowIntensity, width, height) {
+  const sockets = new Float32Array(MAX_GL_SOCKETS * 4);
+  const colors = new Float32Array(MAX_GL_SOCKETS * 4);
+  const count = Math.min(eyeSockets.length, MAX_GL_SOCKETS);
+  for (let i = 0; i < count; i++) {
+    const socket = eyeSockets[i];
+    const rgb = hexToRgb(socket.color) || hexToRgb(DEFAULT_GLOW_COLOR);
+    // A shaped socket glows as a circle spanning its mask; only Canvas 2D cuts it to shape
+    const extent = socket.shape && shapeExtent(socket, width, height);
+    const radius = extent ? ((extent.rx + extent.ry) / 2) * (socket.size ?? 1) : socketRadius(socket, width);
+    sockets.set([socket.x * width, (1 - socket.y) * height, radius, glowIntensity * (socket.gain ?? 1)], i * 4);
+    colors.set([rgb[0] / 255, rgb[1] / 255, rgb[2] / 255, socket.balance ?? 0.5], i * 4);
+  }
+  return { count, sockets, colors };
+}
+
+// GPU path: draws the portrait itself so it can distort and light it. Glow is
+// rendered at quarter resolution, blurred twice for bloom, and screened over
+// the shimmering, spill-lit image. Per-socket blend modes don't apply here.
+export function createWebGLGlowRenderer(canvas) {
+  const gl = canvas.getContext("webgl", { alpha: true, premultipliedAlpha: true, antialias: false });
+  if (!gl) return null;
+
+  const emission = compileProgram(gl, GL_EMISSION);
+  const blur = compileProgram(gl, GL_BLUR);
+  const composite = compileProgram(gl, GL_COMPOSITE);
+
+  const quad = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const imageTexture = createTexture(gl);
+  const targets = [0, 1].map(() => {
+    const texture = createTexture(gl);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    return { texture, framebuffer };
+  });
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  // The image is staged through a 2D canvas at the render size, which keeps
+  // the texture within GL limits however large the upload was
+  const staging = document.createElement("canvas");
+  let image = null;
+  let uploaded = null;
+  let width = 0;
+  let height = 0;
+  let small = [1, 1];
+
+  const uploadImage = () => {
+    const key = image && image.complete && image.naturalWidth ? `${image.currentSrc || image.src}|${width}x${height}` : null;
+    if (!key || key === uploaded) return;
+    staging.width = width;
+    staging.height = height;
+    staging.getContext("2d").drawImage(image, 0, 0, width, height);
+    gl.bindTexture(gl.TEXTURE_2D, imageTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    // Throws a SecurityError for cross-origin images without CORS
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE, staging);
+    uploaded = key;
+  };
+
+  const setSockets = ({ program, uniform }, packed, size) => {
+    gl.useProgram(program);
+    gl.uniform2f(uniform("u_size"), size[0], size[1]);
+    gl.uniform1i(uniform("u_count"), packed.count);
+    gl.uniform4fv(uniform("u_sockets[0]"), packed.sockets);
+    gl.uniform4fv(uniform("u_colors[0]"), packed.colors);
+  };
+
+  const blurPass = (from, to, step) => {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, to.framebuffer);
+    gl.bindTexture(gl.TEXTURE_2D, from.texture);
+    gl.uniform2f(blur.uniform("u_step"), step[0], step[1]);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  };
+
+  return {
+    resize(w, h) {
+      if (w === width && h === height) return;
+      width = w;
+      height = h;
+      if (canvas.width !== w) canvas.width = w;
+      if (canvas.height !== h) canvas.height = h;
+      small = [Math.max(1, Math.ceil(w / BLOOM_DOWNSAMPLE)), Math.max(1, Math.ceil(h / BLOOM_DOWNSAMPLE))];
+      targets.forEach(({ texture }) => {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, small[0], small[1], 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      });
+    },
+    setImage(next) {
+      image = next || null;
+    },
+    render({ eyeSockets = [], glowIntensity = 0, time = 0 }) {
+      if (gl.isContextLost()) throw new Error("WebGL context lost");
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, width, height);
+      // Idle: stay transparent and let the regular image show through
+      if (glowIntensity <= 0 || !width || !height || !image) {
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        return;
+      }
+      uploadImage();
+      const packed = socketUniforms(eyeSockets, glowIntensity, width, height);
+
+      // Emission at low resolution; the shader works in full-size pixels
+      gl.viewport(0, 0, small[0], small[1]);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, targets[0].framebuffer);
+      setSockets(emission, packed, [width, height]);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+      // Two widening blur iterations give a broad bloom for four cheap passes
+      gl.useProgram(blur.program);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.uniform1i(blur.uniform("u_texture"), 0);
+      [1, 2].forEach((spread) => {
+        blurPass(targets[0], targets[1], [spread / small[0], 0]);
+        blurPass(targets[1], targets[0], [0, spread / small[1]]);
+      });
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, width, height);
+      setSockets(composite, packed, [width, height]);
+      gl.uniform1f(composite.uniform("u_time"), time / 1000);
+      gl.uniform1f(composite.uniform("u_intensity"), glowIntensity);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, imageTexture);
+      gl.uniform1i(composite.uniform("u_image"), 0);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, targets[0].texture);
+      gl.uniform1i(composite.uniform("u_bloom"), 1);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      // Unbind the bloom target so next frame's passes can render into it
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      gl.activeTexture(gl.TEXTURE0);
+    },
+    dispose() {
+      [emission, blur, composite].forEach(({ program }) => gl.deleteProgram(program));
+      [imageTexture, ...targets.map((t) => t.texture)].forEach((texture) => gl.deleteTexture(texture));
+      targets.forEach(({ framebuffer }) => gl.deleteFramebuffer(framebuffer));
+      gl.deleteBuffer(quad);
+    },
+  };
+}
+
+export const GLOW_RENDERERS = {
+  canvas2d: { name: "canvas2d", composite: "overlay", animated: false, create: createCanvas2DGlowRenderer },
+  webgl: { name: "webgl", composite: "full", animated: true, create: createWebGLGlowRenderer },
+};
+
+let webglSupport = null;
+function webglSupported() {
+  if (webglSupport === null) {
+    try {
+      webglSupport = typeof document !== "undefined" && !!document.createElement("canvas").getContext("webgl");
+    } catch (e) {
+      webglSupport = false;
+    }
+  }
+  return webglSupport;
+}
+
+// "auto" and "webgl" use the GPU where there is one, but "auto" stays on
+// Canvas 2D for `shaped` sockets, which only it cuts to their masks. A
+// renderer definition ({ name, composite, animated, create }) plugs in a custom one.
+export function resolveGlowRenderer(choice = "auto", { allowWebGL = true, shaped = false } = {}) {
+  if (choice && typeof choice === "object") return choice;
+  if (choice !== "canvas2d" && !(choice === "auto" && shaped) && allowWebGL && webglSupported()) return GLOW_RENDERERS.webgl;
+  return GLOW_RENDERERS.canvas2d;
+}
+
+// Create a renderer on `canvas`, falling back to Canvas2D when the preferred
+// one can't start. Handy for headless use, where there is no WebGL.
+export function createGlowRenderer(canvas, choice = "auto") {
+  const preferred = resolveGlowRenderer(choice);
+  try {
+    const instance = preferred.create(canvas);
+    if (instance) return { renderer: preferred, instance };
+  } catch (e) {
+    // Shader or context failure: fall through to the software path
+  }
+  return { renderer: GLOW_RENDERERS.canvas2d, instance: createCanvas2DGlowRenderer(canvas) };
+}
+
+// One renderer driving one canvas. `update` redraws with a new frame
+// ({ eyeSockets, glowIntensity, width, height, image }); animated renderers
+// (shimmer) keep drawing while the glow is up. If the renderer can't start or
+// fails mid-draw, it stops and `onFallback(err)` is called.
+export function createGlowLayer(canvas, renderer = GLOW_RENDERERS.canvas2d, { onFallback } = {}) {
+  let instance = null;
+  let frame = null;
+  let raf = null;
+
+  const stop = () => {
+    if (raf) cancelAnimationFrame(raf);
+    raf = null;
+  };
+  const fail = (err) => {
+    stop();
+    try {
+      instance?.dispose();
+    } catch (e) {
+      // A lost context may not release cleanly; the canvas is dropped anyway
+    }
+    instance = null;
+    onFallback?.(err);
+  };
+  const draw = (time) => {
+    if (!instance) return false;
+    try {
+      instance.resize(frame.width, frame.height);
+      instance.setImage(frame.image);
+      instance.render({ eyeSockets: frame.eyeSockets, glowIntensity: frame.glowIntensity, time });
+      return true;
+    } catch (err) {
+      fail(err);
+      return false;
+    }
+  };
+
+  try {
+    instance = renderer.create(canvas);
+    if (!instance) fail(new Error(`${renderer.name} renderer unavailable`));
+  } catch (err) {
+    fail(err);
+  }
+
+  return {
+    update(next) {
+      frame = next;
+      stop();
+      if (!frame.width || !frame.height) return;
+      if (!draw(performance.now()) || !renderer.animated || frame.glowIntensity <= 0) return;
+      const tick = (time) => {
+        if (draw(time)) raf = requestAnimationFrame(tick);
+      };
+      raf = requestAnimationFrame(tick);
+    },
+    dispose() {
+      stop();
+      instance?.dispose();
+      instance = null;
+    },
+  };
+}
+
+export function groupByBlendMode(eyeSockets) {
+  const groups = new Map();
+  eyeSockets.forEach((socket) => {
+    const mode = socket.blendMode || DEFAULT_BLEND_MODE;
+    if (!groups.has(mode)) groups.set(mode, []);
+    groups.get(mode).push(socket);
+  });
+  return groups;
+}
+
+// Combine the live glow with sequence and ambient frames. Each socket gets the
+// highest of the three, then an ambient blink dims the lot. Returns the overall
+// level and the per-socket levels (null when neither frame is active).
+export function combineGlow(eyeSockets, liveGlow, sequenceFrame, ambientFrame) {
+  const blink = ambientFrame?.blink ?? 1;
+  if (!sequenceFrame && !ambientFrame) return { glowIntensity: liveGlow * blink, levels: null };
+  const levels = eyeSockets.map(
+    (_, i) => Math.max(liveGlow, sequenceFrame ? sequenceFrame.sockets[i] ?? sequenceFrame.all : 0, ambientFrame?.sockets[i] ?? 0) * blink
+  );
+  return { glowIntensity: levels.length ? Math.max(...levels) : liveGlow * blink, levels };
+}
+
+// Express per-socket levels as a `gain` on each socket relative to the overall level
+export function socketsWithGain(eyeSockets, levels, glowIntensity) {
+  return levels && glowIntensity > 0 ? eyeSockets.map((s, i) => ({ ...s, gain: levels[i] / glowIntensity })) : eyeSockets;
+}
+
+// Glow state `t` ms into a scripted performance of a scene: its sequence and
+// ambient effects over a constant base `glow`, and pupils looking straight
+// ahead with their saccades. Deterministic for a given scene.
+export function scriptedGlowAt({ eyeSockets = [], sequence = null, ambient = null, gaze = null, glow = 0 }, t) {
+  const sequenceFrame = sequence ? evaluateSequence(sequence, t) : null;
+  const ambientFrame = ambient?.enabled ? evaluateAmbient(ambient, eyeSockets.length, t) : null;
+  const { glowIntensity, levels } = combineGlow(eyeSockets, glow, sequenceFrame, ambientFrame);
+  const pupils = gaze?.enabled ? pupilOffsets(eyeSockets, gaze, [], t) : null;
+  return { glowIntensity, eyeSockets: socketsWithGain(eyeSockets, levels, glowIntensity), gaze, pupils };
+}
+
+// Offscreen compositor: reproduces the live stack (image, pupils, brightness
+// filter, vignette and one glow layer per blend mode) on a single canvas.
+// Pass `createCanvas` to render headless, e.g. with node-canvas.
+const CANVAS_BLEND = { normal: "source-over" };
+
+function defaultCreateCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+export function createPortraitCompositor({ width, height, createCanvas = defaultCreateCanvas }) {
+  const canvas = createCanvas(width, height);
+  const layer = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const layerCtx = layer.getContext("2d");
+
+  // Matches the portrait's CSS: brightness(0.85) idle, 0.7–1.0 while glowing.
+  // Both are ≤ 1, so a black overlay reproduces the filter exactly.
+  const drawImage = (image, glowIntensity, eyeSockets, gaze, pupils) => {
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1;
+    ctx.drawImage(image, 0, 0, width, height);
+    if (gaze?.enabled) drawPupils(ctx, eyeSockets, pupils, gaze, width, height);
+    const brightness = glowIntensity > 0 ? 0.7 + 0.3 * glowIntensity : 0.85;
+    ctx.fillStyle = `rgba(0,0,0,${1 - brightness})`;
+    ctx.fillRect(0, 0, width, height);
+  };
+
+  // `radial-gradient(ellipse at center, transparent 30%, …)`: a farthest-corner
+  // ellipse, drawn as a circle squashed to the image's aspect ratio
+  const drawVignette = (glowIntensity) => {
+    const radius = (width / 2) * Math.SQRT2;
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(1, height / width);
+    const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+    gradient.addColorStop(0.3, "rgba(0,0,0,0)");
+    gradient.addColorStop(1, `rgba(0,0,0,${0.5 - 0.2 * glowIntensity})`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+    ctx.restore();
+  };
+
+  const drawGlow = (eyeSockets, glowIntensity) => {
+    if (glowIntensity <= 0) return;
+    groupByBlendMode(eyeSockets).forEach((sockets, mode) => {
+      layerCtx.clearRect(0, 0, width, height);
+      sockets.forEach((socket) => drawSocketGlow(layerCtx, socket, glowIntensity, width, height));
+      ctx.globalCompositeOperation = CANVAS_BLEND[mode] || mode;
+      ctx.drawImage(layer, 0, 0);
+    });
+    ctx.globalCompositeOperation = "source-over";
+  };
+
+  // On their own layer, as live, so additive embers only add to each other
+  const drawParticleLayer = (particles, particleState) => {
+    if (!particles?.enabled || !particleState?.length) return;
+    layerCtx.clearRect(0, 0, width, height);
+    drawParticles(layerCtx, particleState, particles, width, height);
+    ctx.drawImage(layer, 0, 0);
+  };
+
+  return {
+    canvas,
+    width,
+    height,
+    // Draw one frame; `eyeSockets` may carry per-socket `gain` from
+    // scriptedGlowAt, `pupils` are gaze offsets as from pupilOffsets and
+    // `particleState` is a particle list for the `particles` settings
+    render(image, { eyeSockets = [], glowIntensity = 0, gaze = null, pupils = null, particles = null, particleState = null }) {
+      ctx.clearRect(0, 0, width, height);
+      drawImage(image, glowIntensity, eyeSockets, gaze, pupils);
+      drawVignette(glowIntensity);
+      drawGlow(eyeSockets, glowIntensity);
+      drawParticleLayer(particles, particleState);
+      return canvas;
+    },
+  };
+}
+
+// Frame-by-frame render of a scripted performance for offline encoding or
+// headless checks. Yields `{ index, time, canvas }`; the canvas is reused, so
+// read each frame before advancing.
+export function* renderScriptedFrames(compositor, image, scene, { duration, fps = 30 }) {
+  const count = Math.max(1, Math.ceil((duration / 1000) * fps));
+  const particlesAt = createScriptedParticles(scene);
+  for (let index = 0; index < count; index++) {
+    const time = (index * 1000) / fps;
+    const frame = { ...scriptedGlowAt(scene, time), particles: scene.particles, particleState: particlesAt(time) };
+    yield { index, time, canvas: compositor.render(image, frame) };
+  }
+}
+
+// Size for an export: the image's native resolution, scaled down to `maxWidth`
+export function exportSize(image, maxWidth = Infinity) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = Math.min(1, maxWidth / width);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Record a canvas (plus optional audio tracks) to WebM with MediaRecorder
+export const RECORDING_MAX_WIDTH = 1920;
+const RECORDING_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+export function createCanvasRecorder(canvas, { fps = 30, audioTracks = [] } = {}) {
+  if (typeof MediaRecorder === "undefined" || !canvas.captureStream) throw new Error("Recording is not supported in this browser");
+  const stream = canvas.captureStream(fps);
+  audioTracks.forEach((track) => stream.addTrack(track));
+  const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  return {
+    start() {
+      recorder.start(1000);
+    },
+    stop() {
+      return new Promise((resolve) => {
+        recorder.onstop = () => {
+          stream.getVideoTracks().forEach((track) => track.stop());
+          resolve(new Blob(chunks, { type: recorder.mimeType || "video/webm" }));
+        };
+        recorder.stop();
+      });
+    },
+  };
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Gallery wall: portraits sharing a group name talk over a BroadcastChannel,
+// across tabs and windows of one origin as well as within a page. Members keep
+// a roster from hello/state/bye messages and a heartbeat; any other message is
+// a command, optionally addressed to some members with `to: [ids]`.
+const GALLERY_CHANNEL_PREFIX = "living-portrait-gallery:";
+const GALLERY_HEARTBEAT_MS = 5000;
+const GALLERY_TIMEOUT_MS = 15000;
+const GALLERY_LEAD_MS = 150; // head start so every display has a trigger before it fires
+export const DEFAULT_GALLERY_TRIGGER = { level: 1, hold: 1500, step: 600, play: "glow" };
+
+export function createInstanceId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `lp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function createGalleryLink({
+  group,
+  id = createInstanceId(),
+  info = {},
+  onCommand,
+  onRoster,
+  createChannel = (name) => new BroadcastChannel(name),
+}) {
+  const channel = createChannel(GALLERY_CHANNEL_PREFIX + group);
+  const members = new Map();
+  let self = info;
+  let closed = false;
+
+  const post = (type, payload) => !closed && channel.postMessage({ ...payload, type, from: id });
+  const rosterChanged = () => onRoster?.([...members.values()]);
+  const seen = (from, memberInfo) => {
+    members.set(from, { ...memberInfo, id: from, seenAt: Date.now() });
+    rosterChanged();
+  };
+
+  channel.onmessage = ({ data }) => {
+    if (!data || typeof data.type !== "string" || data.from === id) return;
+    switch (data.type) {
+      case "hello":
+        seen(data.from, data.info);
+        post("state", { info: self });
+        break;
+      case "state":
+        seen(data.from, data.info);
+        break;
+      case "bye":
+        if (members.delete(data.from)) rosterChanged();
+        break;
+      default:
+        if (!data.to || data.to.includes(id)) onCommand?.(data);
+    }
+  };
+
+  // Members that go quiet (closed tab, crashed window) drop out of the roster
+  const heartbeat = setInterval(() => {
+    post("state", { info: self });
+    const cutoff = Date.now() - GALLERY_TIMEOUT_MS;
+    let changed = false;
+    members.forEach((member, memberId) => {
+      if (member.seenAt < cutoff) changed = members.delete(memberId);
+    });
+    if (changed) rosterChanged();
+  }, GALLERY_HEARTBEAT_MS);
+
+  post("hello", { info: self });
+
+  return {
+    id,
+    members: () => [...members.values()],
+    // Share this portrait's name, role and scene with the group
+    update(next) {
+      self = { ...self, ...next };
+      post("state", { info: self });
+    },
+    // Broadcast a command; it also runs here when this member is addressed
+    send(command) {
+      post(command.type, command);
+      if (!command.to || command.to.includes(id)) onCommand?.({ ...command, from: id });
+    },
+    close() {
+      post("bye");
+      closed = true;
+      clearInterval(heartbeat);
+      channel.close();
+    },
+  };
+}
+
+// Wall-clock start times for a cascade: each member fires `step` ms after the
+// one before, plus its own delay. Tabs on one machine share Date.now(), so
+// displays stay in step whatever the message latency.
+export function cascadeSchedule(ids, { start = Date.now() + GALLERY_LEAD_MS, step = 0, delays = {} } = {}) {
+  return ids.map((id, i) => ({ id, at: start + i * step + (delays[id] || 0) }));
+}
+
+// OSC 1.0 messages and bundles, as sent by lighting desks and show
+// controllers. Supports the common argument types: int32, float32, string,
+// blob, true, false, nil and impulse.
+const OSC_PAD = (n) => (n + 3) & ~3;
+
+function oscString(bytes, offset) {
+  let end = offset;
+  while (end < bytes.length && bytes[end] !== 0) end++;
+  return [new TextDecoder().decode(bytes.subarray(offset, end)), OSC_PAD(end + 1)];
+}
+
+// Decode a packet into a flat list of `{ address, args }`; bundles are unpacked
+export function decodeOSC(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const [address, afterAddress] = oscString(bytes, 0);
+
+  if (address === "#bundle") {
+    const messages = [];
+    for (let offset = afterAddress + 8; offset + 4 <= bytes.length; ) {
+      const size = view.getInt32(offset);
+      messages.push(...decodeOSC(bytes.subarray(offset + 4, offset + 4 + size)));
+      offset += 4 + size;
+    }
+    return messages;
+  }
+  if (!address.startsWith("/")) throw new Error("Not an OSC packet");
+
+  const [tags, afterTags] = afterAddress < bytes.length ? oscString(bytes, afterAddress) : [",", afterAddress];
+  const args = [];
+  let offset = afterTags;
+  for (const tag of tags.slice(1)) {
+    if (tag === "i") {
+      args.push(view.getInt32(offset));
+      offset += 4;
+    } else if (tag === "f") {
+      args.push(view.getFloat32(offset));
+      offset += 4;
+    } else if (tag === "s") {
+      const [value, next] = oscString(bytes, offset);
+      args.push(value);
+      offset = next;
+    } else if (tag === "b") {
+      const size = view.getInt32(offset);
+      args.push(bytes.slice(offset + 4, offset + 4 + size));
+      offset = OSC_PAD(offset + 4 + size);
+    } else if (tag === "T" || tag === "F" || tag === "N" || tag === "I") {
+      args.push(tag === "T" ? true : tag === "F" ? false : null);
+    } else {
+      throw new Error(`Unsupported OSC type "${tag}"`);
+    }
+  }
+  return [{ address, args }];
+}
+
+// Encode one message. Integers go as int32, other numbers as float32.
+export function encodeOSC(address, args = []) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const string = (value) => {
+    const raw = encoder.encode(value);
+    const padded = new Uint8Array(OSC_PAD(raw.length + 1));
+    padded.set(raw);
+    parts.push(padded);
+  };
+  const number = (value, setter) => {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer)[setter](0, value);
+    parts.push(out);
+  };
+  let tags = ",";
+  const body = [];
+  args.forEach((arg) => {
+    if (typeof arg === "boolean") tags += arg ? "T" : "F";
+    else if (arg == null) tags += "N";
+    else if (typeof arg === "number") {
+      tags += Number.isInteger(arg) ? "i" : "f";
+      body.push(() => number(arg, Number.isInteger(arg) ? "setInt32" : "setFloat32"));
+    } else {
+      tags += "s";
+      body.push(() => string(String(arg)));
+    }
+  });
+  string(address);
+  string(tags);
+  body.forEach((write) => write());
+  const packet = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    packet.set(part, offset);
+    offset += part.length;
+  });
+  return packet;
+}
+
+const DEFAULT_REMOTE_PREFIX = "/portrait";
+
+// OSC addresses, after the prefix, and the commands they map to. A trailing
+// number is an argument, so "/scene/3" loads key 3; a desk button's release
+// (a 0 argument) on such an address is ignored.
+const OSC_COMMANDS = {
+  "/glow": ([value = 0]) => ({ cmd: "glow", value }),
+  "/pulse": ([value = 1, hold]) => ({ cmd: "pulse", value, hold }),
+  "/scene": ([slot]) => ({ cmd: "loadScene", slot }),
+  "/scene/save": ([slot]) => ({ cmd: "saveScene", slot }),
+  "/lock": ([value = 1]) => ({ cmd: "lock", value: !!value }),
+  "/unlock": () => ({ cmd: "lock", value: false }),
+  "/sequence/play": () => ({ cmd: "playSequence" }),
+  "/sequence/stop": () => ({ cmd: "stopSequence" }),
+  "/state": () => ({ cmd: "getState" }),
+};
+
+export function oscToCommand({ address, args }, prefix = DEFAULT_REMOTE_PREFIX) {
+  if (!address.startsWith(`${prefix}/`)) return null;
+  let path = address.slice(prefix.length);
+  let values = args;
+  const numbered = /^(.*)\/(\d+)$/.exec(path);
+  if (numbered && OSC_COMMANDS[numbered[1]]) {
+    if (args.length && !args[0]) return null;
+    path = numbered[1];
+    values = [Number(numbered[2]), ...args.slice(1)];
+  }
+  return OSC_COMMANDS[path]?.(values) ?? null;
+}
+
+// Remote show control: a WebSocket client that takes commands from a lighting
+// desk or show controller and publishes the portrait's state back. Text frames
+// carry JSON (`{ "cmd": "glow", "value": 0.8 }`, optionally with an `id` to be
+// acknowledged and a `target` name or instance id); binary frames carry OSC.
+// Reconnects with backoff until closed.
+const REMOTE_COMMANDS = ["glow", "pulse", "loadScene", "saveScene", "lock", "playSequence", "stopSequence", "getState"];
+const REMOTE_RECONNECT_MS = [1000, 2000, 5000, 10000, 30000];
+const REMOTE_STATE_INTERVAL_MS = 100;
+
+export function createRemoteClient({
+  url,
+  id,
+  name,
+  prefix = DEFAULT_REMOTE_PREFIX,
+  format = "json",
+  onCommand,
+  onStatus,
+  createSocket = (address) => new WebSocket(address),
+}) {
+  let socket = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let stateTimer = null;
+  let lastState = null;
+  let lastSentAt = 0;
+  let closed = false;
+
+  const isOpen = () => socket && socket.readyState === 1;
+  const send = (message) => isOpen() && socket.send(JSON.stringify(message));
+
+  // State goes out as JSON or as one OSC message per field
+  const sendState = () => {
+    if (!lastState || !isOpen()) return;
+    lastSentAt = Date.now();
+    if (format !== "osc") {
+      send({ type: "state", id, name, ...lastState });
+      return;
+    }
+    Object.entries(lastState).forEach(([key, value]) => {
+      if (value == null || typeof value === "object") return;
+      socket.send(encodeOSC(`${prefix}/state/${key}`, [typeof value === "boolean" ? Number(value) : value]));
+    });
+  };
+
+  const handle = (command) => {
+    if (!command || typeof command.cmd !== "string") return;
+    if (command.target != null && command.target !== id && command.target !== name) return;
+    const reply = (result) => command.id != null && send({ type: "ack", id: command.id, cmd: command.cmd, ...result });
+    if (!REMOTE_COMMANDS.includes(command.cmd)) {
+      reply({ ok: false, error: `Unknown command "${command.cmd}"` });
+      return;
+    }
+    Promise.resolve()
+      .then(() => onCommand?.(command))
+      .then(
+        (ok) => reply({ ok: ok !== false }),
+        (e) => reply({ ok: false, error: e.message })
+      );
+  };
+
+  const connect = () => {
+    onStatus?.("connecting");
+    try {
+      socket = createSocket(url);
+    } catch (e) {
+      console.warn("Remote connection failed", e);
+      socket = null;
+      retryTimer = setTimeout(connect, REMOTE_RECONNECT_MS[Math.min(attempt++, REMOTE_RECONNECT_MS.length - 1)]);
+      return;
+    }
+    socket.binaryType = "arraybuffer";
+    socket.onopen = () => {
+      attempt = 0;
+      onStatus?.("open");
+      send({ type: "hello", id, name });
+      sendState();
+    };
+    socket.onmessage = ({ data }) => {
+      try {
+        if (typeof data === "string") {
+          const parsed = JSON.parse(data);
+          (Array.isArray(parsed) ? parsed : [parsed]).forEach(handle);
+        } else {
+          decodeOSC(data).forEach((message) => handle(oscToCommand(message, prefix)));
+        }
+      } catch (e) {
+        console.warn("Ignoring malformed remote message", e);
+      }
+    };
+    // An error is always followed by close, which schedules the retry
+    socket.onerror = () => {};
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      onStatus?.("closed");
+      retryTimer = setTimeout(connect, REMOTE_RECONNECT_MS[Math.min(attempt++, REMOTE_RECONNECT_MS.length - 1)]);
+    };
+  };
+
+  connect();
+
+  return {
+    // Throttled: at most one state message per REMOTE_STATE_INTERVAL_MS, always the latest
+    publish(state, { immediate = false } = {}) {
+      lastState = state;
+      if (immediate) {
+        clearTimeout(stateTimer);
+        stateTimer = null;
+        sendState();
+        return;
+      }
+      if (stateTimer) return;
+      stateTimer = setTimeout(() => {
+        stateTimer = null;
+        sendState();
+      }, Math.max(0, lastSentAt + REMOTE_STATE_INTERVAL_MS - Date.now()));
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(stateTimer);
+      socket?.close();
+      socket = null;
+    },
+  };
+}
+
+// Trigger inputs. Keyboard, MIDI and gamepad all produce the same events,
+// `{ source, control, value, pressed }` with `value` in 0–1, which are matched
+// against bindings `{ source, control, action, slot? }`. Editing shortcuts
+// (undo, redo, Delete) stay fixed and are not part of the mapping.
+const INPUT_BINDINGS_KEY = "inputMappings";
+const INPUT_SOURCES = ["keyboard", "midi", "gamepad"];
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+export const INPUT_ACTIONS = {
+  glowHold: { label: "Glow while held" },
+  glowToggle: { label: "Glow on/off" },
+  glowVelocity: { label: "Glow by velocity" },
+  playSequence: { label: "Play sequence" },
+  stopSequence: { label: "Stop sequence" },
+  loadScene: { label: "Load scene", slot: true },
+  saveScene: { label: "Save scene", slot: true },
+};
+
+// The original hardcoded keys: Space glows, 1–6 load and Shift+1–6 save
+export const DEFAULT_INPUT_BINDINGS = [
+  { source: "keyboard", control: "Space", action: "glowHold" },
+  ...HOTKEY_SLOTS.map((slot) => ({ source: "keyboard", control: `Digit${slot}`, action: "loadScene", slot })),
+  ...HOTKEY_SLOTS.map((slot) => ({ source: "keyboard", control: `Shift+Digit${slot}`, action: "saveScene", slot })),
+];
+
+export function validateInputBindings(bindings) {
+  if (!Array.isArray(bindings)) return ["bindings must be an array"];
+  const errors = [];
+  bindings.forEach((binding, i) => {
+    if (!INPUT_SOURCES.includes(binding?.source)) errors.push(`bindings[${i}].source is not one of ${INPUT_SOURCES.join(", ")}`);
+    if (typeof binding?.control !== "string" || !binding.control) errors.push(`bindings[${i}].control must be a non-empty string`);
+    const action = INPUT_ACTIONS[binding?.action];
+    if (!action) errors.push(`bindings[${i}].action is not one of ${Object.keys(INPUT_ACTIONS).join(", ")}`);
+    else if (action.slot && !HOTKEY_SLOTS.includes(binding.slot)) errors.push(`bindings[${i}].slot must be 1–6`);
+  });
+  return errors;
+}
+
+// Keyboard control ids are physical key codes, with Shift as a modifier
+export function keyboardControl(e) {
+  return e.shiftKey && e.code !== "ShiftLeft" && e.code !== "ShiftRight" ? `Shift+${e.code}` : e.code;
+}
+
+// Note on/off and control change; channels are 1–16. A note on with velocity
+// 0 is a note off. Controllers count as pressed from 64 up.
+export function parseMidiMessage(data) {
+  const [status, data1, data2 = 0] = data;
+  const type = status & 0xf0;
+  const channel = (status & 0x0f) + 1;
+  if (type === 0x90 || type === 0x80) {
+    const on = type === 0x90 && data2 > 0;
+    return { control: `note:${channel}:${data1}`, value: on ? data2 / 127 : 0, pressed: on };
+  }
+  if (type === 0xb0) return { control: `cc:${channel}:${data1}`, value: data2 / 127, pressed: data2 >= 64 };
+  return null;
+}
+
+// Listen to every MIDI input, including ones plugged in later. Resolves to a
+// close function; rejects where Web MIDI is unavailable or refused.
+export async function createMidiInput(onInput) {
+  if (!navigator.requestMIDIAccess) throw new Error("Web MIDI is not supported in this browser");
+  const access = await navigator.requestMIDIAccess();
+  const listen = () =>
+    access.inputs.forEach((input) => {
+      input.onmidimessage = (e) => {
+        const parsed = parseMidiMessage(e.data);
+        if (parsed) onInput({ source: "midi", ...parsed });
+      };
+    });
+  listen();
+  access.onstatechange = listen;
+  return () => {
+    access.onstatechange = null;
+    access.inputs.forEach((input) => (input.onmidimessage = null));
+  };
+}
+
+// Poll connected gamepads each frame and report buttons and axes that change.
+// Axes count as two controls, `axis:N+` and `axis:N-`, pressed past the threshold.
+export function createGamepadInput(onInput) {
+  const previous = new Map();
+  let frameId = null;
+
+  const report = (control, value, pressed) => {
+    const last = previous.get(control);
+    if (last && last.pressed === pressed && Math.abs(last.value - value) < 0.02) return;
+    previous.set(control, { value, pressed });
+    onInput({ source: "gamepad", control, value, pressed });
+  };
+  const poll = () => {
+    const pads = [...(navigator.getGamepads?.() || [])].filter(Boolean);
+    pads.forEach((pad) => {
+      pad.buttons.forEach((button, i) => report(`button:${i}`, button.value, button.pressed));
+      pad.axes.forEach((axis, i) => {
+        const beyond = (v) => Math.max(0, (v - GAMEPAD_AXIS_THRESHOLD) / (1 - GAMEPAD_AXIS_THRESHOLD));
+        report(`axis:${i}+`, beyond(axis), axis > GAMEPAD_AXIS_THRESHOLD);
+        report(`axis:${i}-`, beyond(-axis), axis < -GAMEPAD_AXIS_THRESHOLD);
+      });
+    });
+    frameId = pads.length ? requestAnimationFrame(poll) : null;
+  };
+  const start = () => frameId === null && (frameId = requestAnimationFrame(poll));
+
+  window.addEventListener("gamepadconnected", start);
+  if ([...(navigator.getGamepads?.() || [])].some(Boolean)) start();
+  return () => {
+    window.removeEventListener("gamepadconnected", start);
+    cancelAnimationFrame(frameId);
+  };
+}
+
+// Human-readable name for a bound control
+export function describeControl({ source, control }) {
+  if (source === "keyboard") return control.replace(/Key|Digit/g, "");
+  const [kind, a, b] = control.split(":");
+  if (source === "midi") return kind === "note" ? `MIDI note ${b} · ch ${a}` : `MIDI CC ${b} · ch ${a}`;
+  return kind === "button" ? `Pad button ${a}` : `Pad axis ${a}`;
+}
+
+// Bindings with `binding` added, taking its control off any other action
+export function withBinding(bindings, binding) {
+  return [...bindings.filter((b) => b.source !== binding.source || b.control !== binding.control), binding];
+}
+
+// Turns input events ({ source, control, value, pressed }) into trigger
+// actions. Held controls are tracked so each binding sees clean press and
+// release edges. `route` returns whether anything used the event. While
+// `learning` ({ action, slot }) is set, the next press goes to
+// `onLearn(binding, event)` instead. The other handlers:
+//   glow(level | (level) => level), playSequence(), stopSequence(),
+//   loadSlot(slot, event), saveSlot(slot, event)
+export function createInputRouter() {
+  const held = new Set();
+  return {
+    route(event, { bindings, learning = null, onLearn, glow, playSequence, stopSequence, loadSlot, saveSlot }) {
+      const key = `${event.source}:${event.control}`;
+      const wasHeld = held.has(key);
+      if (event.pressed) held.add(key);
+      else held.delete(key);
+      const pressed = event.pressed && !wasHeld;
+      const released = !event.pressed && wasHeld;
+
+      if (learning) {
+        if (!pressed) return false;
+        onLearn({ source: event.source, control: event.control, action: learning.action, ...(learning.slot && { slot: learning.slot }) }, event);
+        return true;
+      }
+
+      const matches = bindings.filter((b) => b.source === event.source && b.control === event.control);
+      matches.forEach((binding) => {
+        if (binding.action === "glowHold") {
+          if (pressed) glow(1);
+          else if (released) glow(0);
+        } else if (binding.action === "glowVelocity") {
+          glow(event.value);
+        } else if (!pressed) {
+          return;
+        } else if (binding.action === "glowToggle") {
+          glow((g) => (g > 0 ? 0 : 1));
+        } else if (binding.action === "playSequence") {
+          playSequence();
+        } else if (binding.action === "stopSequence") {
+          stopSequence();
+        } else if (binding.action === "loadScene") {
+          loadSlot(binding.slot, event);
+        } else if (binding.action === "saveScene") {
+          saveSlot(binding.slot, event);
+        }
+      });
+      return matches.length > 0;
+    },
+    reset: () => held.clear(),
+  };
+}
+
+// Presentation playlists: saved scenes shown one after another on a kiosk,
+// stored beside the library as [{ id, name, sceneIds, interval, transition,
+// transitionMs }]. Times are in ms; the transition plays as a scene changes.
+const PLAYLISTS_KEY = "playlists";
+export const PLAYLIST_TRANSITIONS = ["crossfade", "flicker", "cut"];
+const MIN_PLAYLIST_INTERVAL = 2000;
+const MAX_TRANSITION_MS = 10000;
+
+// Typed while presenting to leave; deliberately awkward to hit by accident
+export const DEFAULT_UNLOCK_SEQUENCE = ["ArrowUp", "ArrowUp", "ArrowDown", "ArrowDown", "ArrowLeft", "ArrowRight", "ArrowLeft", "ArrowRight"];
+
+export function createPlaylist(name, sceneIds = []) {
+  return { id: createSceneId(), name, sceneIds: [...sceneIds], interval: 30000, transition: "crossfade", transitionMs: 1500 };
+}
+
+export function validatePlaylists(playlists) {
+  if (!Array.isArray(playlists)) return ["playlists must be an array"];
+  const errors = [];
+  playlists.forEach((playlist, i) => {
+    const at = `playlists[${i}]`;
+    if (typeof playlist?.id !== "string" || !playlist.id) errors.push(`${at}.id must be a non-empty string`);
+    if (typeof playlist?.name !== "string") errors.push(`${at}.name must be a string`);
+    if (!Array.isArray(playlist?.sceneIds) || playlist.sceneIds.some((id) => typeof id !== "string"))
+      errors.push(`${at}.sceneIds must be an array of scene ids`);
+    if (!(playlist?.interval >= MIN_PLAYLIST_INTERVAL)) errors.push(`${at}.interval must be at least ${MIN_PLAYLIST_INTERVAL} ms`);
+    if (!PLAYLIST_TRANSITIONS.includes(playlist?.transition)) errors.push(`${at}.transition is not one of ${PLAYLIST_TRANSITIONS.join(", ")}`);
+    if (!(playlist?.transitionMs >= 0 && playlist.transitionMs <= MAX_TRANSITION_MS))
+      errors.push(`${at}.transitionMs must be 0–${MAX_TRANSITION_MS}`);
+  });
+  return errors;
+}
+
+// The playlist's scenes that are still in the library, in order
+export function playlistSceneIds(playlist, library) {
+  return (playlist?.sceneIds || []).filter((id) => library.scenes[id]);
+}
+
+// Watches key codes for `sequence`; `push(code)` returns true as the last
+// codes pushed complete it
+export function createKeySequence(sequence) {
+  let recent = [];
+  return {
+    push(code) {
+      recent = [...recent, code].slice(-sequence.length);
+      if (!sequence.length || recent.length < sequence.length || recent.some((c, i) => c !== sequence[i])) return false;
+      recent = [];
+      return true;
+    },
+    reset: () => (recent = []),
+  };
+}
+
+// A portrait with no UI framework: the image, sockets, lock and glow, scene
+// library and trigger inputs. The React component and the custom element
+// each keep one for this part of their state, rendering `getState()` and
+// calling back in; the component's editor (undo, zoom, panels, gallery,
+// remote and presentation) stays its own. `subscribe(listener)` (or the `onChange` option) hears every
+// change as `(state, changed)`, `changed` naming the fields; `frame` ({
+// glowIntensity, eyeSockets }) is what to draw and updates every animation
+// frame while a sequence or ambient effect runs. `onMessage(text)` gets
+// status text, `onError(e)` failed writes, and `onSceneSaved` /
+// `onSceneLoaded(slot, profile)` report library use.
+export function createPortraitEngine({
+  storage,
+  instanceId,
+  upload = DEFAULT_UPLOAD,
+  onChange,
+  onMessage,
+  onError,
+  onSceneSaved,
+  onSceneLoaded,
+} = {}) {
+  const scenes = createSceneLibrary({ storage, instanceId });
+  const router = createInputRouter();
+  const listeners = new Set();
+  const blobs = new Map(); // object URL → Blob
+  const urls = new Map(); // image key → object URL
+  const uploads = new Set(); // object URLs of unsaved uploads
+  let clock = null;
+  let upgrades = null; // aborts the background image upgrade
+  let sequenceStart = 0;
+  let ambientStart = 0;
+
+  let state = {
+    image: null,
+    eyeSockets: [],
+    locked: false,
+    glow: 0,
+    hostGlow: 0,
+    glowSources: {}, // further live levels by name, e.g. audio
+    glowOverride: null, // a fixed level that replaces the rest
+    sequence: null,
+    sequencePlaying: false,
+    playhead: 0,
+    scrubbing: false, // hold a stopped sequence's glow at the playhead
+    ambient: null,
+    gaze: null,
+    particles: null,
+    activeSceneId: null,
+    activeSlot: null,
+    library: scenes.get(),
+    bindings: DEFAULT_INPUT_BINDINGS,
+    learning: null,
+    midi: false,
+    frame: { glowIntensity: 0, eyeSockets: [] },
+  };
+
+  // The live glow is the strongest of the manual, host and named levels. A
+  // playing (or scrubbed) sequence and the ambient effects raise each socket
+  // to at least their own level, and an ambient blink then dims the result.
+  // An override wins outright.
+  const frameAt = (now) => {
+    const { eyeSockets, sequence, sequencePlaying, scrubbing, playhead, ambient, glowOverride } = state;
+    const playing = sequencePlaying ? evaluateSequence(sequence, now - sequenceStart) : null;
+    if (glowOverride !== null) return { frame: { glowIntensity: glowOverride, eyeSockets }, playing };
+    const sequenceFrame = playing || (scrubbing && sequence ? evaluateSequence(sequence, playhead) : null);
+    const ambientFrame = ambient?.enabled ? evaluateAmbient(ambient, eyeSockets.length, now - ambientStart) : null;
+    const live = Math.max(state.glow, state.hostGlow, ...Object.values(state.glowSources));
+    const { glowIntensity, levels } = combineGlow(eyeSockets, live, sequenceFrame, ambientFrame);
+    return { frame: { glowIntensity, eyeSockets: socketsWithGain(eyeSockets, levels, glowIntensity) }, playing };
+  };
+
+  const emit = (changed) => {
+    onChange?.(state, changed);
+    listeners.forEach((listener) => listener(state, changed));
+  };
+
+  // Playback stops without a sequence. Its clock restarts on play, or when
+  // a new sequence comes with it; edits made while playing carry on.
+  const set = (patch) => {
+    const now = performance.now();
+    const next = { ...state, ...patch };
+    if (!next.sequence) next.sequencePlaying = false;
+    if (next.sequencePlaying && (!state.sequencePlaying || "sequence" in patch)) sequenceStart = now;
+    if (next.ambient?.enabled && !state.ambient?.enabled) ambientStart = now;
+    if (next.image !== state.image) releaseUpload(state.image);
+    state = next;
+    state.frame = frameAt(now).frame;
+    emit([...Object.keys(patch), "frame"]);
+    animate();
+  };
+
+  // Keep drawing while a sequence plays or ambient effects run
+  const animate = () => {
+    const running = state.sequencePlaying || (state.ambient?.enabled && state.glowOverride === null);
+    if (!running || clock || typeof requestAnimationFrame === "undefined") return;
+    const tick = (now) => {
+      clock = null;
+      const { frame, playing } = frameAt(now);
+      if (playing?.done) {
+        set({ sequencePlaying: false, playhead: playing.time });
+        return;
+      }
+      state = { ...state, frame, playhead: playing ? playing.time : state.playhead };
+      emit(["frame", "playhead"]);
+      animate();
+    };
+    clock = requestAnimationFrame(tick);
+  };
+
+  const message = (text) => onMessage?.(text);
+  const failed = (e, action) => {
+    message(storageErrorMessage(e, action));
+    console.error(e);
+    onError?.(e);
+  };
+  const level = (value) => Math.max(0, Math.min(1, Number(value) || 0));
+
+  // One object URL per image, revoked on dispose. Without a `key` the Blob
+  // is an unsaved upload, let go as soon as the scene moves off it so that
+  // upload after upload doesn't pile up in memory.
+  const imageUrlFor = (blob, key) => {
+    const cached = key ? urls.get(key) : [...blobs.keys()].find((url) => blobs.get(url) === blob);
+    if (cached) return cached;
+    const url = URL.createObjectURL(blob);
+    blobs.set(url, blob);
+    if (key) urls.set(key, url);
+    else uploads.add(url);
+    return url;
+  };
+  const releaseUpload = (url) => {
+    if (!uploads.delete(url)) return;
+    URL.revokeObjectURL(url);
+    blobs.delete(url);
+  };
+
+  scenes.subscribe((library) => set({ library }));
+
+  const engine = {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    library: scenes,
+    imageUrlFor,
+    // The Blob behind a URL from imageUrlFor, e.g. to bring a released
+    // upload back on undo
+    imageBlobFor: (url) => blobs.get(url) ?? null,
+
+    // Read the library and trigger mappings from storage
+    async load() {
+      try {
+        await scenes.load();
+        const saved = await scenes.loadInputMappings();
+        if (saved) set({ bindings: saved.bindings, midi: saved.midi });
+        // Older stored images become shared Blobs, and scenes without a
+        // thumbnail get one, in the background
+        upgrades?.abort();
+        upgrades = new AbortController();
+        scenes.upgradeImages({ signal: upgrades.signal }).catch((e) => console.warn("Could not upgrade stored images", e));
+      } catch (e) {
+        console.warn("Could not load profiles", e);
+      }
+      return state.library;
+    },
+
+    // A File or Blob (downscaled per `upload`) or an image URL. Starts a new,
+    // unsaved scene.
+    async setImage(source) {
+      let image = source;
+      if (source instanceof Blob) {
+        try {
+          image = imageUrlFor(await prepareUpload(source, upload));
+        } catch (e) {
+          message("Could not read that image");
+          console.warn(e);
+          return;
+        }
+      }
+      set({
+        image,
+        eyeSockets: [],
+        locked: false,
+        sequence: null,
+        sequencePlaying: false,
+        ambient: null,
+        gaze: null,
+        particles: null,
+        activeSceneId: null,
+        activeSlot: null,
+      });
+    },
+
+    // Scene fields as given, unchecked: an undo step, or a value a host controls
+    update: (patch) => set(patch),
+
+    setSockets: (eyeSockets) => set({ eyeSockets }),
+    addSocket(x, y) {
+      if (state.locked) return;
+      set({ eyeSockets: [...state.eyeSockets, { x, y }] });
+    },
+    moveSocket(index, x, y) {
+      if (state.locked) return;
+      set({ eyeSockets: state.eyeSockets.map((s, i) => (i === index ? { ...s, x, y } : s)) });
+    },
+    removeSocket(index) {
+      if (state.locked) return;
+      set({
+        eyeSockets: state.eyeSockets.filter((_, i) => i !== index),
+        sequence: state.sequence && removeSocketTrack(state.sequence, index),
+      });
+    },
+    setLocked: (locked) => set({ locked: !!locked }),
+
+    // The manual glow (Space and triggers); `level` may be an updater
+    setGlow: (level) => set({ glow: typeof level === "function" ? level(state.glow) : level }),
+    // A host-driven level, combined with the manual glow by taking the maximum
+    setHostGlow: (value) => set({ hostGlow: level(value) }),
+    // Another live level under `name` (audio, gallery triggers), combined the
+    // same way; 0 removes it
+    setGlowSource(name, value) {
+      const glowSources = { ...state.glowSources, [name]: level(value) };
+      if (!glowSources[name]) delete glowSources[name];
+      set({ glowSources });
+    },
+    // A fixed level in place of everything else, ambient effects included;
+    // null hands the glow back
+    setGlowOverride: (value) => set({ glowOverride: value == null ? null : level(value) }),
+    // Play `sequence`, or the scene's own, from the start
+    playSequence(sequence = state.sequence) {
+      const errors = sequence ? validateSequence(sequence, state.eyeSockets.length) : ["is missing"];
+      if (errors.length) {
+        console.warn("Sequence rejected", errors);
+        return false;
+      }
+      set({ sequence, sequencePlaying: true, playhead: 0 });
+      return true;
+    },
+    stopSequence: () => set({ sequencePlaying: false }),
+    // Stop playback and hold the glow at `time` ms while scrubbing
+    scrubSequence: (time) => set({ sequencePlaying: false, playhead: time }),
+    // Idle effects (missing fields take their defaults), or null to remove
+    // them. Returns false if invalid.
+    setAmbient(settings) {
+      const ambient = settings ? { ...DEFAULT_AMBIENT, ...settings } : null;
+      const errors = ambient ? validateAmbient(ambient) : [];
+      if (errors.length) {
+        console.warn("Ambient settings rejected", errors);
+        return false;
+      }
+      set({ ambient });
+      return true;
+    },
+    // Pupil settings in the same way
+    setGaze(settings) {
+      const gaze = settings ? { ...DEFAULT_GAZE, ...settings } : null;
+      const errors = gaze ? validateGaze(gaze) : [];
+      if (errors.length) {
+        console.warn("Gaze settings rejected", errors);
+        return false;
+      }
+      set({ gaze });
+      return true;
+    },
+    // Particle settings in the same way
+    setParticles(settings) {
+      const particles = settings ? { ...DEFAULT_PARTICLES, ...settings } : null;
+      const errors = particles ? validateParticles(particles) : [];
+      if (errors.length) {
+        console.warn("Particle settings rejected", errors);
+        return false;
+      }
+      set({ particles });
+      return true;
+    },
+
+    async saveScene({ asNew = false, hotkey, name, tags } = {}) {
+      if (!state.image) {
+        message("No image loaded");
+        return;
+      }
+      try {
+        const { image, eyeSockets, locked, sequence, ambient, gaze, particles } = state;
+        const profile = await scenes.saveScene({
+          id: asNew ? null : state.activeSceneId,
+          image: blobs.get(image) ?? image,
+          eyeSockets,
+          locked,
+          sequence,
+          ambient,
+          gaze,
+          particles,
+          name,
+          tags,
+          hotkey,
+        });
+        if (blobs.has(image)) urls.set(profile.imageKey, image);
+        uploads.delete(image);
+        const slot = scenes.hotkeyFor(profile.id);
+        set({ activeSceneId: profile.id, activeSlot: slot });
+        message(hotkey ? `Saved "${profile.name}" to key ${hotkey}` : `Saved "${profile.name}"`);
+        onSceneSaved?.(slot, profile);
+        return profile;
+      } catch (e) {
+        failed(e);
+      }
+    },
+    saveSlot: (slot) => engine.saveScene({ hotkey: slot }),
+
+    // `confirm()`, if given, is asked once the scene checks out and can
+    // cancel the load
+    async loadScene(id, { confirm } = {}) {
+      const checked = scenes.checkScene(id);
+      if (!checked) {
+        message("Scene not found");
+        return;
+      }
+      const { profile, errors } = checked;
+      if (errors.length) {
+        message(`"${profile.name || id}" is invalid: ${errors[0]}`);
+        console.warn(`Scene ${id} failed validation`, errors);
+        return;
+      }
+      if (confirm && !confirm()) return;
+      try {
+        const blob = await scenes.readImage(profile.imageKey);
+        if (!blob) {
+          message(`Image missing for "${profile.name}"`);
+          return;
+        }
+        const slot = scenes.hotkeyFor(id);
+        set({
+          image: imageUrlFor(blob, profile.imageKey),
+          eyeSockets: profile.eyeSockets || [],
+          locked: profile.locked || false,
+          sequence: profile.sequence || null,
+          sequencePlaying: !!profile.sequence?.autoplay,
+          playhead: 0,
+          ambient: profile.ambient || null,
+          gaze: profile.gaze || null,
+          particles: profile.particles || null,
+          activeSceneId: id,
+          activeSlot: slot,
+        });
+        message(`Loaded "${profile.name}"`);
+        onSceneLoaded?.(slot, profile);
+        return profile;
+      } catch (e) {
+        message("Load failed");
+        console.error(e);
+      }
+    },
+    loadSlot(slot, options) {
+      const id = state.library.hotkeys[slot];
+      if (!id) {
+        message(`Key ${slot} has no scene`);
+        return;
+      }
+      return engine.loadScene(id, options);
+    },
+
+    async deleteScene(id) {
+      try {
+        const scene = await scenes.deleteScene(id);
+        if (!scene) return;
+        if (state.activeSceneId === id) set({ activeSceneId: null, activeSlot: null });
+        message(`Deleted "${scene.name}"`);
+        return scene;
+      } catch (e) {
+        failed(e, "Delete");
+      }
+    },
+
+    // The whole library as a bundle object, images embedded
+    exportBundle: () => scenes.exportBundle(),
+
+    // Import a parsed bundle without review: every valid scene is added with
+    // `action` ("merge" copies under new ids, "overwrite" replaces by id).
+    // Resolves to the number imported.
+    async importBundle(data, { action = "merge" } = {}) {
+      try {
+        const entries = parseSceneBundle(data).map((entry) => ({ ...entry, action: entry.errors.length ? "skip" : action }));
+        const imported = await scenes.importScenes(entries);
+        message(`Imported ${imported} scene${imported !== 1 ? "s" : ""}`);
+        return imported;
+      } catch (e) {
+        failed(e, "Import");
+        return 0;
+      }
+    },
+
+    // Route a trigger input ({ source, control, value, pressed }); returns
+    // whether anything used it. `actions` replaces any of the router's
+    // actions, e.g. to guard scene changes.
+    handleInput: (event, actions) =>
+      router.route(event, {
+        bindings: state.bindings,
+        learning: state.learning,
+        onLearn: (binding) => {
+          engine.setInputBindings(withBinding(state.bindings, binding));
+          set({ learning: null });
+          message(`${describeControl(binding)} → ${INPUT_ACTIONS[binding.action].label}${binding.slot ? ` ${binding.slot}` : ""}`);
+        },
+        glow: engine.setGlow,
+        playSequence: engine.playSequence,
+        stopSequence: engine.stopSequence,
+        loadSlot: (slot) => engine.loadSlot(slot),
+        saveSlot: (slot) => engine.saveSlot(slot),
+        ...actions,
+      }),
+    setInputBindings(bindings) {
+      const errors = validateInputBindings(bindings);
+      if (errors.length) {
+        console.warn("Input bindings rejected", errors);
+        return false;
+      }
+      set({ bindings });
+      scenes.saveInputMappings(bindings, state.midi).catch((e) => console.warn("Could not save input mappings", e));
+      return true;
+    },
+    // Whether MIDI input is wanted, remembered with the mappings. The view
+    // connects the device.
+    setMidi(enabled) {
+      set({ midi: !!enabled });
+      scenes.saveInputMappings(state.bindings, state.midi).catch((e) => console.warn("Could not save input mappings", e));
+    },
+    // Bind the next control pressed to `action` (`slot` for scene actions);
+    // null cancels
+    learnInput(action, slot) {
+      if (action && !INPUT_ACTIONS[action]) return false;
+      set({ learning: action ? { action, slot } : null });
+      return true;
+    },
+
+    dispose() {
+      upgrades?.abort();
+      if (clock) cancelAnimationFrame(clock);
+      clock = null;
+      router.reset();
+      blobs.forEach((_, url) => URL.revokeObjectURL(url));
+      blobs.clear();
+      urls.clear();
+      uploads.clear();
+    },
+  };
+  return engine;
+}
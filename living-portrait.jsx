@@ -1,92 +1,153 @@
-import { useState, useEffect, useRef, useCallback } from "react";
-
-const DB_NAME = "LivingPortraitDB";
-const DB_VERSION = 2;
-const IMG_STORE = "images";
-const PROFILE_STORE = "profiles";
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains(IMG_STORE)) db.createObjectStore(IMG_STORE);
-      if (!db.objectStoreNames.contains(PROFILE_STORE)) db.createObjectStore(PROFILE_STORE);
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
-
-async function dbPut(store, key, value) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(store, "readwrite");
-    tx.objectStore(store).put(value, key);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-  });
-}
+import {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useCallback,
+  useMemo,
+  useId,
+  forwardRef,
+  useImperativeHandle,
+  useSyncExternalStore,
+} from "react";
+import {
+  UPLOAD_FORMATS,
+  UPLOAD_MAX_DIMENSIONS,
+  DEFAULT_UPLOAD,
+  prepareUpload,
+  storageErrorMessage,
+  formatBytes,
+  HOTKEY_SLOTS,
+  parseSceneBundle,
+  createPortraitEngine,
+  createAudioGlowDriver,
+  SEQUENCE_MODES,
+  EASINGS,
+  createDefaultSequence,
+  evaluateTrack,
+  removeSocketTrack,
+  DEFAULT_AMBIENT,
+  DEFAULT_GAZE,
+  createGazeLayer,
+  PARTICLE_PRESETS,
+  DEFAULT_PARTICLES,
+  MAX_PARTICLE_BUDGET,
+  createParticleLayer,
+  SOCKET_SHAPES,
+  MAX_SHAPE_POINTS,
+  DEFAULT_FEATHER,
+  createSocketShape,
+  imagePixels,
+  detectEyesInImage,
+  SNAP_MODES,
+  SNAP_MAX_WIDTH,
+  snapToExtreme,
+  DEFAULT_BLEND_MODE,
+  BLEND_MODES,
+  DEFAULT_GLOW_COLOR,
+  GLOW_RENDERERS,
+  resolveGlowRenderer,
+  createGlowLayer,
+  groupByBlendMode,
+  scriptedGlowAt,
+  createScriptedParticles,
+  createPortraitCompositor,
+  exportSize,
+  RECORDING_MAX_WIDTH,
+  createCanvasRecorder,
+  downloadBlob,
+  DEFAULT_GALLERY_TRIGGER,
+  createInstanceId,
+  createGalleryLink,
+  cascadeSchedule,
+  createRemoteClient,
+  INPUT_ACTIONS,
+  DEFAULT_INPUT_BINDINGS,
+  keyboardControl,
+  createMidiInput,
+  createGamepadInput,
+  describeControl,
+  PLAYLIST_TRANSITIONS,
+  DEFAULT_UNLOCK_SEQUENCE,
+  createPlaylist,
+  validatePlaylists,
+  playlistSceneIds,
+  createKeySequence,
+} from "./living-portrait-engine.js";
 
-async function dbGet(store, key) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(store, "readonly");
-    const req = tx.objectStore(store).get(key);
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
+// The engine's public API, so existing imports from this file keep working
+export {
+  migrateProfiles,
+  validateProfiles,
+  createIndexedDBStorage,
+  createMemoryStorage,
+  createRestStorage,
+  createSceneLibrary,
+  createAudioGlowDriver,
+  evaluateSequence,
+  createRandom,
+  evaluateAmbient,
+  createGazeLayer,
+  pupilOffsets,
+  PARTICLE_PRESETS,
+  createParticleSystem,
+  createScriptedParticles,
+  createParticleLayer,
+  detectEyes,
+  snapToExtreme,
+  createCanvas2DGlowRenderer,
+  createWebGLGlowRenderer,
+  GLOW_RENDERERS,
+  resolveGlowRenderer,
+  createGlowRenderer,
+  createGlowLayer,
+  scriptedGlowAt,
+  createPortraitCompositor,
+  renderScriptedFrames,
+  createGalleryLink,
+  cascadeSchedule,
+  decodeOSC,
+  encodeOSC,
+  oscToCommand,
+  createRemoteClient,
+  validateInputBindings,
+  parseMidiMessage,
+  createInputRouter,
+  validatePlaylists,
+  createKeySequence,
+  createPortraitEngine,
+} from "./living-portrait-engine.js";
 
-// Glow overlay rendered on a canvas
-function GlowCanvas({ eyeSockets, glowIntensity, width, height, containerRef }) {
+// Glow rendered on a canvas. Overlay renderers get one canvas per blend mode
+// since mix-blend-mode applies to the whole element. The parent keys this by
+// renderer, as a canvas can't switch context type once it has one.
+function GlowCanvas({
+  renderer = GLOW_RENDERERS.canvas2d,
+  eyeSockets,
+  glowIntensity,
+  width,
+  height,
+  blendMode = DEFAULT_BLEND_MODE,
+  imageRef,
+  onFallback,
+}) {
   const canvasRef = useRef(null);
+  const layerRef = useRef(null);
+  const fallbackRef = useRef(onFallback);
+  fallbackRef.current = onFallback;
 
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas || !width || !height) return;
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext("2d");
-    ctx.clearRect(0, 0, width, height);
-
-    if (glowIntensity <= 0) return;
-
-    eyeSockets.forEach(({ x, y }) => {
-      const px = x * width;
-      const py = y * height;
-      const radius = Math.max(20, width * 0.045);
-      const intensity = glowIntensity;
-
-      // Outer halo
-      const outerGrad = ctx.createRadialGradient(px, py, 0, px, py, radius * 3.5);
-      outerGrad.addColorStop(0, `rgba(255, 20, 0, ${0.25 * intensity})`);
-      outerGrad.addColorStop(0.3, `rgba(200, 0, 0, ${0.12 * intensity})`);
-      outerGrad.addColorStop(1, `rgba(100, 0, 0, 0)`);
-      ctx.fillStyle = outerGrad;
-      ctx.fillRect(px - radius * 4, py - radius * 4, radius * 8, radius * 8);
-
-      // Inner glow
-      const innerGrad = ctx.createRadialGradient(px, py, 0, px, py, radius * 1.5);
-      innerGrad.addColorStop(0, `rgba(255, 80, 30, ${0.9 * intensity})`);
-      innerGrad.addColorStop(0.4, `rgba(255, 20, 0, ${0.5 * intensity})`);
-      innerGrad.addColorStop(1, `rgba(180, 0, 0, 0)`);
-      ctx.fillStyle = innerGrad;
-      ctx.beginPath();
-      ctx.arc(px, py, radius * 1.5, 0, Math.PI * 2);
-      ctx.fill();
-
-      // White-hot core
-      const coreGrad = ctx.createRadialGradient(px, py, 0, px, py, radius * 0.5);
-      coreGrad.addColorStop(0, `rgba(255, 220, 180, ${0.95 * intensity})`);
-      coreGrad.addColorStop(0.5, `rgba(255, 120, 40, ${0.6 * intensity})`);
-      coreGrad.addColorStop(1, `rgba(255, 40, 0, 0)`);
-      ctx.fillStyle = coreGrad;
-      ctx.beginPath();
-      ctx.arc(px, py, radius * 0.5, 0, Math.PI * 2);
-      ctx.fill();
-    });
-  }, [eyeSockets, glowIntensity, width, height]);
+    const layer = createGlowLayer(canvasRef.current, renderer, { onFallback: (err) => fallbackRef.current?.(err) });
+    layerRef.current = layer;
+    return () => {
+      layer.dispose();
+      layerRef.current = null;
+    };
+  }, [renderer]);
+
+  useEffect(() => {
+    layerRef.current?.update({ eyeSockets, glowIntensity, width, height, image: imageRef?.current });
+  }, [renderer, eyeSockets, glowIntensity, width, height, imageRef]);
 
   return (
     <canvas
@@ -98,78 +159,2333 @@ function GlowCanvas({ eyeSockets, glowIntensity, width, height, containerRef })
         width: "100%",
         height: "100%",
         pointerEvents: "none",
-        mixBlendMode: "screen",
+        mixBlendMode: renderer.composite === "full" ? "normal" : blendMode,
         zIndex: 3,
       }}
     />
   );
 }
 
-export default function LivingPortrait() {
-  const [imageData, setImageData] = useState(null);
-  const [eyeSockets, setEyeSockets] = useState([]);
-  const [locked, setLocked] = useState(false);
-  const [glowIntensity, setGlowIntensity] = useState(0);
+// Pupils on their own canvas under the glow. They follow the pointer anywhere
+// on the page, or `target` (normalised image coordinates, null for straight
+// ahead) when the host sets one. `layerRef` exposes the layer for capture.
+function GazeCanvas({ eyeSockets, gaze, width, height, target, layerRef, style }) {
+  const canvasRef = useRef(null);
+  const targetKey = target === undefined ? "pointer" : target ? `${target.x},${target.y}` : "ahead";
+
+  useEffect(() => {
+    const layer = createGazeLayer(canvasRef.current);
+    layerRef.current = layer;
+    return () => {
+      layer.dispose();
+      layerRef.current = null;
+    };
+  }, [layerRef]);
+
+  useEffect(() => {
+    layerRef.current?.update({ eyeSockets, gaze, width, height });
+  }, [eyeSockets, gaze, width, height, layerRef]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (target !== undefined) {
+      layer?.lookAt(target);
+      return;
+    }
+    const follow = (e) => {
+      const rect = canvasRef.current.getBoundingClientRect();
+      if (rect.width && rect.height) layer?.lookAt({ x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height });
+    };
+    // Leaving the window: look straight ahead again
+    const leave = (e) => !e.relatedTarget && layer?.lookAt(null);
+    window.addEventListener("pointermove", follow);
+    document.addEventListener("pointerout", leave);
+    return () => {
+      window.removeEventListener("pointermove", follow);
+      document.removeEventListener("pointerout", leave);
+    };
+  }, [targetKey, layerRef]);
+
+  return <canvas ref={canvasRef} style={{ position: "absolute", top: 0, left: 0, width: "100%", height: "100%", pointerEvents: "none", ...style }} />;
+}
+
+// Particles drifting from the sockets, simulated on their own animation
+// frames. Re-rendered with every glow change, which only feeds the emitters.
+// `layerRef` exposes the layer for capture.
+function ParticleCanvas({ eyeSockets, glowIntensity, particles, width, height, layerRef, style }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const layer = createParticleLayer(canvasRef.current);
+    layerRef.current = layer;
+    return () => {
+      layer.dispose();
+      layerRef.current = null;
+    };
+  }, [layerRef]);
+
+  useEffect(() => {
+    layerRef.current?.update({ eyeSockets, glowIntensity, particles, width, height });
+  }, [eyeSockets, glowIntensity, particles, width, height, layerRef]);
+
+  return <canvas ref={canvasRef} style={{ position: "absolute", top: 0, left: 0, width: "100%", height: "100%", pointerEvents: "none", ...style }} />;
+}
+
+// Outline and handles for the selected socket's mask. An ellipse has a handle
+// at the end of each axis, and the long one also turns it; a polygon has one
+// per vertex and one mid-edge that adds a vertex when dragged. Double-click a
+// vertex to remove it. `onBegin` fires once per drag, before the first change.
+function ShapeHandles({ socket, width, height, scale, containerRef, onBegin, onChange }) {
+  const { shape } = socket;
+  const aspect = width && height ? height / width : 1;
+  const handleStyle = (x, y, round = true) => ({
+    position: "absolute",
+    left: `${x * 100}%`,
+    top: `${y * 100}%`,
+    width: 12,
+    height: 12,
+    marginLeft: -6,
+    marginTop: -6,
+    borderRadius: round ? "50%" : 2,
+    border: "2px solid #d4c5a0",
+    background: "rgba(30,20,10,0.6)",
+    boxSizing: "border-box",
+    cursor: "move",
+    zIndex: 11,
+    touchAction: "none",
+    transform: `scale(${1 / scale})`,
+  });
+
+  // Follow one pointer, reporting normalised image positions
+  const drag = (e, move) => {
+    if (!e.isPrimary) return;
+    e.stopPropagation();
+    const handle = e.currentTarget;
+    handle.setPointerCapture(e.pointerId);
+    const origin = { x: e.clientX, y: e.clientY };
+    let moved = false;
+    const handleMove = (me) => {
+      if (!moved) {
+        if (Math.hypot(me.clientX - origin.x, me.clientY - origin.y) < DRAG_THRESHOLD_PX) return;
+        moved = true;
+        onBegin();
+      }
+      const rect = containerRef.current.getBoundingClientRect();
+      move({ x: (me.clientX - rect.left) / rect.width, y: (me.clientY - rect.top) / rect.height });
+    };
+    const finish = () => {
+      handle.removeEventListener("pointermove", handleMove);
+      handle.removeEventListener("pointerup", finish);
+      handle.removeEventListener("pointercancel", finish);
+    };
+    handle.addEventListener("pointermove", handleMove);
+    handle.addEventListener("pointerup", finish);
+    handle.addEventListener("pointercancel", finish);
+  };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  const stop = (e) => e.stopPropagation();
+
+  if (shape.type === "ellipse") {
+    const angle = ((shape.rotation ?? 0) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Offsets from the socket in image widths
+    const offset = (p) => ({ dx: p.x - socket.x, dy: (p.y - socket.y) * aspect });
+    const major = { x: socket.x + shape.rx * cos, y: socket.y + (shape.rx * sin) / aspect };
+    const minor = { x: socket.x - shape.ry * sin, y: socket.y + (shape.ry * cos) / aspect };
+    return (
+      <>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none", zIndex: 9 }}
+        >
+          <ellipse
+            cx={socket.x * width}
+            cy={socket.y * height}
+            rx={shape.rx * width}
+            ry={shape.ry * width}
+            transform={`rotate(${shape.rotation ?? 0} ${socket.x * width} ${socket.y * height})`}
+            fill="none"
+            stroke="#d4c5a0"
+            strokeDasharray="4 3"
+            vectorEffect="non-scaling-stroke"
+          />
+        </svg>
+        <div
+          style={handleStyle(major.x, major.y)}
+          title="Drag to stretch and turn"
+          onClick={stop}
+          onPointerDown={(e) =>
+            drag(e, (p) => {
+              const { dx, dy } = offset(p);
+              onChange({ ...shape, rx: clamp(Math.hypot(dx, dy), 0.001, 0.5), rotation: Math.round((Math.atan2(dy, dx) * 180) / Math.PI) });
+            })
+          }
+        />
+        <div
+          style={handleStyle(minor.x, minor.y)}
+          title="Drag to widen"
+          onClick={stop}
+          onPointerDown={(e) =>
+            drag(e, (p) => {
+              const { dx, dy } = offset(p);
+              onChange({ ...shape, ry: clamp(Math.abs(-dx * sin + dy * cos), 0.001, 0.5) });
+            })
+          }
+        />
+      </>
+    );
+  }
+
+  const points = shape.points.map((p) => ({ x: socket.x + p.x, y: socket.y + p.y }));
+  const toOffset = (p) => ({ x: clamp(p.x - socket.x, -1, 1), y: clamp(p.y - socket.y, -1, 1) });
+  const withPoint = (i, p, insert = false) => {
+    const next = [...shape.points];
+    next.splice(i, insert ? 0 : 1, toOffset(p));
+    return { ...shape, points: next };
+  };
+  return (
+    <>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none", zIndex: 9 }}
+      >
+        <polygon
+          points={points.map((p) => `${p.x * width},${p.y * height}`).join(" ")}
+          fill="none"
+          stroke="#d4c5a0"
+          strokeDasharray="4 3"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      {points.map((p, i) => (
+        <div
+          key={`vertex-${i}`}
+          style={handleStyle(p.x, p.y, false)}
+          title="Drag to reshape • Double-click to remove"
+          onClick={stop}
+          onDoubleClick={(e) => {
+            e.stopPropagation();
+            if (shape.points.length <= 3) return;
+            onBegin();
+            onChange({ ...shape, points: shape.points.filter((_, j) => j !== i) });
+          }}
+          onPointerDown={(e) => drag(e, (q) => onChange(withPoint(i, q)))}
+        />
+      ))}
+      {shape.points.length < MAX_SHAPE_POINTS &&
+        points.map((p, i) => {
+          const next = points[(i + 1) % points.length];
+          const mid = { x: (p.x + next.x) / 2, y: (p.y + next.y) / 2 };
+          return (
+            <div
+              key={`edge-${i}`}
+              style={{ ...handleStyle(mid.x, mid.y), width: 8, height: 8, marginLeft: -4, marginTop: -4, opacity: 0.6 }}
+              title="Drag to add a point"
+              onClick={stop}
+              onPointerDown={(e) =>
+                // Each move inserts into the shape as it was when the drag began
+                drag(e, (q) => onChange(withPoint(i + 1, q, true)))
+              }
+            />
+          );
+        })}
+    </>
+  );
+}
+
+// Style editor for the selected eye socket
+function SocketInspector({
+  index,
+  socket,
+  gaze,
+  drawing,
+  preview,
+  onPreviewChange,
+  onChange,
+  onDrawShape,
+  onFinishShape,
+  onCancelShape,
+  onDelete,
+  onClose,
+}) {
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        maxWidth: 700,
+        width: "100%",
+        background: "rgba(30,20,10,0.6)",
+        border: "1px solid #2a2218",
+        borderRadius: 4,
+        padding: "12px 16px",
+        display: "flex",
+        flexWrap: "wrap",
+        gap: 16,
+        alignItems: "center",
+      }}
+    >
+      <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Eye {index + 1}</span>
+      <label style={labelStyle}>
+        Colour
+        <input
+          type="color"
+          value={socket.color || DEFAULT_GLOW_COLOR}
+          onChange={(e) => onChange({ color: e.target.value })}
+          style={{ width: 32, height: 22, border: "none", background: "none", cursor: "pointer" }}
+        />
+      </label>
+      <label style={labelStyle}>
+        Size
+        <input
+          type="range"
+          min={0.25}
+          max={3}
+          step={0.05}
+          value={socket.size ?? 1}
+          onChange={(e) => onChange({ size: parseFloat(e.target.value) })}
+        />
+      </label>
+      <label style={labelStyle} title="Halo ← → Core">
+        Halo / Core
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={socket.balance ?? 0.5}
+          onChange={(e) => onChange({ balance: parseFloat(e.target.value) })}
+        />
+      </label>
+      <label style={labelStyle}>
+        Blend
+        <select
+          value={socket.blendMode || DEFAULT_BLEND_MODE}
+          onChange={(e) => onChange({ blendMode: e.target.value })}
+          style={{ ...buttonStyle, padding: "4px 8px" }}
+        >
+          {BLEND_MODES.map((mode) => (
+            <option key={mode} value={mode}>
+              {mode}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={labelStyle} title="A mask that shapes and clips the glow">
+        Shape
+        <select
+          value={socket.shape?.type || "point"}
+          onChange={(e) => onChange({ shape: createSocketShape(e.target.value) ?? undefined })}
+          style={{ ...buttonStyle, padding: "4px 8px" }}
+        >
+          <option value="point">point</option>
+          {SOCKET_SHAPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+      </label>
+      {socket.shape?.type === "ellipse" &&
+        [
+          ["rx", "Width", 0.005, 0.2, 0.001],
+          ["ry", "Height", 0.005, 0.2, 0.001],
+          ["rotation", "Tilt", -90, 90, 1],
+        ].map(([key, label, min, max, step]) => (
+          <label key={key} style={labelStyle}>
+            {label}
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={socket.shape[key] ?? 0}
+              onChange={(e) => onChange({ shape: { ...socket.shape, [key]: parseFloat(e.target.value) } })}
+            />
+          </label>
+        ))}
+      {socket.shape?.type === "polygon" &&
+        (drawing ? (
+          <span style={{ display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", color: "#887766", letterSpacing: "0.08em" }}>
+            Click around the eye, then click the first point or press Enter
+            <button onClick={onFinishShape} disabled={drawing.points.length < 3} style={buttonStyle}>
+              Finish
+            </button>
+            <button onClick={onCancelShape} style={buttonStyle}>
+              Cancel
+            </button>
+          </span>
+        ) : (
+          <button onClick={onDrawShape} style={buttonStyle} title="Replace the outline by clicking points on the portrait">
+            Draw Outline
+          </button>
+        ))}
+      {socket.shape && (
+        <label style={labelStyle} title="Softness of the mask's edge">
+          Feather
+          <input
+            type="range"
+            min={0}
+            max={0.05}
+            step={0.001}
+            value={socket.shape.feather ?? DEFAULT_FEATHER}
+            onChange={(e) => onChange({ shape: { ...socket.shape, feather: parseFloat(e.target.value) } })}
+          />
+        </label>
+      )}
+      {gaze && (
+        <label style={labelStyle} title="How far this pupil may follow the viewer; 0 holds it still">
+          Pupil travel
+          <input
+            type="range"
+            min={0}
+            max={0.05}
+            step={0.001}
+            value={socket.gazeRange ?? gaze.range}
+            onChange={(e) => onChange({ gazeRange: parseFloat(e.target.value) })}
+          />
+        </label>
+      )}
+      <label style={labelStyle}>
+        <input type="checkbox" checked={preview} onChange={(e) => onPreviewChange(e.target.checked)} />
+        Preview
+      </label>
+      <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+        <button
+          onClick={() =>
+            onChange({ color: undefined, size: undefined, balance: undefined, blendMode: undefined, gazeRange: undefined, shape: undefined })
+          }
+          style={buttonStyle}
+        >
+          Reset
+        </button>
+        <button onClick={onDelete} style={buttonStyle}>
+          Delete
+        </button>
+        <button onClick={onClose} style={buttonStyle}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Settings for the procedural idle effects
+function AmbientPanel({ ambient, onChange, onClose }) {
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const panelStyle = {
+    marginTop: 16,
+    maxWidth: 700,
+    width: "100%",
+    background: "rgba(30,20,10,0.6)",
+    border: "1px solid #2a2218",
+    borderRadius: 4,
+    padding: "12px 16px",
+    boxSizing: "border-box",
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 16,
+    alignItems: "center",
+  };
+  const title = <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Ambient</span>;
+
+  if (!ambient) {
+    return (
+      <div style={panelStyle}>
+        {title}
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>
+          Breathing, flicker, glances and blinks between triggers.
+        </span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={() => onChange({ ...DEFAULT_AMBIENT })} style={buttonStyle}>
+            Add Effects
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const set = (patch) => onChange({ ...ambient, ...patch });
+  const slider = (key, label, max, step) => (
+    <label style={labelStyle}>
+      {label}
+      <input type="range" min={0} max={max} step={step} value={ambient[key]} onChange={(e) => set({ [key]: parseFloat(e.target.value) })} />
+    </label>
+  );
+
+  return (
+    <div style={panelStyle} onKeyDown={(e) => e.target.tagName === "INPUT" && e.stopPropagation()}>
+      {title}
+      <label style={labelStyle}>
+        <input type="checkbox" checked={ambient.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        Enabled
+      </label>
+      {slider("breathing", "Breathing", 0.5, 0.01)}
+      <label style={labelStyle}>
+        Breath (s)
+        <input
+          type="number"
+          min={0.5}
+          step={0.5}
+          value={ambient.breathingPeriod / 1000}
+          onChange={(e) => {
+            const period = Math.round(parseFloat(e.target.value) * 1000);
+            if (period > 0) set({ breathingPeriod: period });
+          }}
+          style={{ ...buttonStyle, padding: "4px 8px", width: 60, cursor: "text", userSelect: "text" }}
+        />
+      </label>
+      {slider("flicker", "Flicker", 0.3, 0.01)}
+      {slider("glances", "Glances / min", 12, 0.5)}
+      {slider("glanceStrength", "Glance", 1, 0.05)}
+      {slider("blinks", "Blinks / min", 20, 0.5)}
+      <label style={labelStyle} title="The same seed always plays the same glances, blinks and flicker">
+        Seed
+        <input
+          type="number"
+          step={1}
+          value={ambient.seed}
+          onChange={(e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (Number.isInteger(seed)) set({ seed });
+          }}
+          style={{ ...buttonStyle, padding: "4px 8px", width: 90, cursor: "text", userSelect: "text" }}
+        />
+      </label>
+      <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+        <button onClick={() => set({ seed: Math.floor(Math.random() * 1e6) })} style={buttonStyle}>
+          New Seed
+        </button>
+        <button onClick={() => set({ ...DEFAULT_AMBIENT, enabled: ambient.enabled, seed: ambient.seed })} style={buttonStyle}>
+          Reset
+        </button>
+        <button onClick={() => onChange(null)} style={buttonStyle}>
+          Remove
+        </button>
+        <button onClick={onClose} style={buttonStyle}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Settings for the pupils that follow the viewer
+function GazePanel({ gaze, onChange, onClose }) {
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const panelStyle = {
+    marginTop: 16,
+    maxWidth: 700,
+    width: "100%",
+    background: "rgba(30,20,10,0.6)",
+    border: "1px solid #2a2218",
+    borderRadius: 4,
+    padding: "12px 16px",
+    boxSizing: "border-box",
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 16,
+    alignItems: "center",
+  };
+  const title = <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Gaze</span>;
+
+  if (!gaze) {
+    return (
+      <div style={panelStyle}>
+        {title}
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>Pupils in each socket that follow the viewer.</span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={() => onChange({ ...DEFAULT_GAZE })} style={buttonStyle}>
+            Add Pupils
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const set = (patch) => onChange({ ...gaze, ...patch });
+  const slider = (key, label, max, step) => (
+    <label style={labelStyle}>
+      {label}
+      <input type="range" min={0} max={max} step={step} value={gaze[key]} onChange={(e) => set({ [key]: parseFloat(e.target.value) })} />
+    </label>
+  );
+
+  return (
+    <div style={panelStyle} onKeyDown={(e) => e.target.tagName === "INPUT" && e.stopPropagation()}>
+      {title}
+      <label style={labelStyle}>
+        <input type="checkbox" checked={gaze.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        Enabled
+      </label>
+      <label style={labelStyle}>
+        Colour
+        <input
+          type="color"
+          value={gaze.color}
+          onChange={(e) => set({ color: e.target.value })}
+          style={{ width: 32, height: 22, border: "none", background: "none", cursor: "pointer" }}
+        />
+      </label>
+      {slider("size", "Pupil size", 0.05, 0.001)}
+      {slider("range", "Travel", 0.05, 0.001)}
+      {slider("smoothing", "Smoothing (ms)", 1000, 10)}
+      {slider("saccades", "Saccades / min", 120, 1)}
+      {slider("jitter", "Saccade size", 1, 0.05)}
+      <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+        <button onClick={() => set({ seed: Math.floor(Math.random() * 1e6) })} style={buttonStyle} title="Play a different run of saccades">
+          New Seed
+        </button>
+        <button onClick={() => set({ ...DEFAULT_GAZE, enabled: gaze.enabled, seed: gaze.seed })} style={buttonStyle}>
+          Reset
+        </button>
+        <button onClick={() => onChange(null)} style={buttonStyle}>
+          Remove
+        </button>
+        <button onClick={onClose} style={buttonStyle}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Settings for the embers, smoke or tears the sockets give off
+function ParticlePanel({ particles, onChange, onClose }) {
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const panelStyle = {
+    marginTop: 16,
+    maxWidth: 700,
+    width: "100%",
+    background: "rgba(30,20,10,0.6)",
+    border: "1px solid #2a2218",
+    borderRadius: 4,
+    padding: "12px 16px",
+    boxSizing: "border-box",
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 16,
+    alignItems: "center",
+  };
+  const title = <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Particles</span>;
+
+  if (!particles) {
+    return (
+      <div style={panelStyle}>
+        {title}
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>
+          Embers, smoke or tears from each socket, thicker as it glows.
+        </span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={() => onChange({ ...DEFAULT_PARTICLES })} style={buttonStyle}>
+            Add Particles
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const set = (patch) => onChange({ ...particles, ...patch });
+  const slider = (key, label, min, max, step) => (
+    <label style={labelStyle}>
+      {label}
+      <input type="range" min={min} max={max} step={step} value={particles[key]} onChange={(e) => set({ [key]: parseFloat(e.target.value) })} />
+    </label>
+  );
+
+  return (
+    <div style={panelStyle} onKeyDown={(e) => (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") && e.stopPropagation()}>
+      {title}
+      <label style={labelStyle}>
+        <input type="checkbox" checked={particles.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        Enabled
+      </label>
+      <label style={labelStyle} title="Choosing a preset replaces the settings below">
+        Preset
+        <select
+          value={particles.preset}
+          onChange={(e) => set({ preset: e.target.value, ...PARTICLE_PRESETS[e.target.value] })}
+          style={{ ...buttonStyle, padding: "4px 8px" }}
+        >
+          {Object.keys(PARTICLE_PRESETS).map((preset) => (
+            <option key={preset} value={preset}>
+              {preset}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        Colour
+        <input
+          type="color"
+          value={particles.color}
+          onChange={(e) => set({ color: e.target.value })}
+          style={{ width: 32, height: 22, border: "none", background: "none", cursor: "pointer" }}
+        />
+      </label>
+      {slider("rate", "Per second", 0, 60, 0.1)}
+      {slider("life", "Life (ms)", 200, 10000, 100)}
+      {slider("size", "Size", 0, 0.03, 0.0005)}
+      {slider("speed", "Speed", 0, 0.2, 0.001)}
+      {slider("spread", "Spread", 0, 2, 0.05)}
+      {slider("gravity", "Rise ← → fall", -0.2, 0.2, 0.005)}
+      {slider("drag", "Drag", 0, 5, 0.1)}
+      {slider("turbulence", "Turbulence", 0, 0.2, 0.005)}
+      <label style={labelStyle} title="Most particles alive at once; lower it for slow kiosk hardware">
+        Budget
+        <input
+          type="number"
+          min={0}
+          max={MAX_PARTICLE_BUDGET}
+          step={10}
+          value={particles.budget}
+          onChange={(e) => {
+            const budget = parseInt(e.target.value, 10);
+            if (budget >= 0 && budget <= MAX_PARTICLE_BUDGET) set({ budget });
+          }}
+          style={{ ...buttonStyle, padding: "4px 8px", width: 70, cursor: "text", userSelect: "text" }}
+        />
+      </label>
+      <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+        <button onClick={() => set({ seed: Math.floor(Math.random() * 1e6) })} style={buttonStyle} title="Play a different run of particles">
+          New Seed
+        </button>
+        <button onClick={() => set({ ...PARTICLE_PRESETS[particles.preset] })} style={buttonStyle}>
+          Reset
+        </button>
+        <button onClick={() => onChange(null)} style={buttonStyle}>
+          Remove
+        </button>
+        <button onClick={onClose} style={buttonStyle}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Keyframe editor for the glow sequence. Double-click the graph to add a
+// keyframe, drag keyframes to move them and click or drag to scrub.
+function TimelineEditor({ sequence, socketCount, playing, playhead, onChange, onScrub, onPlay, onStop, onCreate, onRemove, onClose }) {
+  const [track, setTrack] = useState("all");
+  const [selectedKey, setSelectedKey] = useState(null);
+  const graphRef = useRef(null);
+
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const fieldStyle = { ...buttonStyle, padding: "4px 8px", width: 70, cursor: "text", userSelect: "text" };
+  const panelStyle = {
+    marginTop: 16,
+    maxWidth: 700,
+    width: "100%",
+    background: "rgba(30,20,10,0.6)",
+    border: "1px solid #2a2218",
+    borderRadius: 4,
+    padding: "12px 16px",
+    boxSizing: "border-box",
+  };
+
+  // Fall back to the shared track when a socket track disappears
+  const trackKey = track === "all" || Number(track) < socketCount ? track : "all";
+  const keyframes = sequence?.tracks[trackKey] || [];
+  const selected = keyframes[selectedKey] ? selectedKey : null;
+
+  const curve = useMemo(() => {
+    if (!sequence) return "";
+    const samples = 120;
+    const frames = sequence.tracks[trackKey]?.length ? sequence.tracks[trackKey] : sequence.tracks.all;
+    return Array.from({ length: samples + 1 }, (_, i) => {
+      const value = evaluateTrack(frames, (i / samples) * sequence.duration) ?? 0;
+      return `${(i / samples) * 1000},${(1 - value) * 100}`;
+    }).join(" ");
+  }, [sequence, trackKey]);
+
+  if (!sequence) {
+    return (
+      <div style={{ ...panelStyle, display: "flex", gap: 16, alignItems: "center" }}>
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>This scene has no glow sequence.</span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={onCreate} style={buttonStyle}>
+            Create Sequence
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const setKeyframes = (next) => {
+    const tracks = { ...sequence.tracks, [trackKey]: next };
+    if (!next.length && trackKey !== "all") delete tracks[trackKey];
+    onChange({ ...sequence, tracks });
+  };
+  const updateKeyframe = (idx, patch) => setKeyframes(keyframes.map((k, i) => (i === idx ? { ...k, ...patch } : k)));
+
+  // Graph position of a pointer event as sequence time and glow value
+  const pointAt = (e) => {
+    const rect = graphRef.current.getBoundingClientRect();
+    const px = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const py = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+    return { t: Math.round(px * sequence.duration), value: Math.round((1 - py) * 100) / 100 };
+  };
+
+  const handleGraphPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    onScrub(pointAt(e).t);
+  };
+  const handleGraphPointerMove = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) onScrub(pointAt(e).t);
+  };
+  const handleGraphDoubleClick = (e) => {
+    if (e.target.dataset.keyframe) return;
+    const { t, value } = pointAt(e);
+    setKeyframes([...keyframes, { t, value, ease: "linear" }]);
+    setSelectedKey(keyframes.length);
+  };
+
+  const handleKeyPointerDown = (e, idx) => {
+    e.stopPropagation();
+    setSelectedKey(idx);
+    const handle = e.currentTarget;
+    handle.setPointerCapture(e.pointerId);
+    const handleMove = (me) => updateKeyframe(idx, pointAt(me));
+    const handleUp = () => {
+      handle.removeEventListener("pointermove", handleMove);
+      handle.removeEventListener("pointerup", handleUp);
+    };
+    handle.addEventListener("pointermove", handleMove);
+    handle.addEventListener("pointerup", handleUp);
+  };
+
+  // Shorter durations pull later keyframes back to the new end
+  const setDuration = (seconds) => {
+    const duration = Math.round(seconds * 1000);
+    if (!(duration > 0)) return;
+    const tracks = Object.fromEntries(
+      Object.entries(sequence.tracks).map(([key, frames]) => [key, frames.map((k) => (k.t > duration ? { ...k, t: duration } : k))])
+    );
+    onChange({ ...sequence, duration, tracks });
+  };
+
+  return (
+    <div style={panelStyle} onKeyDown={(e) => ["INPUT", "SELECT"].includes(e.target.tagName) && e.stopPropagation()}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 16, alignItems: "center", marginBottom: 12 }}>
+        <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Timeline</span>
+        <label style={labelStyle}>
+          Track
+          <select
+            value={trackKey}
+            onChange={(e) => {
+              setTrack(e.target.value);
+              setSelectedKey(null);
+            }}
+            style={{ ...buttonStyle, padding: "4px 8px" }}
+          >
+            <option value="all">All sockets</option>
+            {Array.from({ length: socketCount }, (_, i) => (
+              <option key={i} value={String(i)}>
+                Eye {i + 1}
+                {sequence.tracks[i]?.length ? "" : " (uses All)"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Length (s)
+          <input
+            type="number"
+            min={0.1}
+            step={0.1}
+            value={sequence.duration / 1000}
+            onChange={(e) => setDuration(parseFloat(e.target.value))}
+            style={fieldStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          Mode
+          <select
+            value={sequence.mode}
+            onChange={(e) => onChange({ ...sequence, mode: e.target.value })}
+            style={{ ...buttonStyle, padding: "4px 8px" }}
+          >
+            {SEQUENCE_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {mode}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle} title="Start playing when the scene is loaded">
+          <input type="checkbox" checked={!!sequence.autoplay} onChange={(e) => onChange({ ...sequence, autoplay: e.target.checked })} />
+          Autoplay
+        </label>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={playing ? onStop : onPlay} style={buttonStyle}>
+            {playing ? "Stop" : "Play"}
+          </button>
+          <button onClick={onRemove} style={buttonStyle}>
+            Remove
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={graphRef}
+        onPointerDown={handleGraphPointerDown}
+        onPointerMove={handleGraphPointerMove}
+        onDoubleClick={handleGraphDoubleClick}
+        style={{
+          position: "relative",
+          height: 120,
+          background: "rgba(0,0,0,0.3)",
+          border: "1px solid #2a2218",
+          borderRadius: 3,
+          cursor: "crosshair",
+          touchAction: "none",
+        }}
+      >
+        <svg viewBox="0 0 1000 100" preserveAspectRatio="none" style={{ position: "absolute", inset: 0, width: "100%", height: "100%" }}>
+          <polyline
+            points={curve}
+            fill="none"
+            stroke={keyframes.length ? "#c4b5a0" : "#554433"}
+            strokeWidth={1.5}
+            vectorEffect="non-scaling-stroke"
+          />
+        </svg>
+        <div
+          style={{
+            position: "absolute",
+            top: 0,
+            bottom: 0,
+            left: `${(playhead / sequence.duration) * 100}%`,
+            width: 1,
+            background: "rgba(255,80,40,0.7)",
+            pointerEvents: "none",
+          }}
+        />
+        {keyframes.map((k, i) => (
+          <div
+            key={i}
+            data-keyframe={i}
+            onPointerDown={(e) => handleKeyPointerDown(e, i)}
+            title={`${(k.t / 1000).toFixed(2)}s · ${k.value.toFixed(2)}`}
+            style={{
+              position: "absolute",
+              left: `${(k.t / sequence.duration) * 100}%`,
+              top: `${(1 - k.value) * 100}%`,
+              width: 10,
+              height: 10,
+              transform: "translate(-50%, -50%) rotate(45deg)",
+              background: i === selected ? "#ff6a3d" : "#8b7355",
+              border: "1px solid #c4b5a0",
+              cursor: "grab",
+            }}
+          />
+        ))}
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 16, alignItems: "center", marginTop: 12, minHeight: 28 }}>
+        {selected === null ? (
+          <span style={{ fontSize: "0.7rem", color: "#665544", letterSpacing: "0.08em" }}>
+            {keyframes.length ? "Select a keyframe to edit it" : "Double-click the graph to add a keyframe"}
+          </span>
+        ) : (
+          <>
+            <label style={labelStyle}>
+              Time (s)
+              <input
+                type="number"
+                min={0}
+                max={sequence.duration / 1000}
+                step={0.05}
+                value={keyframes[selected].t / 1000}
+                onChange={(e) => {
+                  const t = Math.round(parseFloat(e.target.value) * 1000);
+                  if (t >= 0 && t <= sequence.duration) updateKeyframe(selected, { t });
+                }}
+                style={fieldStyle}
+              />
+            </label>
+            <label style={labelStyle}>
+              Glow
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={keyframes[selected].value}
+                onChange={(e) => updateKeyframe(selected, { value: parseFloat(e.target.value) })}
+              />
+            </label>
+            <label style={labelStyle} title="Curve from this keyframe to the next">
+              Ease
+              <select
+                value={keyframes[selected].ease || "linear"}
+                onChange={(e) => updateKeyframe(selected, { ease: e.target.value })}
+                style={{ ...buttonStyle, padding: "4px 8px" }}
+              >
+                {Object.keys(EASINGS).map((ease) => (
+                  <option key={ease} value={ease}>
+                    {ease}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => {
+                setKeyframes(keyframes.filter((_, i) => i !== selected));
+                setSelectedKey(null);
+              }}
+              style={{ ...buttonStyle, marginLeft: "auto" }}
+            >
+              Delete Keyframe
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Bindings from keys, MIDI pads and gamepad buttons to actions. "Learn" binds
+// the next key, pad or button pressed to that row's action.
+function InputPanel({ bindings, learning, midiStatus, onLearn, onRemove, onReset, onMidi, onClose }) {
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const rows = Object.entries(INPUT_ACTIONS).flatMap(([action, { label, slot }]) =>
+    slot ? HOTKEY_SLOTS.map((n) => ({ action, slot: n, label: `${label} ${n}` })) : [{ action, label }]
+  );
+  const isLearning = (row) => learning && learning.action === row.action && learning.slot === row.slot;
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        maxWidth: 700,
+        width: "100%",
+        background: "rgba(30,20,10,0.6)",
+        border: "1px solid #2a2218",
+        borderRadius: 4,
+        padding: "12px 16px",
+        boxSizing: "border-box",
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 6 }}>
+        <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Inputs</span>
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>
+          {learning ? "Press a key, pad or button… (Esc cancels)" : "Keyboard, MIDI and gamepad triggers"}
+        </span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={onMidi} style={buttonStyle} title={midiStatus === "error" ? "Web MIDI is unavailable or was refused" : undefined}>
+            {midiStatus === "on" ? "MIDI: on" : midiStatus === "error" ? "MIDI: unavailable" : "Enable MIDI"}
+          </button>
+          <button onClick={onReset} style={buttonStyle}>
+            Reset
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+
+      {rows.map((row) => {
+        const bound = bindings.filter((b) => b.action === row.action && b.slot === row.slot);
+        return (
+          <div
+            key={`${row.action}-${row.slot ?? ""}`}
+            style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: "0.75rem" }}
+          >
+            <span style={{ width: 140, color: "#c4b5a0", letterSpacing: "0.05em" }}>{row.label}</span>
+            {bound.map((binding) => (
+              <span
+                key={`${binding.source}:${binding.control}`}
+                style={{
+                  border: "1px solid #444",
+                  borderRadius: 3,
+                  padding: "2px 4px 2px 8px",
+                  color: "#887766",
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 4,
+                }}
+              >
+                {describeControl(binding)}
+                <button
+                  onClick={() => onRemove(binding)}
+                  aria-label={`Unbind ${describeControl(binding)} from ${row.label}`}
+                  style={{ ...buttonStyle, border: "none", padding: "0 4px" }}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <button
+              onClick={() => onLearn(isLearning(row) ? null : { action: row.action, slot: row.slot })}
+              style={{ ...buttonStyle, marginLeft: "auto", background: isLearning(row) ? "rgba(139,115,85,0.35)" : buttonStyle.background }}
+            >
+              {isLearning(row) ? "Listening…" : "Learn"}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Storage use and upload settings. `info` is null until the first estimate.
+function StoragePanel({ info, upload, onUploadChange, onPrune, onPersist, onRefresh, onClose }) {
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const selectStyle = { background: "#1a1410", color: "#c4b5a0", border: "1px solid #444", fontSize: "0.75rem", fontFamily: "inherit" };
+  const labelStyle = { display: "flex", alignItems: "center", gap: 6, fontSize: "0.75rem", color: "#887766", letterSpacing: "0.05em" };
+  const share = info?.quota ? Math.min(1, info.usage / info.quota) : 0;
+  const lossy = upload.format === "image/jpeg" || upload.format === "image/webp";
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        maxWidth: 700,
+        width: "100%",
+        background: "rgba(30,20,10,0.6)",
+        border: "1px solid #2a2218",
+        borderRadius: 4,
+        padding: "12px 16px",
+        boxSizing: "border-box",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Storage</span>
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>
+          {!info
+            ? "Measuring…"
+            : info.quota
+            ? `${formatBytes(info.usage)} of ${formatBytes(info.quota)} used${info.persisted ? " · kept" : ""}`
+            : "This browser doesn't report its quota"}
+        </span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={onRefresh} style={buttonStyle}>
+            Refresh
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+
+      {info?.quota > 0 && (
+        <div
+          role="meter"
+          aria-label="Storage used"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(share * 100)}
+          style={{ height: 6, background: "#1a1410", border: "1px solid #2a2218", borderRadius: 3, overflow: "hidden" }}
+        >
+          <div style={{ width: `${share * 100}%`, height: "100%", background: share > 0.9 ? "#aa5544" : "#8b7355" }} />
+        </div>
+      )}
+
+      {info && (
+        <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", fontSize: "0.75rem", color: "#c4b5a0" }}>
+          <span>
+            {info.images} image{info.images === 1 ? "" : "s"} · {formatBytes(info.imageBytes)}
+          </span>
+          <span style={{ color: "#887766" }}>{info.unused ? `${info.unused} unused · ${formatBytes(info.unusedBytes)}` : "None unused"}</span>
+          <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+            <button onClick={onPrune} disabled={!info.unused} style={{ ...buttonStyle, opacity: info.unused ? 1 : 0.5 }}>
+              Prune Unused
+            </button>
+            {!info.persisted && (
+              <button onClick={onPersist} style={buttonStyle} title="Ask the browser not to clear saved scenes when space runs low">
+                Keep Storage
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>Uploads</span>
+        <label style={labelStyle}>
+          Max size
+          <select
+            value={upload.maxDimension}
+            onChange={(e) => onUploadChange({ ...upload, maxDimension: Number(e.target.value) })}
+            style={selectStyle}
+          >
+            {UPLOAD_MAX_DIMENSIONS.map((n) => (
+              <option key={n} value={n}>
+                {n ? `${n}px` : "Original"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Format
+          <select value={upload.format} onChange={(e) => onUploadChange({ ...upload, format: e.target.value })} style={selectStyle}>
+            {UPLOAD_FORMATS.map((f) => (
+              <option key={f} value={f}>
+                {f === "original" ? "Original" : f.slice(6).toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+        {lossy && (
+          <label style={labelStyle}>
+            Quality
+            <input
+              type="range"
+              min={0.5}
+              max={1}
+              step={0.05}
+              value={upload.quality}
+              onChange={(e) => onUploadChange({ ...upload, quality: Number(e.target.value) })}
+            />
+            <span style={{ width: 32 }}>{Math.round(upload.quality * 100)}%</span>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Conductor controls for a gallery wall: who is in the group, which scene each
+// display shows, per-portrait delays, and synchronised triggers and cascades
+function GalleryPanel({ group, members, delays, trigger, onDelay, onTriggerChange, onFire, onScene, onStop, onClose }) {
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const inputStyle = { ...buttonStyle, padding: "4px 8px", width: 70, cursor: "text", userSelect: "text" };
+  const set = (patch) => onTriggerChange({ ...trigger, ...patch });
+  const ids = members.map((member) => member.id);
+
+  return (
+    <div
+      onKeyDown={(e) => ["INPUT", "SELECT"].includes(e.target.tagName) && e.stopPropagation()}
+      style={{
+        marginTop: 16,
+        maxWidth: 700,
+        width: "100%",
+        background: "rgba(30,20,10,0.6)",
+        border: "1px solid #2a2218",
+        borderRadius: 4,
+        padding: "12px 16px",
+        boxSizing: "border-box",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>
+        Gallery · {group} · {members.length} {members.length === 1 ? "portrait" : "portraits"}
+      </span>
+
+      {members.map((member, i) => (
+        <div key={member.id} style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+          <span style={{ width: 20, color: "#665544", fontSize: "0.75rem" }}>{i + 1}</span>
+          <span style={{ flex: 1, minWidth: 120, color: "#c4b5a0", fontSize: "0.8rem" }}>
+            {member.name}
+            {member.self && <span style={{ color: "#665544" }}> (this)</span>}
+            <span style={{ color: "#665544", marginLeft: 8 }}>{member.scene || "no scene"}</span>
+          </span>
+          <select
+            value=""
+            onChange={(e) => e.target.value && onScene([member.id], Number(e.target.value))}
+            aria-label={`Scene for ${member.name}`}
+            style={{ ...buttonStyle, padding: "4px 6px" }}
+          >
+            <option value="">Load key…</option>
+            {HOTKEY_SLOTS.map((k) => (
+              <option key={k} value={k}>
+                Key {k}
+              </option>
+            ))}
+          </select>
+          <label style={labelStyle} title="Extra delay for this portrait in every trigger">
+            Delay (ms)
+            <input
+              type="number"
+              min={0}
+              step={50}
+              value={delays[member.id] || 0}
+              onChange={(e) => onDelay(member.id, Math.max(0, parseInt(e.target.value, 10) || 0))}
+              style={inputStyle}
+            />
+          </label>
+          <button onClick={() => onFire([member.id], 0)} style={buttonStyle}>
+            Fire
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap", borderTop: "1px solid #2a2218", paddingTop: 10 }}>
+        <select
+          value={trigger.play}
+          onChange={(e) => set({ play: e.target.value })}
+          aria-label="Trigger plays"
+          style={{ ...buttonStyle, padding: "4px 6px" }}
+        >
+          <option value="glow">Play: glow</option>
+          <option value="sequence">Play: scene sequence</option>
+        </select>
+        {trigger.play === "glow" && (
+          <>
+            <label style={labelStyle}>
+              Level
+              <input type="range" min={0} max={1} step={0.05} value={trigger.level} onChange={(e) => set({ level: parseFloat(e.target.value) })} />
+            </label>
+            <label style={labelStyle}>
+              Hold (ms)
+              <input
+                type="number"
+                min={0}
+                step={100}
+                value={trigger.hold}
+                onChange={(e) => set({ hold: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                style={inputStyle}
+              />
+            </label>
+          </>
+        )}
+        <label style={labelStyle} title="Time between portraits in a cascade">
+          Step (ms)
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={trigger.step}
+            onChange={(e) => set({ step: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+            style={inputStyle}
+          />
+        </label>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={() => onFire(ids, 0)} disabled={!ids.length} style={buttonStyle}>
+            Trigger All
+          </button>
+          <button onClick={() => onFire(ids, trigger.step)} disabled={ids.length < 2} style={buttonStyle}>
+            Cascade
+          </button>
+          <button onClick={onStop} style={buttonStyle}>
+            Stop
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Browse, search, sort and organise the scene library
+function SceneLibrary({ library, activeSceneId, onLoad, onUpdate, onDelete, onAssignHotkey, onSaveAsNew, canSave }) {
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState("modified");
+  const hotkeyOf = (id) => HOTKEY_SLOTS.find((k) => library.hotkeys[k] === id) ?? "";
+
+  const scenes = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const list = Object.values(library.scenes).filter(
+      (scene) => !q || scene.name.toLowerCase().includes(q) || scene.tags.some((t) => t.toLowerCase().includes(q))
+    );
+    const byDate = (field) => (a, b) => (b[field] || "").localeCompare(a[field] || "");
+    const comparators = {
+      modified: byDate("modifiedAt"),
+      created: byDate("createdAt"),
+      name: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }),
+    };
+    return list.sort(comparators[sort]);
+  }, [library, query, sort]);
+
+  const fieldStyle = {
+    background: "rgba(255,255,255,0.04)",
+    color: "#c4b5a0",
+    border: "1px solid #444",
+    padding: "5px 8px",
+    borderRadius: 3,
+    fontSize: "0.75rem",
+    fontFamily: "inherit",
+    userSelect: "text",
+  };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "—");
+
+  return (
+    <div
+      onKeyDown={(e) => e.target.tagName === "INPUT" && e.stopPropagation()}
+      style={{
+        marginBottom: 20,
+        maxWidth: 700,
+        width: "100%",
+        background: "rgba(30,20,10,0.6)",
+        border: "1px solid #2a2218",
+        borderRadius: 4,
+        padding: "12px 16px",
+      }}
+    >
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 12 }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search names and tags…"
+          style={{ ...fieldStyle, flex: 1 }}
+        />
+        <select value={sort} onChange={(e) => setSort(e.target.value)} style={{ ...buttonStyle, padding: "5px 8px" }}>
+          <option value="modified">Recently modified</option>
+          <option value="created">Recently created</option>
+          <option value="name">Name</option>
+        </select>
+        <button onClick={onSaveAsNew} disabled={!canSave} style={buttonStyle}>
+          Save as New
+        </button>
+      </div>
+
+      {scenes.length === 0 && (
+        <p style={{ color: "#555", fontSize: "0.75rem", textAlign: "center", padding: 12 }}>
+          {Object.keys(library.scenes).length ? "No scenes match" : "No saved scenes yet"}
+        </p>
+      )}
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 10, maxHeight: 360, overflowY: "auto" }}>
+        {scenes.map((scene) => (
+          <div
+            key={scene.id}
+            style={{
+              border: `1px solid ${scene.id === activeSceneId ? "#8b7355" : "#2a2218"}`,
+              borderRadius: 3,
+              padding: 8,
+              display: "flex",
+              flexDirection: "column",
+              gap: 6,
+              background: scene.id === activeSceneId ? "rgba(139,115,85,0.12)" : "transparent",
+            }}
+          >
+            <div
+              onClick={() => onLoad(scene.id)}
+              style={{
+                height: 100,
+                background: "#111",
+                cursor: "pointer",
+                overflow: "hidden",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+              }}
+              title="Load scene"
+            >
+              {scene.thumbnail ? (
+                <img src={scene.thumbnail} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} />
+              ) : (
+                <span style={{ color: "#444", fontSize: "0.7rem" }}>No preview</span>
+              )}
+            </div>
+            <input
+              key={`name-${scene.modifiedAt}`}
+              defaultValue={scene.name}
+              onBlur={(e) => e.target.value !== scene.name && onUpdate(scene.id, { name: e.target.value })}
+              aria-label="Scene name"
+              style={fieldStyle}
+            />
+            <input
+              key={`tags-${scene.modifiedAt}`}
+              defaultValue={scene.tags.join(", ")}
+              onBlur={(e) => {
+                const tags = e.target.value
+                  .split(",")
+                  .map((t) => t.trim())
+                  .filter(Boolean);
+                if (tags.join(",") !== scene.tags.join(",")) onUpdate(scene.id, { tags });
+              }}
+              placeholder="tags, comma separated"
+              aria-label="Scene tags"
+              style={fieldStyle}
+            />
+            <div style={{ color: "#665544", fontSize: "0.65rem" }}>
+              Created {formatDate(scene.createdAt)} · Modified {formatDate(scene.modifiedAt)}
+            </div>
+            <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <select
+                value={hotkeyOf(scene.id)}
+                onChange={(e) => onAssignHotkey(e.target.value ? Number(e.target.value) : null, scene.id)}
+                title="Hotkey"
+                style={{ ...buttonStyle, padding: "4px 6px" }}
+              >
+                <option value="">No key</option>
+                {HOTKEY_SLOTS.map((k) => (
+                  <option key={k} value={k}>
+                    Key {k}
+                  </option>
+                ))}
+              </select>
+              <button onClick={() => onLoad(scene.id)} style={buttonStyle}>
+                Load
+              </button>
+              <button onClick={() => onDelete(scene.id)} style={{ ...buttonStyle, marginLeft: "auto" }}>
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Presentation playlists: which saved scenes a kiosk cycles through, how
+// often and with which transition
+function PlaylistPanel({ playlists, library, unlockSequence, onChange, onPresent, onClose }) {
+  const [selectedId, setSelectedId] = useState(playlists[0]?.id ?? null);
+  const playlist = playlists.find((p) => p.id === selectedId) || playlists[0] || null;
+  const labelStyle = { display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem", letterSpacing: "0.08em", color: "#887766" };
+  const fieldStyle = {
+    background: "rgba(255,255,255,0.04)",
+    color: "#c4b5a0",
+    border: "1px solid #444",
+    padding: "4px 8px",
+    borderRadius: 3,
+    fontSize: "0.75rem",
+    fontFamily: "inherit",
+    userSelect: "text",
+  };
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.1)",
+    color: "#887766",
+    border: "1px solid #444",
+    padding: "5px 12px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.7rem",
+    letterSpacing: "0.1em",
+    fontFamily: "inherit",
+  };
+  const unlockKeys = unlockSequence.map((code) => describeControl({ source: "keyboard", control: code }).replace(/^Arrow/, "")).join(" ");
+
+  const add = () => {
+    const next = createPlaylist(`Playlist ${playlists.length + 1}`);
+    onChange([...playlists, next]);
+    setSelectedId(next.id);
+  };
+  const set = (patch) => onChange(playlists.map((p) => (p.id === playlist.id ? { ...p, ...patch } : p)));
+  const move = (i, by) => {
+    const sceneIds = [...playlist.sceneIds];
+    [sceneIds[i], sceneIds[i + by]] = [sceneIds[i + by], sceneIds[i]];
+    set({ sceneIds });
+  };
+  const seconds = (key, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={0.5}
+      value={playlist[key] / 1000}
+      onChange={(e) => {
+        const ms = Math.round(parseFloat(e.target.value) * 1000);
+        if (ms >= min * 1000 && ms <= max * 1000) set({ [key]: ms });
+      }}
+      style={{ ...fieldStyle, width: 64 }}
+    />
+  );
+
+  return (
+    <div
+      onKeyDown={(e) => (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") && e.stopPropagation()}
+      style={{
+        marginTop: 16,
+        maxWidth: 700,
+        width: "100%",
+        background: "rgba(30,20,10,0.6)",
+        border: "1px solid #2a2218",
+        borderRadius: 4,
+        padding: "12px 16px",
+        boxSizing: "border-box",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <span style={{ color: "#8b7355", fontSize: "0.8rem", letterSpacing: "0.15em", textTransform: "uppercase" }}>Playlists</span>
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>
+          Present locks the portrait full screen · type {unlockKeys} to leave
+        </span>
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button onClick={add} style={buttonStyle}>
+            New Playlist
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Done
+          </button>
+        </div>
+      </div>
+
+      {playlists.length > 1 && (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {playlists.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => setSelectedId(p.id)}
+              style={{ ...buttonStyle, background: p.id === playlist.id ? "rgba(139,115,85,0.35)" : buttonStyle.background }}
+            >
+              {p.name || "Untitled"} ({p.sceneIds.length})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!playlist ? (
+        <span style={{ fontSize: "0.75rem", color: "#665544", letterSpacing: "0.08em" }}>No playlists yet.</span>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center" }}>
+            <label style={labelStyle}>
+              Name
+              <input value={playlist.name} onChange={(e) => set({ name: e.target.value })} style={{ ...fieldStyle, width: 160 }} />
+            </label>
+            <label style={labelStyle}>
+              Every (s)
+              {seconds("interval", 2, 3600)}
+            </label>
+            <label style={labelStyle}>
+              Transition
+              <select value={playlist.transition} onChange={(e) => set({ transition: e.target.value })} style={fieldStyle}>
+                {PLAYLIST_TRANSITIONS.map((t) => (
+                  <option key={t} value={t}>
+                    {t === "flicker" ? "flicker-out" : t}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {playlist.transition !== "cut" && (
+              <label style={labelStyle}>
+                Over (s)
+                {seconds("transitionMs", 0, 10)}
+              </label>
+            )}
+          </div>
+
+          {playlist.sceneIds.map((id, i) => (
+            <div key={`${id}-${i}`} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: "0.75rem" }}>
+              <span style={{ width: 20, color: "#665544" }}>{i + 1}</span>
+              <span style={{ flex: 1, color: library.scenes[id] ? "#c4b5a0" : "#665544", letterSpacing: "0.05em" }}>
+                {library.scenes[id]?.name ?? "Deleted scene (skipped)"}
+              </span>
+              <button onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move up" style={{ ...buttonStyle, opacity: i === 0 ? 0.4 : 1 }}>
+                ↑
+              </button>
+              <button
+                onClick={() => move(i, 1)}
+                disabled={i === playlist.sceneIds.length - 1}
+                aria-label="Move down"
+                style={{ ...buttonStyle, opacity: i === playlist.sceneIds.length - 1 ? 0.4 : 1 }}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => set({ sceneIds: playlist.sceneIds.filter((_, j) => j !== i) })}
+                aria-label={`Remove ${library.scenes[id]?.name ?? "scene"} from the playlist`}
+                style={buttonStyle}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <select
+              value=""
+              onChange={(e) => e.target.value && set({ sceneIds: [...playlist.sceneIds, e.target.value] })}
+              aria-label="Add a scene"
+              style={fieldStyle}
+            >
+              <option value="">Add scene…</option>
+              {Object.values(library.scenes).map((scene) => (
+                <option key={scene.id} value={scene.id}>
+                  {scene.name}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => onChange(playlists.filter((p) => p.id !== playlist.id))} style={{ ...buttonStyle, marginLeft: "auto" }}>
+              Delete Playlist
+            </button>
+            <button
+              onClick={() => onPresent(playlist.id)}
+              disabled={!playlistSceneIds(playlist, library).length}
+              style={{ ...buttonStyle, opacity: playlistSceneIds(playlist, library).length ? 1 : 0.4 }}
+            >
+              Present
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Review an import file scene by scene before anything is written
+function ImportDialog({ entries, library, onConfirm, onCancel }) {
+  const exists = (entry) => !entry.errors.length && !!library.scenes[entry.profile.id];
+  const [actions, setActions] = useState(() => entries.map((e) => (e.errors.length ? "skip" : exists(e) ? "merge" : "overwrite")));
+  const buttonStyle = {
+    background: "rgba(139,115,85,0.15)",
+    color: "#c4b5a0",
+    border: "1px solid #665544",
+    padding: "8px 20px",
+    borderRadius: 3,
+    cursor: "pointer",
+    fontSize: "0.8rem",
+    letterSpacing: "0.12em",
+    fontFamily: "inherit",
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.75)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 200,
+        padding: 16,
+      }}
+    >
+      <div
+        style={{
+          background: "#14100b",
+          border: "1px solid #665544",
+          borderRadius: 4,
+          padding: "20px 24px",
+          maxWidth: 560,
+          width: "100%",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          boxShadow: "0 8px 40px rgba(0,0,0,0.8)",
+        }}
+      >
+        <h2 style={{ fontSize: "1.1rem", fontWeight: 400, letterSpacing: "0.15em", textTransform: "uppercase", color: "#8b7355", marginBottom: 16 }}>
+          Import Scenes
+        </h2>
+        {entries.map((entry, i) => (
+          <div key={i} style={{ display: "flex", gap: 12, alignItems: "center", padding: "8px 0", borderTop: "1px solid #2a2218" }}>
+            <div style={{ width: 64, height: 48, flexShrink: 0, background: "#111", border: "1px solid #2a2218", overflow: "hidden" }}>
+              {entry.image && <img src={entry.image} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} />}
+            </div>
+            <div style={{ flex: 1, fontSize: "0.8rem", lineHeight: 1.5 }}>
+              <div>
+                {entry.profile?.name || entry.key}
+                {entry.hotkey && <span style={{ color: "#665544" }}> · key {entry.hotkey}</span>}
+                {exists(entry) && <span style={{ color: "#cc6644" }}> · already in library</span>}
+              </div>
+              <div style={{ color: entry.errors.length ? "#cc6644" : "#665544", fontSize: "0.7rem" }}>
+                {entry.errors.length
+                  ? entry.errors.slice(0, 3).join(" · ") + (entry.errors.length > 3 ? ` · …${entry.errors.length - 3} more` : "")
+                  : `${entry.profile.eyeSockets.length} eye${entry.profile.eyeSockets.length !== 1 ? "s" : ""}${
+                      entry.legacy ? " · uses local image" : ""
+                    }${entry.profile.modifiedAt ? ` · ${new Date(entry.profile.modifiedAt).toLocaleDateString()}` : ""}`}
+              </div>
+            </div>
+            <select
+              value={actions[i]}
+              disabled={entry.errors.length > 0}
+              onChange={(e) => setActions((prev) => prev.map((a, j) => (j === i ? e.target.value : a)))}
+              style={{ ...buttonStyle, padding: "5px 8px", fontSize: "0.7rem" }}
+            >
+              <option value="overwrite">{exists(entry) ? "Replace existing" : "Add to library"}</option>
+              <option value="merge">Keep both (import a copy)</option>
+              <option value="skip">Skip</option>
+            </select>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 10, justifyContent: "flex-end", marginTop: 16 }}>
+          <button onClick={onCancel} style={buttonStyle}>
+            Cancel
+          </button>
+          <button onClick={() => onConfirm(entries.map((e, i) => ({ ...e, action: actions[i] })))} style={buttonStyle}>
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Undo/redo stacks of editor snapshots. `record` stores the state from before
+// a change. Records sharing a `coalesce` key less than a second apart merge
+// into one entry, so a slider drag undoes in one step.
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+
+function createHistory(limit = HISTORY_LIMIT) {
+  let past = [];
+  let future = [];
+  return {
+    record(label, state, coalesce = null) {
+      const last = past[past.length - 1];
+      const now = Date.now();
+      if (coalesce && !future.length && last?.coalesce === coalesce && now - last.at < HISTORY_COALESCE_MS) {
+        last.at = now;
+        return;
+      }
+      past = [...past.slice(-(limit - 1)), { label, state, coalesce, at: now }];
+      future = [];
+    },
+    undo(current) {
+      const entry = past.pop();
+      if (!entry) return null;
+      future.push({ label: entry.label, state: current, coalesce: null, at: 0 });
+      return entry.state;
+    },
+    redo(current) {
+      const entry = future.pop();
+      if (!entry) return null;
+      past.push({ label: entry.label, state: current, coalesce: null, at: 0 });
+      return entry.state;
+    },
+    clear() {
+      past = [];
+      future = [];
+    },
+    labels: () => ({ undo: past[past.length - 1]?.label ?? null, redo: future[future.length - 1]?.label ?? null }),
+  };
+}
+
+// Direct-manipulation tuning for pointer, touch and keyboard editing
+const LONG_PRESS_MS = 600; // touch/pen hold on a marker to delete it
+const DRAG_THRESHOLD_PX = 4; // movement before a press becomes a drag
+const NUDGE_STEP = 0.005; // arrow-key move, normalised; Shift moves 4×
+const MAX_ZOOM = 8;
+const DEFAULT_VIEW = { scale: 1, x: 0, y: 0 };
+const LOUPE_SIZE = 120;
+const LOUPE_ZOOM = 3; // on top of the current view zoom
+
+// The editing view is a translate + scale on the portrait container. `base`
+// is the container's untransformed client rect.
+
+// Container point (in unscaled pixels) under a client position
+function viewPoint(view, client, base) {
+  return { x: (client.x - base.left - view.x) / view.scale, y: (client.y - base.top - view.y) / view.scale };
+}
+
+// View at `scale` that puts container point `point` under `client`, clamped
+// so the image always covers the frame
+function viewAnchoredAt(scale, point, client, base) {
+  const s = Math.max(1, Math.min(MAX_ZOOM, scale));
+  const x = client.x - base.left - point.x * s;
+  const y = client.y - base.top - point.y * s;
+  return { scale: s, x: Math.max(base.width * (1 - s), Math.min(0, x)), y: Math.max(base.height * (1 - s), Math.min(0, y)) };
+}
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+// Present for assistive technology, invisible on screen
+const visuallyHidden = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+
+// Magnified view of the image around a socket being dragged, drawn above the
+// finger or cursor (below it near the top edge) so it isn't covered
+function Loupe({ src, socket, view, width, height }) {
+  const magnification = view.scale * LOUPE_ZOOM;
+  const sx = view.x + socket.x * width * view.scale;
+  const sy = view.y + socket.y * height * view.scale;
+  const top = sy - LOUPE_SIZE - 40 >= 0 ? sy - LOUPE_SIZE - 40 : sy + 40;
+  const left = Math.max(0, Math.min(width - LOUPE_SIZE, sx - LOUPE_SIZE / 2));
+  const crosshair = { position: "absolute", background: "rgba(255,100,60,0.8)" };
+
+  return (
+    <div
+      aria-hidden="true"
+      style={{
+        position: "absolute",
+        left,
+        top,
+        width: LOUPE_SIZE,
+        height: LOUPE_SIZE,
+        borderRadius: "50%",
+        border: "2px solid #d4c5a0",
+        boxShadow: "0 4px 20px rgba(0,0,0,0.7)",
+        backgroundColor: "#111",
+        backgroundImage: `url(${src})`,
+        backgroundRepeat: "no-repeat",
+        backgroundSize: `${width * magnification}px ${height * magnification}px`,
+        backgroundPosition: `${LOUPE_SIZE / 2 - socket.x * width * magnification}px ${LOUPE_SIZE / 2 - socket.y * height * magnification}px`,
+        pointerEvents: "none",
+        zIndex: 13,
+      }}
+    >
+      <div style={{ ...crosshair, left: "50%", top: "20%", bottom: "20%", width: 1 }} />
+      <div style={{ ...crosshair, top: "50%", left: "20%", right: "20%", height: 1 }} />
+    </div>
+  );
+}
+
+// State that a host may own (controlled: `value` is defined) or leave to the
+// component (uncontrolled: seeded from `defaultValue`). Functional updates
+// resolve against the latest value, and `onChange` fires either way.
+function useControllableState(value, defaultValue, onChange) {
+  const controlled = value !== undefined;
+  const [internal, setInternal] = useState(defaultValue);
+  const current = controlled ? value : internal;
+  const currentRef = useRef(current);
+  const onChangeRef = useRef(onChange);
+  currentRef.current = current;
+  onChangeRef.current = onChange;
+
+  const setValue = useCallback(
+    (next) => {
+      const resolved = typeof next === "function" ? next(currentRef.current) : next;
+      if (Object.is(resolved, currentRef.current)) return;
+      currentRef.current = resolved;
+      if (!controlled) setInternal(resolved);
+      onChangeRef.current?.(resolved);
+    },
+    [controlled]
+  );
+
+  return [current, setValue];
+}
+
+// A useState-style setter, taking a value or an updater, for one engine field
+const engineSetter = (engine, key) => (next) => {
+  const resolved = typeof next === "function" ? next(engine.getState()[key]) : next;
+  if (!Object.is(resolved, engine.getState()[key])) engine.update({ [key]: resolved });
+};
+
+// useControllableState for a field the engine holds. Uncontrolled, the
+// engine's value is the state; controlled, the prop is, and it is written
+// back into the engine whenever they differ so saves see what is shown.
+// `onChange` hears every change the engine makes, whoever asked for it.
+function useEngineField(engine, state, key, value, onChange) {
+  const controlled = value !== undefined;
+  const valueRef = useRef(value);
+  const onChangeRef = useRef(onChange);
+  valueRef.current = value;
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    let last = engine.getState()[key];
+    return engine.subscribe((next) => {
+      if (Object.is(next[key], last)) return;
+      last = next[key];
+      // Restoring the controlled value isn't a change
+      if (valueRef.current === undefined || !Object.is(last, valueRef.current)) onChangeRef.current?.(last);
+    });
+  }, [engine, key]);
+
+  useLayoutEffect(() => {
+    if (controlled && !Object.is(engine.getState()[key], value)) engine.update({ [key]: value });
+  });
+
+  const setValue = useMemo(() => engineSetter(engine, key), [engine, key]);
+  return [controlled ? value : state[key], setValue];
+}
+
+const LivingPortrait = forwardRef(function LivingPortrait(
+  {
+    image,
+    defaultImage = null,
+    onImageChange,
+    eyeSockets: eyeSocketsProp,
+    defaultEyeSockets = [],
+    onSocketsChange,
+    locked: lockedProp,
+    defaultLocked = false,
+    onLockChange,
+    glowIntensity: glowIntensityProp,
+    activeSlot: activeSlotProp,
+    defaultActiveSlot = null,
+    onSlotSaved,
+    onSlotLoaded,
+    chrome = true,
+    keyboard = true,
+    renderer: rendererProp,
+    defaultRenderer = "auto",
+    onRendererChange,
+    gallery = null,
+    galleryName,
+    galleryRole = "member",
+    galleryDelay = 0,
+    remote = null,
+    onRemoteStatus,
+    gamepad = true,
+    upload = DEFAULT_UPLOAD,
+    storage: storageProp,
+    instanceId,
+    gazeTarget: gazeTargetProp,
+    unlockSequence = DEFAULT_UNLOCK_SEQUENCE,
+    onPresentationChange,
+  },
+  ref
+) {
+  // The scene, its glow, the library and the trigger mappings live in the
+  // engine, created once on the storage chosen at mount (remount, e.g.
+  // change its key, to switch). Its callbacks reach the latest render.
+  const engineEventsRef = useRef(null);
+  const [engine] = useState(() => {
+    const created = createPortraitEngine({
+      storage: storageProp,
+      instanceId,
+      onMessage: (text) => engineEventsRef.current.onMessage(text),
+      onError: (e) => engineEventsRef.current.onError(e),
+      onSceneSaved: (slot, profile) => engineEventsRef.current.onSceneSaved(slot, profile),
+      onSceneLoaded: (slot, profile) => engineEventsRef.current.onSceneLoaded(slot, profile),
+    });
+    created.update({
+      image: image !== undefined ? image : defaultImage,
+      eyeSockets: eyeSocketsProp !== undefined ? eyeSocketsProp : defaultEyeSockets,
+      locked: lockedProp !== undefined ? lockedProp : defaultLocked,
+      activeSlot: activeSlotProp !== undefined ? activeSlotProp : defaultActiveSlot,
+    });
+    if (glowIntensityProp !== undefined) created.setGlowOverride(glowIntensityProp);
+    return created;
+  });
+  const engineState = useSyncExternalStore(engine.subscribe, engine.getState);
+  const { sequence, sequencePlaying, playhead, ambient, gaze, particles, library, activeSceneId, learning, frame } = engineState;
+  const inputBindings = engineState.bindings;
+  const midiEnabled = engineState.midi;
+  const [imageData] = useEngineField(engine, engineState, "image", image, onImageChange);
+  const [eyeSockets, setEyeSockets] = useEngineField(engine, engineState, "eyeSockets", eyeSocketsProp, onSocketsChange);
+  const [sceneLocked, setLocked] = useEngineField(engine, engineState, "locked", lockedProp, onLockChange);
+  const [activeSlot, setActiveSlot] = useEngineField(engine, engineState, "activeSlot", activeSlotProp);
+  const [setSequence, setAmbient, setGaze, setParticles, setSequencePlaying] = useMemo(
+    () => ["sequence", "ambient", "gaze", "particles", "sequencePlaying"].map((key) => engineSetter(engine, key)),
+    [engine]
+  );
+  const [presenting, setPresenting] = useState(null); // { playlistId, index } while a playlist is on show
+  // Presenting locks the portrait without touching the scene's own lock
+  const locked = sceneLocked || !!presenting;
+  const [audioSource, setAudioSource] = useState("none");
+  const [audioFileUrl, setAudioFileUrl] = useState(null);
+  const [speechText, setSpeechText] = useState("");
   const [imgDimensions, setImgDimensions] = useState({ width: 0, height: 0 });
-  const [profiles, setProfiles] = useState({});
-  const [activeSlot, setActiveSlot] = useState(null);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [profilesLoaded, setProfilesLoaded] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
   const [statusMsg, setStatusMsg] = useState("");
   const [draggingIdx, setDraggingIdx] = useState(null);
   const [hoverSocket, setHoverSocket] = useState(null);
+  const [selectedSocket, setSelectedSocket] = useState(null);
+  const [drawingShape, setDrawingShape] = useState(null); // { idx, points } while outlining a polygon mask
+  const [previewGlow, setPreviewGlow] = useState(false);
+  const [timelineOpen, setTimelineOpen] = useState(false);
+  const [ambientOpen, setAmbientOpen] = useState(false);
+  const [gazeOpen, setGazeOpen] = useState(false);
+  const [particlesOpen, setParticlesOpen] = useState(false);
+  const [hostGazeTarget, setHostGazeTarget] = useState(undefined);
+  const [eyeProposals, setEyeProposals] = useState(null);
+  const [historyLabels, setHistoryLabels] = useState({ undo: null, redo: null });
+  const [announcement, setAnnouncement] = useState("");
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [loupeIdx, setLoupeIdx] = useState(null);
+  const [snapMode, setSnapMode] = useState("off");
+  const [recording, setRecording] = useState(null);
+  const [rendererChoice, setRendererChoice] = useControllableState(rendererProp, defaultRenderer, onRendererChange);
+  const [webglFailed, setWebglFailed] = useState(false);
+  const [galleryMembers, setGalleryMembers] = useState([]);
+  const [galleryOpen, setGalleryOpen] = useState(false);
+  const [galleryDelays, setGalleryDelays] = useState({});
+  const [galleryTrigger, setGalleryTrigger] = useState(DEFAULT_GALLERY_TRIGGER);
+  const [remoteStatus, setRemoteStatus] = useState("off");
+  const [inputsOpen, setInputsOpen] = useState(false);
+  const [midiStatus, setMidiStatus] = useState("off");
+  const [uploadSettings, setUploadSettings] = useState(() => ({ ...DEFAULT_UPLOAD, ...upload }));
+  const [storageOpen, setStorageOpen] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [playlists, setPlaylists] = useState([]);
+  const [playlistsOpen, setPlaylistsOpen] = useState(false);
+  const [outgoing, setOutgoing] = useState(null); // the previous image, leaving during a playlist transition
 
+  const rootRef = useRef(null);
   const containerRef = useRef(null);
   const imgRef = useRef(null);
   const fileInputRef = useRef(null);
-  const spaceHeld = useRef(false);
+  const audioDriverRef = useRef(null);
+  const audioElRef = useRef(null);
+  const audioFileInputRef = useRef(null);
+
+  const loadedSlotRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const pinchRef = useRef(null);
+  const panRef = useRef(null);
+  const frameRef = useRef(null);
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const snapPixelsRef = useRef(null);
+  const recordingRef = useRef(null);
+  const gazeLayerRef = useRef(null);
+  const particleLayerRef = useRef(null);
+  const suppressClickUntil = useRef(0);
+  const markerHintId = useId();
+  const instanceIdRef = useRef(null);
+  if (!instanceIdRef.current) instanceIdRef.current = createInstanceId();
+  const galleryRef = useRef(null);
+  const galleryTimersRef = useRef(new Set());
+  const galleryPulseRef = useRef(0);
+  const galleryCommandRef = useRef(null);
+  const remoteRef = useRef(null);
+  const remoteCommandRef = useRef(null);
+  const pulseTimerRef = useRef(null);
+  const inputRef = useRef(null);
+  const keyDownRef = useRef(null);
+  const keyControlsRef = useRef(new Map());
+  const presentNextRef = useRef(null);
+  const unlock = useMemo(() => createKeySequence(unlockSequence), [unlockSequence.join(" ")]);
+  const historyRef = useRef(null);
+  if (!historyRef.current) historyRef.current = createHistory();
+  // The editor fields undo steps and unsaved-change checks cover
+  const editorState = () => {
+    const { image, eyeSockets, locked, sequence, ambient, gaze, particles, activeSceneId } = engine.getState();
+    return { image, imageBlob: engine.imageBlobFor(image), eyeSockets, locked, sequence, ambient, gaze, particles, activeSceneId };
+  };
+  // What the scene looked like when last loaded or saved, for unsaved-change checks
+  const savedStateRef = useRef(null);
+  if (!savedStateRef.current) savedStateRef.current = editorState();
+
+  // The engine mixes the glow: Space, audio, the host's setGlow(), gallery
+  // triggers and the inspector preview with the sequence and ambient effects.
+  // A controlled glowIntensity replaces it.
+  const { glowIntensity, eyeSockets: renderSockets } = frame;
+  const socketGroups = useMemo(() => groupByBlendMode(renderSockets), [renderSockets]);
+  const shaped = eyeSockets.some((socket) => socket.shape);
+  const glowRenderer = useMemo(
+    () => resolveGlowRenderer(rendererChoice, { allowWebGL: !webglFailed, shaped }),
+    [rendererChoice, webglFailed, shaped]
+  );
+  // The prop wins; otherwise lookAt() from the ref, or the pointer while unset
+  const gazeTarget = gazeTargetProp !== undefined ? gazeTargetProp : hostGazeTarget;
 
   // Show status message briefly
   const flash = useCallback((msg) => {
     setStatusMsg(msg);
+    setAnnouncement(msg);
     setTimeout(() => setStatusMsg(""), 2200);
   }, []);
 
-  // Load all profiles from IndexedDB on mount
+  // WebGL couldn't start, lost its context or hit a cross-origin image
+  const handleRendererFallback = useCallback(
+    (err) => {
+      console.warn("WebGL glow failed, using Canvas 2D:", err);
+      setWebglFailed(true);
+      flash("WebGL unavailable · using Canvas 2D");
+    },
+    [flash]
+  );
+
+  const selectRenderer = (choice) => {
+    setWebglFailed(false);
+    setRendererChoice(choice);
+  };
+
+  // Screen-reader only: spoken through the live region without a toast
+  const announce = useCallback((msg) => setAnnouncement(msg), []);
+
+  // A controlled glowIntensity replaces the engine's mix
+  useLayoutEffect(() => engine.setGlowOverride(glowIntensityProp === undefined ? null : glowIntensityProp || 0), [glowIntensityProp]);
+
+  // The inspector's preview lights the eyes while editing
+  useEffect(() => engine.setGlowSource("preview", previewGlow && !locked ? 1 : 0), [previewGlow, locked]);
+
+  // Load the scene library and input mappings from storage on mount. Object
+  // URLs for stored images last until unmount, as undo history may point at
+  // them.
   useEffect(() => {
-    (async () => {
-      try {
-        const saved = await dbGet(PROFILE_STORE, "allProfiles");
-        if (saved) setProfiles(saved);
-      } catch (e) {
-        console.warn("Could not load profiles", e);
+    engine.load().then(() => setProfilesLoaded(true));
+    return () => engine.dispose();
+  }, []);
+
+  // The presentation playlists are stored next to the scene library
+  useEffect(() => {
+    engine.library
+      .loadPlaylists()
+      .then(setPlaylists)
+      .catch((e) => console.warn("Could not load playlists", e));
+  }, []);
+
+  // Failed writes say why; a full disk opens the storage panel
+  const openStorageOnQuota = (e) => {
+    if (e?.name === "QuotaExceededError") setStorageOpen(true);
+  };
+  const reportStorageError = (e, action) => {
+    flash(storageErrorMessage(e, action));
+    console.error(e);
+    openStorageOnQuota(e);
+  };
+
+  // Keyboard source. Undo/redo and Delete are fixed editing shortcuts; every
+  // other key goes through the input mapping. Keys are released under the
+  // control they were pressed as, so letting go of Shift first can't strand one.
+  // The listener calls the handler from the latest render, so it never acts
+  // on a stale scene, library or history.
+  keyDownRef.current = (e) => {
+    // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo
+    if ((e.ctrlKey || e.metaKey) && (e.code === "KeyZ" || e.code === "KeyY")) {
+      e.preventDefault();
+      if (presenting) return;
+      if (e.shiftKey || e.code === "KeyY") redo();
+      else undo();
+      return;
+    }
+    // Presenting: the unlock sequence ends it; undo and redo stay off
+    if (presenting && !e.repeat && unlock.push(e.code)) {
+      e.preventDefault();
+      stopPresentation();
+      return;
+    }
+    if (learning && e.code === "Escape") {
+      engine.learnInput(null);
+      return;
+    }
+    if (drawingShape && (e.code === "Escape" || e.code === "Enter")) {
+      e.preventDefault();
+      if (e.code === "Enter") finishShapeDrawing();
+      else setDrawingShape(null);
+      return;
+    }
+    if (!e.repeat && !e.ctrlKey && !e.metaKey && !e.altKey && e.key !== "Shift") {
+      const control = keyboardControl(e);
+      keyControlsRef.current.set(e.code, control);
+      if (inputRef.current({ source: "keyboard", control, value: 1, pressed: true })) {
+        e.preventDefault();
+        return;
       }
-    })();
-  }, []);
+    }
+    // Delete selected eye socket
+    if ((e.code === "Backspace" || e.code === "Delete") && hoverSocket !== null && !locked) {
+      removeSocket(hoverSocket);
+      setHoverSocket(null);
+    }
+  };
 
-  // Keyboard handlers
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.code === "Space" && !e.repeat) {
-        e.preventDefault();
-        spaceHeld.current = true;
-        setGlowIntensity(1);
-      }
-      // Slot keys 1-6
-      if (e.key >= "1" && e.key <= "6" && !e.repeat) {
-        const slot = parseInt(e.key);
-        if (e.shiftKey) {
-          // Shift+number = save to slot
-          saveSlot(slot);
-        } else {
-          // number = load slot
-          loadSlot(slot);
-        }
-      }
-      // Delete selected eye socket
-      if ((e.code === "Backspace" || e.code === "Delete") && hoverSocket !== null && !locked) {
-        setEyeSockets((prev) => prev.filter((_, i) => i !== hoverSocket));
-        setHoverSocket(null);
-      }
-    };
+    if (!keyboard) return;
+    const handleKeyDown = (e) => keyDownRef.current(e);
     const handleKeyUp = (e) => {
-      if (e.code === "Space") {
-        spaceHeld.current = false;
-        setGlowIntensity(0);
-      }
+      const control = keyControlsRef.current.get(e.code);
+      if (!control) return;
+      keyControlsRef.current.delete(e.code);
+      inputRef.current({ source: "keyboard", control, value: 0, pressed: false });
     };
     window.addEventListener("keydown", handleKeyDown);
     window.addEventListener("keyup", handleKeyUp);
@@ -177,100 +2493,570 @@ export default function LivingPortrait() {
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("keyup", handleKeyUp);
     };
-  }, [hoverSocket, locked, imageData, eyeSockets, profiles]);
+  }, [keyboard]);
 
-  // Save slot
-  const saveSlot = async (slot) => {
-    if (!imageData) {
-      flash("No image loaded");
+  // MIDI is opt-in (it may prompt for permission); the choice is remembered
+  useEffect(() => {
+    if (!midiEnabled) {
+      setMidiStatus((status) => (status === "error" ? status : "off"));
       return;
     }
-    const profile = {
-      slot,
-      imageKey: `img_slot_${slot}`,
-      eyeSockets: [...eyeSockets],
-      locked,
-      savedAt: new Date().toISOString(),
+    let close = null;
+    let cancelled = false;
+    createMidiInput((event) => inputRef.current(event)).then(
+      (stop) => {
+        if (cancelled) return stop();
+        close = stop;
+        setMidiStatus("on");
+      },
+      (e) => {
+        console.warn("MIDI unavailable", e);
+        if (cancelled) return;
+        // Disabled again so the button can retry; the stored choice stays
+        setMidiStatus("error");
+        engine.update({ midi: false });
+      }
+    );
+    return () => {
+      cancelled = true;
+      close?.();
+    };
+  }, [midiEnabled]);
+
+  useEffect(() => {
+    if (!gamepad || typeof navigator === "undefined") return;
+    return createGamepadInput((event) => inputRef.current(event));
+  }, [gamepad]);
+
+  // The timeline holds a stopped sequence's glow at its playhead
+  useEffect(() => engine.update({ scrubbing: timelineOpen }), [timelineOpen]);
+  const ambientEnabled = !!ambient?.enabled && glowIntensityProp === undefined;
+
+  // Release the audio graph, any recording and any object URL on unmount
+  useEffect(() => {
+    return () => {
+      recordingRef.current?.cancel();
+      audioDriverRef.current?.close();
+      audioDriverRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (audioFileUrl) URL.revokeObjectURL(audioFileUrl);
     };
+  }, [audioFileUrl]);
+
+  // Lazily create the audio driver; AudioContext needs a user gesture first
+  const getAudioDriver = () => {
+    if (!audioDriverRef.current) {
+      audioDriverRef.current = createAudioGlowDriver();
+      audioDriverRef.current.start((level) => engine.setGlowSource("audio", level));
+    }
+    return audioDriverRef.current;
+  };
+
+  // Switch the audio source driving the glow
+  const selectAudioSource = async (kind) => {
+    setAudioSource(kind);
+    if (kind === "none") {
+      audioDriverRef.current?.disconnect();
+      engine.setGlowSource("audio", 0);
+      return;
+    }
     try {
-      await dbPut(IMG_STORE, `img_slot_${slot}`, imageData);
-      const updated = { ...profiles, [slot]: profile };
-      await dbPut(PROFILE_STORE, "allProfiles", updated);
-      setProfiles(updated);
-      setActiveSlot(slot);
-      flash(`Scene saved to slot ${slot}`);
+      if (kind === "mic") {
+        await getAudioDriver().connectMicrophone();
+        flash("Listening to microphone");
+      } else if (kind === "file") {
+        // Connected once the element has loaded in onAudioElementReady
+        getAudioDriver();
+        audioFileInputRef.current?.click();
+      } else if (kind === "speech") {
+        getAudioDriver().disconnect();
+      }
     } catch (e) {
-      flash("Save failed");
+      flash(kind === "mic" ? "Microphone unavailable" : "Audio source failed");
       console.error(e);
+      setAudioSource("none");
     }
   };
 
-  // Load slot
-  const loadSlot = async (slot) => {
-    const profile = profiles[slot];
-    if (!profile) {
-      flash(`Slot ${slot} is empty`);
-      return;
+  // Handle audio file pick for the media-element source
+  const handleAudioFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setAudioFileUrl(URL.createObjectURL(file));
+  };
+
+  const onAudioElementReady = async () => {
+    try {
+      await getAudioDriver().connectMediaElement(audioElRef.current);
+    } catch (e) {
+      flash("Audio source failed");
+      console.error(e);
     }
+  };
+
+  // Speak text through browser TTS, pulsing the glow on each word
+  const speakText = async () => {
+    if (!speechText.trim()) return;
     try {
-      const img = await dbGet(IMG_STORE, profile.imageKey);
-      if (img) {
-        setImageData(img);
-        setEyeSockets(profile.eyeSockets || []);
-        setLocked(profile.locked || false);
-        setActiveSlot(slot);
-        flash(`Loaded slot ${slot}`);
-      } else {
-        flash(`Image missing for slot ${slot}`);
-      }
+      await getAudioDriver().speak(speechText);
+    } catch (e) {
+      flash("Speech failed");
+      console.error(e);
+    }
+  };
+
+  const hotkeyFor = (id) => engine.library.hotkeyFor(id);
+
+  const assignHotkey = async (key, id) => {
+    try {
+      await engine.library.assignHotkey(key, id);
+      if (id === activeSceneId) setActiveSlot(key);
+    } catch (e) {
+      reportStorageError(e);
+    }
+  };
+
+  // What the engine reports goes to the toast, the host's callbacks and the
+  // editor's own bookkeeping: a saved or loaded scene is the new baseline for
+  // unsaved changes, and a load starts a fresh undo history.
+  engineEventsRef.current = {
+    onMessage: flash,
+    onError: openStorageOnQuota,
+    onSceneSaved: (slot, profile) => {
+      loadedSlotRef.current = slot;
+      savedStateRef.current = editorState();
+      onSlotSaved?.(slot, profile);
+    },
+    onSceneLoaded: (slot, profile) => {
+      setEyeProposals(null);
+      setSelectedSocket(null);
+      savedStateRef.current = editorState();
+      historyRef.current.clear();
+      setHistoryLabels(historyRef.current.labels());
+      loadedSlotRef.current = slot;
+      onSlotLoaded?.(slot, profile);
+    },
+  };
+
+  // Save the current work into the library: updates the active scene, or
+  // creates a new one when there is none (or `asNew` is set). `hotkey` also
+  // binds the scene to that key.
+  const saveScene = (options) => engine.saveScene(options);
+  const saveSlot = (slot) => engine.saveSlot(slot);
+
+  // Load a library scene by id, or the one bound to hotkey `slot`. With
+  // `confirm`, ask before discarding unsaved edits.
+  const confirmDiscard = () => !hasUnsavedChanges() || window.confirm("Discard unsaved changes to the current scene?");
+  const loadScene = (id, { confirm = false } = {}) => engine.loadScene(id, { confirm: confirm ? confirmDiscard : undefined });
+  const loadSlot = (slot, { confirm = false } = {}) => engine.loadSlot(slot, { confirm: confirm ? confirmDiscard : undefined });
+
+  // Edits since the scene was last loaded or saved
+  const hasUnsavedChanges = () => {
+    const current = editorState();
+    const saved = savedStateRef.current;
+    return (
+      current.image !== saved.image ||
+      JSON.stringify([current.eyeSockets, current.locked, current.sequence, current.ambient, current.gaze, current.particles]) !==
+        JSON.stringify([saved.eyeSockets, saved.locked, saved.sequence, saved.ambient, saved.gaze, saved.particles])
+    );
+  };
+
+  // Snapshot the editor before an undoable change
+  const recordHistory = (label, coalesce) => {
+    historyRef.current.record(label, editorState(), coalesce);
+    setHistoryLabels(historyRef.current.labels());
+  };
+
+  // The engine lets go of an unsaved upload once it is replaced; the
+  // snapshot's Blob brings it back
+  const restoreSnapshot = ({ imageBlob, ...state }) => {
+    const image = imageBlob ? engine.imageUrlFor(imageBlob) : state.image;
+    engine.update({ ...state, image, activeSlot: state.activeSceneId ? hotkeyFor(state.activeSceneId) : null });
+    setSelectedSocket(null);
+    setHoverSocket(null);
+  };
+
+  const undo = () => {
+    const label = historyRef.current.labels().undo;
+    const state = historyRef.current.undo(editorState());
+    if (!state) return;
+    restoreSnapshot(state);
+    setHistoryLabels(historyRef.current.labels());
+    flash(`Undo ${label}`);
+  };
+
+  const redo = () => {
+    const label = historyRef.current.labels().redo;
+    const state = historyRef.current.redo(editorState());
+    if (!state) return;
+    restoreSnapshot(state);
+    setHistoryLabels(historyRef.current.labels());
+    flash(`Redo ${label}`);
+  };
+
+  const toggleLock = () => {
+    recordHistory(sceneLocked ? "unlock" : "lock");
+    setLocked((l) => !l);
+  };
+
+  // Edit a scene's name or tags without loading it
+  const updateSceneMeta = async (id, patch) => {
+    try {
+      await engine.library.updateScene(id, patch);
+    } catch (e) {
+      reportStorageError(e);
+    }
+  };
+
+  // Remove a scene and its image. Images shared with another scene are kept.
+  const deleteScene = (id) => {
+    const scene = library.scenes[id];
+    if (!scene || !window.confirm(`Delete "${scene.name}"?`)) return;
+    return engine.deleteScene(id);
+  };
+
+  // What's stored, against what the browser will allow
+  const refreshStorage = async () => {
+    try {
+      const [estimate, persisted, images] = await Promise.all([
+        navigator.storage?.estimate?.().catch(() => null),
+        navigator.storage?.persisted?.().catch(() => false),
+        engine.library.imageUsage(),
+      ]);
+      setStorageInfo({ usage: estimate?.usage || 0, quota: estimate?.quota || 0, persisted: !!persisted, ...images });
     } catch (e) {
-      flash("Load failed");
+      flash("Couldn't read storage");
       console.error(e);
     }
   };
 
-  // Handle image upload
-  const handleFileChange = (e) => {
+  useEffect(() => {
+    if (storageOpen) refreshStorage();
+  }, [storageOpen, library]);
+
+  const pruneUnusedImages = async () => {
+    try {
+      const { count, bytes } = await engine.library.pruneImages();
+      flash(count ? `Freed ${formatBytes(bytes)}` : "Nothing to prune");
+      refreshStorage();
+    } catch (e) {
+      reportStorageError(e, "Prune");
+    }
+  };
+
+  // Persistent storage isn't evicted under pressure; browsers may refuse
+  const requestPersistence = async () => {
+    const granted = await navigator.storage?.persist?.().catch(() => false);
+    flash(granted ? "Storage will be kept" : "The browser declined to keep storage");
+    refreshStorage();
+  };
+
+  // Handle image upload: downscaled and re-encoded per the upload settings,
+  // then shown from an object URL until it is saved
+  const handleFileChange = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      setImageData(ev.target.result);
-      setEyeSockets([]);
-      setLocked(false);
-      setActiveSlot(null);
-    };
-    reader.readAsDataURL(file);
+    let blob;
+    try {
+      blob = await prepareUpload(file, uploadSettings);
+    } catch (err) {
+      flash("Could not read that image");
+      console.warn(err);
+      return;
+    }
+    const url = engine.imageUrlFor(blob);
+    recordHistory("image replace");
+    // A new, unsaved scene
+    engine.setImage(url);
+    setEyeProposals(null);
+    setSelectedSocket(null);
+    autoDetectEyes(url);
+  };
+
+  // Propose socket positions for the image. Nothing is placed until a
+  // proposal is accepted.
+  const autoDetectEyes = async (src = imageData) => {
+    if (!src) return [];
+    try {
+      const proposals = await detectEyesInImage(src);
+      setEyeProposals(proposals.length ? proposals : null);
+      flash(proposals.length ? `Found ${proposals.length} eye${proposals.length !== 1 ? "s" : ""} · click to accept` : "No eyes found");
+      return proposals;
+    } catch (e) {
+      flash("Eye detection failed");
+      console.error(e);
+      return [];
+    }
+  };
+
+  // Turn proposals into sockets; they can then be dragged like any other
+  const acceptProposals = (indices) => {
+    const accepted = eyeProposals.filter((_, i) => indices.includes(i));
+    recordHistory(accepted.length > 1 ? "place eyes" : "place eye");
+    setEyeSockets((prev) => [...prev, ...accepted.map(({ x, y }) => ({ x, y }))]);
+    const rest = eyeProposals.filter((_, i) => !indices.includes(i));
+    setEyeProposals(rest.length ? rest : null);
   };
 
-  // Image click to place eye socket
+  // Image click to place eye socket, or the next point of an outline
   const handleImageClick = (e) => {
     if (locked || !imageData) return;
     if (draggingIdx !== null) return;
+    // The click that ends a pinch or long press must not place a socket
+    if (Date.now() < suppressClickUntil.current) return;
     const rect = containerRef.current.getBoundingClientRect();
     const x = (e.clientX - rect.left) / rect.width;
     const y = (e.clientY - rect.top) / rect.height;
+    if (drawingShape) {
+      const first = drawingShape.points[0];
+      const closing = first && drawingShape.points.length >= 3 && Math.hypot((first.x - x) * rect.width, (first.y - y) * rect.height) < 10;
+      if (closing) finishShapeDrawing();
+      else if (drawingShape.points.length < MAX_SHAPE_POINTS) setDrawingShape((d) => ({ ...d, points: [...d.points, { x, y }] }));
+      return;
+    }
+    const idx = eyeSockets.length;
+    recordHistory("place eye");
     setEyeSockets((prev) => [...prev, { x, y }]);
+    refineSocket(idx, { x, y }).then((p) => announce(`Eye ${idx + 1} placed at ${percent(p.x)} across, ${percent(p.y)} down`));
+  };
+
+  // Untransformed client rect of the portrait container
+  const portraitBase = () => {
+    const frame = frameRef.current;
+    const rect = frame.getBoundingClientRect();
+    return {
+      left: rect.left + frame.clientLeft,
+      top: rect.top + frame.clientTop,
+      width: containerRef.current.offsetWidth,
+      height: containerRef.current.offsetHeight,
+    };
+  };
+
+  const applyView = (next) => {
+    viewRef.current = next;
+    setView(next);
   };
 
-  // Drag eye socket
-  const handleSocketMouseDown = (e, idx) => {
+  // Zoom by `factor` around a client position (default: the frame centre)
+  const zoomBy = (factor, client) => {
+    const base = portraitBase();
+    const at = client || { x: base.left + base.width / 2, y: base.top + base.height / 2 };
+    const current = viewRef.current;
+    applyView(viewAnchoredAt(current.scale * factor, viewPoint(current, at, base), at, base));
+  };
+
+  // Wheel and trackpad zoom around the cursor. Registered natively because
+  // React's wheel listener is passive and can't stop the page scrolling.
+  useEffect(() => {
+    const frame = frameRef.current;
+    if (!frame || locked || !imageData) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      // Trackpad pinches arrive as ctrl+wheel with small deltas
+      const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1) * (e.ctrlKey ? 0.01 : 0.0015);
+      zoomBy(Math.exp(-delta), { x: e.clientX, y: e.clientY });
+    };
+    frame.addEventListener("wheel", handleWheel, { passive: false });
+    return () => frame.removeEventListener("wheel", handleWheel);
+  }, [locked, imageData]);
+
+  // Pointers on the portrait: two fingers pinch to zoom and pan; a middle-button
+  // or Alt drag pans. The transform sits on the container, so normalised
+  // coordinates from its bounding rect still hold.
+  const handlePortraitPointerDown = (e) => {
     if (locked) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const base = portraitBase();
+    if (e.pointerType === "mouse" && (e.button === 1 || e.altKey)) {
+      e.preventDefault();
+      panRef.current = { point: viewPoint(viewRef.current, { x: e.clientX, y: e.clientY }, base) };
+      return;
+    }
+    if (pointersRef.current.size !== 2) return;
+    const [a, b] = [...pointersRef.current.values()];
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    pinchRef.current = {
+      distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+      point: viewPoint(viewRef.current, mid, base),
+      scale: viewRef.current.scale,
+    };
+  };
+
+  const handlePortraitPointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (panRef.current) {
+      applyView(viewAnchoredAt(viewRef.current.scale, panRef.current.point, { x: e.clientX, y: e.clientY }, portraitBase()));
+      return;
+    }
+    const pinch = pinchRef.current;
+    if (!pinch || pointersRef.current.size !== 2) return;
+    const [a, b] = [...pointersRef.current.values()];
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    // Keep the image point that started under the fingers' midpoint under it
+    applyView(viewAnchoredAt((pinch.scale * Math.hypot(a.x - b.x, a.y - b.y)) / pinch.distance, pinch.point, mid, portraitBase()));
+  };
+
+  const handlePortraitPointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (panRef.current || (pinchRef.current && pointersRef.current.size < 2)) {
+      panRef.current = null;
+      pinchRef.current = null;
+      suppressClickUntil.current = Date.now() + 400;
+    }
+  };
+
+  // Pixels for snap refinement, decoded once per image
+  const getSnapPixels = () => {
+    if (snapPixelsRef.current?.src !== imageData) {
+      snapPixelsRef.current = { src: imageData, pixels: imagePixels(imageData, SNAP_MAX_WIDTH) };
+    }
+    return snapPixelsRef.current.pixels;
+  };
+
+  // Move a socket onto the brightest or darkest spot near `point` when snapping
+  // is on. Part of the same undo step as the placement or drag.
+  const refineSocket = async (idx, point) => {
+    if (snapMode === "off") return point;
+    try {
+      const snapped = snapToExtreme(await getSnapPixels(), point, snapMode);
+      setEyeSockets((prev) => prev.map((s, i) => (i === idx ? { ...s, ...snapped } : s)));
+      return snapped;
+    } catch (e) {
+      console.warn("Snap failed", e);
+      return point;
+    }
+  };
+
+  // Remove a socket, keeping the inspector selection pointed at the same one
+  const removeSocket = (idx) => {
+    recordHistory("delete eye");
+    setEyeSockets((prev) => prev.filter((_, i) => i !== idx));
+    setSelectedSocket((sel) => (sel === idx ? null : sel !== null && sel > idx ? sel - 1 : sel));
+    setSequence((seq) => seq && removeSocketTrack(seq, idx));
+  };
+
+  // Merge style overrides into one socket; `undefined` clears a field
+  const updateSocket = (idx, patch) => {
+    recordHistory("eye style", `style-${idx}`);
+    setEyeSockets((prev) =>
+      prev.map((s, i) => {
+        if (i !== idx) return s;
+        const next = { ...s, ...patch };
+        Object.keys(patch).forEach((k) => next[k] === undefined && delete next[k]);
+        return next;
+      })
+    );
+  };
+
+  // Replace a socket's mask without an undo step; drags record one as they begin
+  const setSocketShape = (idx, shape) => setEyeSockets((prev) => prev.map((s, i) => (i === idx ? { ...s, shape } : s)));
+
+  // An outline drawn point by point becomes the socket's polygon mask,
+  // stored relative to the socket
+  const finishShapeDrawing = () => {
+    if (!drawingShape) return;
+    const { idx, points } = drawingShape;
+    setDrawingShape(null);
+    const socket = eyeSockets[idx];
+    if (!socket || points.length < 3) return;
+    updateSocket(idx, {
+      shape: {
+        type: "polygon",
+        points: points.map((p) => ({ x: p.x - socket.x, y: p.y - socket.y })),
+        feather: socket.shape?.feather ?? DEFAULT_FEATHER,
+      },
+    });
+  };
+
+  // Outlining belongs to one selected socket on one unlocked image
+  useEffect(() => setDrawingShape(null), [selectedSocket, locked, imageData]);
+
+  // Drag an eye socket with mouse, touch or pen. Touch and pen can't hover to
+  // reach the Delete key, so holding still on a marker deletes it instead.
+  const handleSocketPointerDown = (e, idx) => {
+    if (locked || !e.isPrimary) return;
     e.stopPropagation();
+    const marker = e.currentTarget;
+    marker.setPointerCapture(e.pointerId);
     setDraggingIdx(idx);
+    setSelectedSocket(idx);
+    const origin = { x: e.clientX, y: e.clientY };
+    let last = null;
+    // One history entry per drag, recorded once the marker actually moves
+    let moved = false;
+    const finish = () => {
+      clearTimeout(pressTimer);
+      setDraggingIdx(null);
+      setLoupeIdx(null);
+      marker.removeEventListener("pointermove", handleMove);
+      marker.removeEventListener("pointerup", handleUp);
+      marker.removeEventListener("pointercancel", finish);
+    };
+    const pressTimer =
+      e.pointerType === "mouse"
+        ? null
+        : setTimeout(() => {
+            finish();
+            suppressClickUntil.current = Date.now() + 400;
+            removeSocket(idx);
+            announce(`Eye ${idx + 1} deleted`);
+            navigator.vibrate?.(30);
+          }, LONG_PRESS_MS);
     const handleMove = (me) => {
+      if (!moved) {
+        if (Math.hypot(me.clientX - origin.x, me.clientY - origin.y) < DRAG_THRESHOLD_PX) return;
+        moved = true;
+        clearTimeout(pressTimer);
+        recordHistory("move eye");
+        setLoupeIdx(idx);
+      }
       const rect = containerRef.current.getBoundingClientRect();
       const x = Math.max(0, Math.min(1, (me.clientX - rect.left) / rect.width));
       const y = Math.max(0, Math.min(1, (me.clientY - rect.top) / rect.height));
-      setEyeSockets((prev) => prev.map((s, i) => (i === idx ? { x, y } : s)));
+      last = { x, y };
+      setEyeSockets((prev) => prev.map((s, i) => (i === idx ? { ...s, x, y } : s)));
     };
     const handleUp = () => {
-      setDraggingIdx(null);
-      window.removeEventListener("mousemove", handleMove);
-      window.removeEventListener("mouseup", handleUp);
+      finish();
+      if (last) refineSocket(idx, last).then((p) => announce(`Eye ${idx + 1} moved to ${percent(p.x)} across, ${percent(p.y)} down`));
     };
-    window.addEventListener("mousemove", handleMove);
-    window.addEventListener("mouseup", handleUp);
+    marker.addEventListener("pointermove", handleMove);
+    marker.addEventListener("pointerup", handleUp);
+    marker.addEventListener("pointercancel", finish);
+  };
+
+  // Focused markers: arrows nudge (Shift for bigger steps), Delete removes,
+  // Enter or Space opens the style inspector and Escape closes it
+  const handleSocketKeyDown = (e, idx) => {
+    const step = e.shiftKey ? NUDGE_STEP * 4 : NUDGE_STEP;
+    const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+    if (moves[e.key]) {
+      const socket = eyeSockets[idx];
+      const x = Math.max(0, Math.min(1, socket.x + moves[e.key][0]));
+      const y = Math.max(0, Math.min(1, socket.y + moves[e.key][1]));
+      recordHistory("move eye", `nudge-${idx}`);
+      setEyeSockets((prev) => prev.map((s, i) => (i === idx ? { ...s, x, y } : s)));
+      announce(`Eye ${idx + 1} at ${percent(x)} across, ${percent(y)} down`);
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      removeSocket(idx);
+      setHoverSocket(null);
+      announce(`Eye ${idx + 1} deleted`);
+    } else if (e.key === "Enter" || e.key === " ") {
+      setSelectedSocket(idx);
+      announce(`Styling eye ${idx + 1}`);
+    } else if (e.key === "Escape") {
+      setSelectedSocket(null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
   };
 
   const onImgLoad = () => {
@@ -295,148 +3081,614 @@ export default function LivingPortrait() {
     return () => window.removeEventListener("resize", handleResize);
   }, []);
 
-  // Export profiles as JSON
-  const exportProfiles = () => {
-    const data = JSON.stringify(profiles, null, 2);
-    const blob = new Blob([data], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "living-portrait-profiles.json";
-    a.click();
-    URL.revokeObjectURL(url);
-    flash("Profiles exported");
+  // A new image or a lock change returns the portrait to the full view
+  useEffect(() => {
+    applyView(DEFAULT_VIEW);
+    pinchRef.current = null;
+    panRef.current = null;
+    pointersRef.current.clear();
+  }, [imageData, locked]);
+
+  // The live frame, with the pupils and particles where they are right now
+  const currentFrame = () => ({
+    ...engine.getState().frame,
+    gaze,
+    particles,
+    pupils: gazeLayerRef.current?.pupils() ?? null,
+    particleState: particleLayerRef.current?.particles() ?? null,
+  });
+
+  // Save the illuminated portrait as a PNG at the image's native resolution.
+  // `glow` overrides the current level, e.g. 1 for full glow.
+  const exportPNG = async ({ glow } = {}) => {
+    const img = imgRef.current;
+    if (!imageData || !img?.complete) {
+      flash("No portrait to export");
+      return;
+    }
+    try {
+      const frame = glow === undefined ? currentFrame() : { ...currentFrame(), eyeSockets, glowIntensity: Math.max(0, Math.min(1, glow)) };
+      const compositor = createPortraitCompositor(exportSize(img));
+      compositor.render(img, frame);
+      const blob = await new Promise((resolve, reject) =>
+        compositor.canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("PNG encoding failed"))), "image/png")
+      );
+      downloadBlob(blob, "living-portrait.png");
+      flash("Portrait saved as PNG");
+      return blob;
+    } catch (e) {
+      flash("PNG export failed");
+      console.error(e);
+    }
+  };
+
+  // Record WebM from an offscreen compositor. `frameAt(elapsed)` supplies each
+  // frame's glow state; returning null ends the recording.
+  const beginRecording = (kind, frameAt, { audio = false } = {}) => {
+    const img = imgRef.current;
+    if (recordingRef.current || !imageData || !img?.complete) return null;
+    let audioTap = null;
+    const driver = audioDriverRef.current;
+    if (audio && driver && audioSource !== "none") {
+      audioTap = driver.context.createMediaStreamDestination();
+      driver.analyser.connect(audioTap);
+    }
+    const compositor = createPortraitCompositor(exportSize(img, RECORDING_MAX_WIDTH));
+    compositor.render(img, frameAt(0));
+    let recorder;
+    try {
+      recorder = createCanvasRecorder(compositor.canvas, { audioTracks: audioTap ? audioTap.stream.getAudioTracks() : [] });
+    } catch (e) {
+      if (audioTap) driver.analyser.disconnect(audioTap);
+      throw e;
+    }
+    let frameId;
+    let resolveDone;
+    const done = new Promise((resolve) => (resolveDone = resolve));
+    const finish = async (save) => {
+      cancelAnimationFrame(frameId);
+      recordingRef.current = null;
+      setRecording(null);
+      const blob = await recorder.stop();
+      if (audioTap) driver.analyser.disconnect(audioTap);
+      if (save) {
+        downloadBlob(blob, kind === "sequence" ? "living-portrait-sequence.webm" : "living-portrait.webm");
+        flash("Recording saved");
+      }
+      resolveDone(blob);
+      return blob;
+    };
+    const start = performance.now();
+    const tick = (now) => {
+      const frame = frameAt(now - start);
+      if (!frame) {
+        finish(true);
+        return;
+      }
+      compositor.render(img, frame);
+      frameId = requestAnimationFrame(tick);
+    };
+    recorder.start();
+    frameId = requestAnimationFrame(tick);
+    recordingRef.current = { stop: () => finish(true), cancel: () => finish(false), done };
+    setRecording(kind);
+    return done;
+  };
+
+  // Record what is on screen, with the active audio source, until stopped
+  const startRecording = () => {
+    try {
+      if (!beginRecording("live", currentFrame, { audio: true })) return false;
+      flash("Recording…");
+      return true;
+    } catch (e) {
+      flash("Recording unavailable");
+      console.error(e);
+      return false;
+    }
+  };
+
+  // Stop a live or scripted recording; resolves to the WebM Blob
+  const stopRecording = () => recordingRef.current?.stop();
+
+  // Record the scene's sequence and ambient effects from the start for
+  // `duration` ms (default: one full sequence cycle, or 10 s of ambient)
+  const recordSequence = ({ duration } = {}) => {
+    const cycle = sequence ? sequence.duration * (sequence.mode === "pingpong" ? 2 : 1) : 10000;
+    const length = duration ?? cycle;
+    const scene = { eyeSockets, sequence, ambient, gaze, particles };
+    const particlesAt = createScriptedParticles(scene);
+    try {
+      const done = beginRecording("sequence", (t) =>
+        t <= length ? { ...scriptedGlowAt(scene, t), particles, particleState: particlesAt(t) } : null
+      );
+      if (!done) return;
+      flash(`Recording ${Math.round(length / 100) / 10}s sequence…`);
+      return done;
+    } catch (e) {
+      flash("Recording unavailable");
+      console.error(e);
+    }
+  };
+
+  const galleryTimeout = (fn, ms) => {
+    const timer = setTimeout(() => {
+      galleryTimersRef.current.delete(timer);
+      fn();
+    }, Math.max(0, ms));
+    galleryTimersRef.current.add(timer);
+  };
+
+  const clearGalleryTimers = () => {
+    galleryTimersRef.current.forEach(clearTimeout);
+    galleryTimersRef.current.clear();
+  };
+
+  // Commands from the gallery conductor. Triggers fire at their wall-clock
+  // time plus this portrait's own delay; a newer pulse isn't cut short by an
+  // older one's release.
+  galleryCommandRef.current = (command) => {
+    if (command.type === "trigger") {
+      galleryTimeout(() => {
+        if (command.play === "sequence") {
+          engine.playSequence();
+          return;
+        }
+        const pulse = ++galleryPulseRef.current;
+        engine.setGlowSource("gallery", command.level);
+        galleryTimeout(() => pulse === galleryPulseRef.current && engine.setGlowSource("gallery", 0), command.hold);
+      }, command.at + galleryDelay - Date.now());
+    } else if (command.type === "scene") {
+      if (command.sceneId) loadScene(command.sceneId);
+      else if (HOTKEY_SLOTS.includes(command.slot)) loadSlot(command.slot);
+    } else if (command.type === "stop") {
+      clearGalleryTimers();
+      engine.setGlowSource("gallery", 0);
+      setSequencePlaying(false);
+    }
+  };
+
+  const galleryInfo = useMemo(
+    () => ({
+      name: galleryName || `Portrait ${instanceIdRef.current.slice(0, 4)}`,
+      role: galleryRole,
+      slot: activeSlot,
+      scene: library.scenes[activeSceneId]?.name || null,
+    }),
+    [galleryName, galleryRole, activeSlot, activeSceneId, library]
+  );
+  const galleryInfoRef = useRef(galleryInfo);
+  galleryInfoRef.current = galleryInfo;
+
+  // Join the named group; leaving it drops any pending triggers
+  useEffect(() => {
+    if (!gallery || typeof BroadcastChannel === "undefined") return;
+    const link = createGalleryLink({
+      group: gallery,
+      id: instanceIdRef.current,
+      info: galleryInfoRef.current,
+      onCommand: (command) => galleryCommandRef.current(command),
+      onRoster: setGalleryMembers,
+    });
+    galleryRef.current = link;
+    return () => {
+      link.close();
+      galleryRef.current = null;
+      clearGalleryTimers();
+      engine.setGlowSource("gallery", 0);
+      setGalleryMembers([]);
+    };
+  }, [gallery]);
+
+  useEffect(() => {
+    galleryRef.current?.update(galleryInfo);
+  }, [galleryInfo]);
+
+  // Everyone in the group in firing order: this portrait, then the rest by name
+  const galleryRoster = useMemo(
+    () => [
+      { ...galleryInfo, id: instanceIdRef.current, self: true },
+      ...[...galleryMembers].sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    ],
+    [galleryInfo, galleryMembers]
+  );
+
+  // Fire portraits `step` ms apart (0 fires them together); returns false
+  // outside a gallery
+  const fireGallery = (ids, step = 0, options = {}) => {
+    const link = galleryRef.current;
+    if (!link) return false;
+    const { level, hold, play } = { ...galleryTrigger, ...options };
+    cascadeSchedule(ids, { step, delays: galleryDelays }).forEach(({ id, at }) => link.send({ type: "trigger", to: [id], at, level, hold, play }));
+    return true;
+  };
+
+  const sendGalleryScene = (ids, scene) => {
+    const link = galleryRef.current;
+    if (!link) return false;
+    link.send({ type: "scene", to: ids, ...scene });
+    return true;
+  };
+
+  const stopGallery = () => {
+    const link = galleryRef.current;
+    if (!link) return false;
+    link.send({ type: "stop" });
+    return true;
+  };
+
+  // Raise the host glow to `level` for `hold` ms
+  const pulseHostGlow = (level, hold) => {
+    clearTimeout(pulseTimerRef.current);
+    engine.setHostGlow(level);
+    pulseTimerRef.current = setTimeout(() => engine.setHostGlow(0), Math.max(0, hold));
+  };
+
+  const remoteState = () => ({
+    glow: Math.round(glowIntensity * 100) / 100,
+    locked: sceneLocked,
+    presenting: !!presenting,
+    slot: activeSlot,
+    sceneId: activeSceneId,
+    scene: library.scenes[activeSceneId]?.name || null,
+    sequencePlaying: !!sequencePlaying,
+    recording: !!recording,
+    sockets: eyeSockets.length,
+  });
+
+  // Commands from a remote controller. Resolves to false when one fails so
+  // the controller's ack reports it.
+  remoteCommandRef.current = async (command) => {
+    const level = (value, fallback) => Math.max(0, Math.min(1, Number(value ?? fallback) || 0));
+    switch (command.cmd) {
+      case "glow":
+        clearTimeout(pulseTimerRef.current);
+        engine.setHostGlow(level(command.value, 0));
+        return true;
+      case "pulse":
+        pulseHostGlow(level(command.value, 1), Number(command.hold) || 1000);
+        return true;
+      case "loadScene":
+        return !!(command.sceneId ? await loadScene(command.sceneId) : await loadSlot(command.slot));
+      case "saveScene":
+        return !!(await saveScene({ hotkey: HOTKEY_SLOTS.includes(command.slot) ? command.slot : undefined, name: command.name }));
+      // The scene's own lock; a presentation keeps the portrait locked regardless
+      case "lock":
+        if (!!command.value !== sceneLocked) {
+          recordHistory(command.value ? "lock" : "unlock");
+          setLocked(!!command.value);
+        }
+        return true;
+      case "playSequence":
+        return engine.playSequence();
+      case "stopSequence":
+        setSequencePlaying(false);
+        return true;
+      case "getState":
+        remoteRef.current?.publish(remoteState(), { immediate: true });
+        return true;
+    }
+  };
+
+  // Connect to the show controller; the URL, prefix, format or name changing reconnects
+  const remoteOptions = remote ? (typeof remote === "string" ? { url: remote } : remote) : null;
+  const remoteKey = remoteOptions && JSON.stringify(remoteOptions);
+  useEffect(() => {
+    if (!remoteOptions?.url || typeof WebSocket === "undefined") return;
+    let lastStatus = null;
+    const client = createRemoteClient({
+      ...remoteOptions,
+      id: instanceIdRef.current,
+      name: remoteOptions.name ?? galleryInfoRef.current.name,
+      onCommand: (command) => remoteCommandRef.current(command),
+      onStatus: (status) => {
+        setRemoteStatus(status);
+        onRemoteStatus?.(status);
+        if (status === "open") flash("Remote connected");
+        else if (status === "closed" && lastStatus === "open") flash("Remote disconnected");
+        lastStatus = status;
+      },
+    });
+    remoteRef.current = client;
+    return () => {
+      client.close();
+      remoteRef.current = null;
+      clearTimeout(pulseTimerRef.current);
+      setRemoteStatus("off");
+    };
+  }, [remoteKey]);
+
+  useEffect(() => {
+    remoteRef.current?.publish(remoteState());
+  }, [glowIntensity, sceneLocked, !!presenting, activeSlot, activeSceneId, library, sequencePlaying, recording, eyeSockets.length, remoteStatus]);
+
+  const toggleMidi = () => engine.setMidi(midiStatus !== "on");
+
+  const updatePlaylists = (next) => {
+    setPlaylists(next);
+    engine.library.savePlaylists(next).catch((e) => reportStorageError(e, "Playlist save"));
+  };
+
+  // Kiosk mode: the playlist's scenes full screen, one after another, with
+  // everything but the framed portrait hidden and the portrait locked until
+  // the unlock sequence is typed. Fullscreen may be refused (it needs a user
+  // gesture); the presentation runs in the page regardless.
+  const startPresentation = async (playlistId, { confirm = false } = {}) => {
+    const playlist = playlists.find((p) => p.id === playlistId);
+    const ids = playlistSceneIds(playlist, engine.library.get());
+    if (!ids.length) {
+      flash(playlist ? "Playlist has no scenes" : "Playlist not found");
+      return false;
+    }
+    if (confirm && !confirmDiscard()) return false;
+    rootRef.current?.requestFullscreen?.().catch((e) => console.warn("Fullscreen refused", e));
+    unlock.reset();
+    engine.learnInput(null);
+    setPlaylistsOpen(false);
+    setOutgoing(null);
+    setPresenting({ playlistId, index: 0 });
+    onPresentationChange?.(playlistId);
+    return !!(await loadScene(ids[0]));
+  };
+
+  const stopPresentation = () => {
+    if (!presenting) return;
+    setPresenting(null);
+    setOutgoing(null);
+    if (document.fullscreenElement && document.fullscreenElement === rootRef.current) {
+      document.exitFullscreen().catch((e) => console.warn("Could not leave fullscreen", e));
+    }
+    onPresentationChange?.(null);
+  };
+
+  // Esc leaves fullscreen but not the presentation; the next click returns to it
+  const returnToFullscreen = () => {
+    if (!presenting || document.fullscreenElement) return;
+    rootRef.current.requestFullscreen?.().catch((e) => console.warn("Fullscreen refused", e));
+  };
+
+  // The next scene in the playlist, skipping deleted ones. The outgoing image
+  // stays on top and fades or flickers away over the new one.
+  presentNextRef.current = async () => {
+    const playlist = playlists.find((p) => p.id === presenting?.playlistId);
+    const ids = playlistSceneIds(playlist, engine.library.get());
+    if (!ids.length) return stopPresentation();
+    const index = (presenting.index + 1) % ids.length;
+    if (imageData && ids[index] !== activeSceneId && playlist.transition !== "cut" && playlist.transitionMs > 0) {
+      setOutgoing({ src: imageData, transition: playlist.transition, ms: playlist.transitionMs, key: Date.now() });
+    }
+    setPresenting({ playlistId: playlist.id, index });
+    await loadScene(ids[index]);
+  };
+
+  // Each scene stays up for the playlist's interval
+  useEffect(() => {
+    const playlist = presenting && playlists.find((p) => p.id === presenting.playlistId);
+    if (!playlist) return;
+    const timer = setTimeout(() => presentNextRef.current(), playlist.interval);
+    return () => clearTimeout(timer);
+  }, [presenting, playlists]);
+
+  // The frame grows to fill the screen while presenting
+  useEffect(() => onImgLoad(), [!!presenting]);
+
+  // Route one input event: while learning, bind it to the pending action;
+  // otherwise run every action bound to it. Returns whether anything used it.
+  inputRef.current = (event) =>
+    engine.handleInput(event, {
+      // Only someone at the keyboard can answer an unsaved-changes prompt.
+      // Kiosk visitors can trigger the glow but not change or save scenes.
+      loadSlot: (slot, { source }) => !presenting && loadSlot(slot, { confirm: source === "keyboard" }),
+      saveSlot: (slot) => !presenting && saveSlot(slot),
+    });
+
+  // Export the whole library, images included, as a portable scene bundle
+  const exportProfiles = async () => {
+    try {
+      const data = JSON.stringify(await engine.library.exportBundle(), null, 2);
+      downloadBlob(new Blob([data], { type: "application/json" }), "living-portrait-scenes.json");
+      flash("Scenes exported");
+      return data;
+    } catch (e) {
+      flash("Export failed");
+      console.error(e);
+    }
   };
 
-  // Import profiles from JSON
+  // A controlled activeSlot loads its scene whenever the host changes it
+  useEffect(() => {
+    if (activeSlotProp == null || !profilesLoaded) return;
+    if (loadedSlotRef.current === activeSlotProp) return;
+    loadedSlotRef.current = activeSlotProp;
+    loadSlot(activeSlotProp);
+  }, [activeSlotProp, profilesLoaded]);
+
+  // Imperative handle for hosts driving the portrait directly
+  useImperativeHandle(ref, () => ({
+    saveSlot,
+    loadSlot,
+    saveScene,
+    loadScene,
+    getLibrary: () => engine.library.get(),
+    exportProfiles,
+    setGlow: engine.setHostGlow,
+    playSequence: engine.playSequence,
+    stopSequence: engine.stopSequence,
+    getInputBindings: () => engine.getState().bindings,
+    setInputBindings: engine.setInputBindings,
+    learnInput: (action, slot) => !!INPUT_ACTIONS[action] && engine.learnInput(action, slot),
+    getGalleryMembers: () => galleryRoster,
+    galleryTrigger: ({ to, ...options } = {}) => fireGallery(to ?? galleryRoster.map((m) => m.id), 0, options),
+    galleryCascade: ({ order, step = galleryTrigger.step, ...options } = {}) => fireGallery(order ?? galleryRoster.map((m) => m.id), step, options),
+    galleryLoadScene: ({ to, slot, sceneId }) => sendGalleryScene(to, sceneId ? { sceneId } : { slot }),
+    galleryStop: stopGallery,
+    detectEyes: () => autoDetectEyes(),
+    exportPNG,
+    startRecording,
+    stopRecording,
+    recordSequence,
+    undo,
+    redo,
+    hasUnsavedChanges,
+    setAmbient: engine.setAmbient,
+    setGaze: engine.setGaze,
+    setParticles: engine.setParticles,
+    // Look at a point in normalised image coordinates, null for straight
+    // ahead; call with no argument to follow the pointer again
+    lookAt: (point) => setHostGazeTarget(point && { x: point.x, y: point.y }),
+    getPlaylists: () => playlists,
+    setPlaylists: (next) => {
+      const errors = validatePlaylists(next);
+      if (errors.length) {
+        console.warn("Playlists rejected", errors);
+        return false;
+      }
+      updatePlaylists(next);
+      return true;
+    },
+    startPresentation: (playlistId) => startPresentation(playlistId),
+    stopPresentation,
+  }));
+
+  // Read an import file and open the per-scene review dialog
   const importProfiles = (e) => {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
     const reader = new FileReader();
-    reader.onload = async (ev) => {
+    reader.onload = (ev) => {
       try {
-        const data = JSON.parse(ev.target.result);
-        await dbPut(PROFILE_STORE, "allProfiles", data);
-        setProfiles(data);
-        flash("Profiles imported");
+        const entries = parseSceneBundle(JSON.parse(ev.target.result));
+        if (!entries.length) {
+          flash("No scenes in file");
+          return;
+        }
+        setPendingImport(entries);
       } catch (err) {
         flash("Invalid profile file");
+        console.warn(err);
       }
     };
     reader.readAsText(file);
   };
 
-  const slotKeys = [1, 2, 3, 4, 5, 6];
+  // Apply the reviewed import (see createSceneLibrary's importScenes)
+  const applyImport = async (entries) => {
+    setPendingImport(null);
+    try {
+      const imported = await engine.library.importScenes(entries);
+      flash(`Imported ${imported} scene${imported !== 1 ? "s" : ""}`);
+    } catch (e) {
+      reportStorageError(e, "Import");
+    }
+  };
+
+  // Presenting shows the framed portrait alone
+  const showChrome = chrome && !presenting;
+  const aspect = imgDimensions.height ? imgDimensions.width / imgDimensions.height : 0;
 
   return (
     <div
+      ref={rootRef}
+      onClick={returnToFullscreen}
       style={{
-        minHeight: "100vh",
-        background: "#0a0a0a",
+        ...(showChrome && { minHeight: "100vh", background: "#0a0a0a", padding: "24px 16px" }),
+        ...(presenting && { height: "100vh", justifyContent: "center", background: "#000", cursor: "none", overflow: "hidden" }),
         color: "#c4b5a0",
         fontFamily: "'EB Garamond', 'Palatino Linotype', 'Book Antiqua', Palatino, serif",
         display: "flex",
         flexDirection: "column",
         alignItems: "center",
-        padding: "24px 16px",
         userSelect: "none",
       }}
     >
-      {/* Title */}
-      <h1
-        style={{
-          fontSize: "2.4rem",
-          fontWeight: 400,
-          letterSpacing: "0.15em",
-          textTransform: "uppercase",
-          color: "#8b7355",
-          marginBottom: 4,
-          textShadow: "0 0 30px rgba(139,115,85,0.3)",
-        }}
-      >
-        Living Portrait
-      </h1>
-      <p style={{ color: "#665544", fontSize: "0.85rem", letterSpacing: "0.3em", marginBottom: 24, textTransform: "uppercase" }}>
-        Haunted Gallery System
-      </p>
-
-      {/* Status flash */}
-      {statusMsg && (
-        <div
-          style={{
-            position: "fixed",
-            top: 20,
-            left: "50%",
-            transform: "translateX(-50%)",
-            background: "rgba(30,20,10,0.95)",
-            border: "1px solid #8b7355",
-            color: "#d4c5a0",
-            padding: "10px 28px",
-            borderRadius: 4,
-            fontSize: "0.9rem",
-            zIndex: 100,
-            letterSpacing: "0.1em",
-            boxShadow: "0 4px 20px rgba(0,0,0,0.6)",
-            animation: "fadeIn 0.2s ease",
-          }}
-        >
-          {statusMsg}
-        </div>
-      )}
+      <input ref={fileInputRef} type="file" accept="image/*" onChange={handleFileChange} style={{ display: "none" }} />
 
-      {/* Slot bar */}
-      <div style={{ display: "flex", gap: 8, marginBottom: 20, flexWrap: "wrap", justifyContent: "center" }}>
-        {slotKeys.map((s) => (
-          <button
-            key={s}
-            onClick={() => loadSlot(s)}
+      {showChrome && (
+        <>
+          {/* Title */}
+          <h1
             style={{
-              background: activeSlot === s ? "#8b7355" : profiles[s] ? "rgba(139,115,85,0.2)" : "rgba(255,255,255,0.04)",
-              color: activeSlot === s ? "#0a0a0a" : profiles[s] ? "#c4b5a0" : "#555",
-              border: `1px solid ${activeSlot === s ? "#8b7355" : profiles[s] ? "#665544" : "#333"}`,
-              padding: "6px 16px",
-              borderRadius: 3,
-              cursor: "pointer",
-              fontSize: "0.8rem",
+              fontSize: "2.4rem",
+              fontWeight: 400,
               letterSpacing: "0.15em",
-              fontFamily: "inherit",
-              transition: "all 0.2s",
+              textTransform: "uppercase",
+              color: "#8b7355",
+              marginBottom: 4,
+              textShadow: "0 0 30px rgba(139,115,85,0.3)",
             }}
-            title={profiles[s] ? `Load slot ${s} (key: ${s}) | Shift+${s} to save` : `Empty slot (Shift+${s} to save)`}
           >
-            {s} {profiles[s] ? "●" : "○"}
-          </button>
-        ))}
-      </div>
+            Living Portrait
+          </h1>
+          <p style={{ color: "#665544", fontSize: "0.85rem", letterSpacing: "0.3em", marginBottom: 24, textTransform: "uppercase" }}>
+            Haunted Gallery System
+          </p>
 
-      {/* Controls row */}
-      <div style={{ display: "flex", gap: 10, marginBottom: 20, flexWrap: "wrap", justifyContent: "center", alignItems: "center" }}>
-        <button
-          onClick={() => fileInputRef.current?.click()}
-          style={{
-            background: "rgba(139,115,85,0.15)",
-            color: "#c4b5a0",
-            border: "1px solid #665544",
-            padding: "8px 20px",
-            borderRadius: 3,
-            cursor: "pointer",
-            fontSize: "0.8rem",
-            letterSpacing: "0.12em",
-            fontFamily: "inherit",
-          }}
-        >
-          Upload Portrait
-        </button>
-        <input ref={fileInputRef} type="file" accept="image/*" onChange={handleFileChange} style={{ display: "none" }} />
+          {/* Status flash */}
+          {statusMsg && (
+            <div
+              aria-hidden="true"
+              style={{
+                position: "fixed",
+                top: 20,
+                left: "50%",
+                transform: "translateX(-50%)",
+                background: "rgba(30,20,10,0.95)",
+                border: "1px solid #8b7355",
+                color: "#d4c5a0",
+                padding: "10px 28px",
+                borderRadius: 4,
+                fontSize: "0.9rem",
+                zIndex: 100,
+                letterSpacing: "0.1em",
+                boxShadow: "0 4px 20px rgba(0,0,0,0.6)",
+                animation: "fadeIn 0.2s ease",
+              }}
+            >
+              {statusMsg}
+            </div>
+          )}
 
-        {imageData && (
-          <>
+          {/* Hotkey bar */}
+          <div style={{ display: "flex", gap: 8, marginBottom: 20, flexWrap: "wrap", justifyContent: "center" }}>
+            {HOTKEY_SLOTS.map((s) => {
+              const scene = library.scenes[library.hotkeys[s]];
+              return (
+                <button
+                  key={s}
+                  onClick={() => loadSlot(s, { confirm: true })}
+                  style={{
+                    background: activeSlot === s ? "#8b7355" : scene ? "rgba(139,115,85,0.2)" : "rgba(255,255,255,0.04)",
+                    color: activeSlot === s ? "#0a0a0a" : scene ? "#c4b5a0" : "#555",
+                    border: `1px solid ${activeSlot === s ? "#8b7355" : scene ? "#665544" : "#333"}`,
+                    padding: "6px 16px",
+                    borderRadius: 3,
+                    cursor: "pointer",
+                    fontSize: "0.8rem",
+                    letterSpacing: "0.15em",
+                    fontFamily: "inherit",
+                    transition: "all 0.2s",
+                    maxWidth: 160,
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  }}
+                  title={scene ? `Load "${scene.name}" (key: ${s}) | Shift+${s} to save here` : `Unassigned key (Shift+${s} to save here)`}
+                >
+                  {s} {scene ? `● ${scene.name}` : "○"}
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Controls row */}
+          <div style={{ display: "flex", gap: 10, marginBottom: 20, flexWrap: "wrap", justifyContent: "center", alignItems: "center" }}>
             <button
-              onClick={() => setLocked((l) => !l)}
+              onClick={() => fileInputRef.current?.click()}
               style={{
-                background: locked ? "rgba(180,40,40,0.2)" : "rgba(139,115,85,0.15)",
-                color: locked ? "#cc6644" : "#c4b5a0",
-                border: `1px solid ${locked ? "#884433" : "#665544"}`,
+                background: "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
                 padding: "8px 20px",
                 borderRadius: 3,
                 cursor: "pointer",
@@ -445,53 +3697,617 @@ export default function LivingPortrait() {
                 fontFamily: "inherit",
               }}
             >
-              {locked ? "🔒 Locked" : "🔓 Unlocked"}
+              Upload Portrait
             </button>
-            <span style={{ color: "#555", fontSize: "0.75rem" }}>
-              {eyeSockets.length} eye{eyeSockets.length !== 1 ? "s" : ""} placed
-            </span>
-          </>
-        )}
 
-        <button
-          onClick={exportProfiles}
-          style={{
-            background: "rgba(139,115,85,0.1)",
-            color: "#887766",
-            border: "1px solid #444",
-            padding: "8px 14px",
-            borderRadius: 3,
-            cursor: "pointer",
-            fontSize: "0.75rem",
-            letterSpacing: "0.1em",
-            fontFamily: "inherit",
-          }}
-        >
-          Export JSON
-        </button>
-        <label
-          style={{
-            background: "rgba(139,115,85,0.1)",
-            color: "#887766",
-            border: "1px solid #444",
-            padding: "8px 14px",
-            borderRadius: 3,
-            cursor: "pointer",
-            fontSize: "0.75rem",
-            letterSpacing: "0.1em",
-          }}
-        >
-          Import JSON
-          <input type="file" accept=".json" onChange={importProfiles} style={{ display: "none" }} />
-        </label>
-      </div>
+            {imageData && (
+              <>
+                <button
+                  onClick={toggleLock}
+                  style={{
+                    background: locked ? "rgba(180,40,40,0.2)" : "rgba(139,115,85,0.15)",
+                    color: locked ? "#cc6644" : "#c4b5a0",
+                    border: `1px solid ${locked ? "#884433" : "#665544"}`,
+                    padding: "8px 20px",
+                    borderRadius: 3,
+                    cursor: "pointer",
+                    fontSize: "0.8rem",
+                    letterSpacing: "0.12em",
+                    fontFamily: "inherit",
+                  }}
+                >
+                  {locked ? "🔒 Locked" : "🔓 Unlocked"}
+                </button>
+                {[
+                  ["↶", historyLabels.undo, undo, "Undo", "Ctrl+Z"],
+                  ["↷", historyLabels.redo, redo, "Redo", "Ctrl+Shift+Z"],
+                ].map(([icon, label, action, verb, keys]) => (
+                  <button
+                    key={verb}
+                    onClick={action}
+                    disabled={!label}
+                    aria-label={label ? `${verb} ${label}` : verb}
+                    style={{
+                      background: "rgba(139,115,85,0.1)",
+                      color: "#887766",
+                      border: "1px solid #444",
+                      padding: "8px 12px",
+                      borderRadius: 3,
+                      cursor: label ? "pointer" : "default",
+                      fontSize: "0.8rem",
+                      fontFamily: "inherit",
+                      opacity: label ? 1 : 0.4,
+                    }}
+                    title={label ? `${verb} ${label} (${keys})` : `Nothing to ${verb.toLowerCase()}`}
+                  >
+                    {icon}
+                  </button>
+                ))}
+                <span style={{ color: "#555", fontSize: "0.75rem" }}>
+                  {eyeSockets.length} eye{eyeSockets.length !== 1 ? "s" : ""} placed
+                </span>
+                {!locked && (
+                  <button
+                    onClick={() => autoDetectEyes()}
+                    style={{
+                      background: "rgba(139,115,85,0.15)",
+                      color: "#c4b5a0",
+                      border: "1px solid #665544",
+                      padding: "8px 20px",
+                      borderRadius: 3,
+                      cursor: "pointer",
+                      fontSize: "0.8rem",
+                      letterSpacing: "0.12em",
+                      fontFamily: "inherit",
+                    }}
+                    title="Find eyes in the portrait and propose socket positions"
+                  >
+                    Auto-detect Eyes
+                  </button>
+                )}
+                {!locked && (
+                  <select
+                    value={snapMode}
+                    onChange={(e) => setSnapMode(e.target.value)}
+                    aria-label="Snap placed eyes"
+                    title="Refine placed and dragged eyes to the brightest or darkest pixel nearby"
+                    style={{
+                      background: "rgba(139,115,85,0.15)",
+                      color: "#c4b5a0",
+                      border: "1px solid #665544",
+                      padding: "8px 10px",
+                      borderRadius: 3,
+                      cursor: "pointer",
+                      fontSize: "0.8rem",
+                      letterSpacing: "0.08em",
+                      fontFamily: "inherit",
+                    }}
+                  >
+                    {SNAP_MODES.map((mode) => (
+                      <option key={mode} value={mode}>
+                        {mode === "off" ? "Snap: off" : `Snap: ${mode}`}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </>
+            )}
+
+            <select
+              value={audioSource}
+              onChange={(e) => selectAudioSource(e.target.value)}
+              title="Glow source"
+              style={{
+                background: "rgba(139,115,85,0.1)",
+                color: "#887766",
+                border: "1px solid #444",
+                padding: "7px 10px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.75rem",
+                letterSpacing: "0.1em",
+                fontFamily: "inherit",
+              }}
+            >
+              <option value="none">Glow: Space only</option>
+              <option value="mic">Glow: Microphone</option>
+              <option value="file">Glow: Audio file</option>
+              <option value="speech">Glow: Speech</option>
+            </select>
+            <select
+              value={typeof rendererChoice === "string" ? rendererChoice : "custom"}
+              onChange={(e) => selectRenderer(e.target.value)}
+              title="Glow renderer"
+              aria-label="Glow renderer"
+              style={{
+                background: "rgba(139,115,85,0.1)",
+                color: "#887766",
+                border: "1px solid #444",
+                padding: "7px 10px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.75rem",
+                letterSpacing: "0.1em",
+                fontFamily: "inherit",
+              }}
+            >
+              <option value="auto">Render: Auto ({glowRenderer.name === "webgl" ? "WebGL" : "2D"})</option>
+              <option value="webgl">Render: WebGL</option>
+              <option value="canvas2d">Render: Canvas 2D</option>
+              {typeof rendererChoice !== "string" && <option value="custom">Render: {glowRenderer.name}</option>}
+            </select>
+            <input ref={audioFileInputRef} type="file" accept="audio/*,video/*" onChange={handleAudioFileChange} style={{ display: "none" }} />
+            {audioSource === "file" && audioFileUrl && (
+              <audio ref={audioElRef} src={audioFileUrl} controls onLoadedMetadata={onAudioElementReady} style={{ height: 32 }} />
+            )}
+            {audioSource === "speech" && (
+              <>
+                <input
+                  type="text"
+                  value={speechText}
+                  onChange={(e) => setSpeechText(e.target.value)}
+                  onKeyDown={(e) => e.stopPropagation()}
+                  placeholder="Words for the portrait…"
+                  style={{
+                    background: "rgba(255,255,255,0.04)",
+                    color: "#c4b5a0",
+                    border: "1px solid #444",
+                    padding: "7px 10px",
+                    borderRadius: 3,
+                    fontSize: "0.75rem",
+                    fontFamily: "inherit",
+                    userSelect: "text",
+                  }}
+                />
+                <button
+                  onClick={speakText}
+                  style={{
+                    background: "rgba(139,115,85,0.1)",
+                    color: "#887766",
+                    border: "1px solid #444",
+                    padding: "8px 14px",
+                    borderRadius: 3,
+                    cursor: "pointer",
+                    fontSize: "0.75rem",
+                    letterSpacing: "0.1em",
+                    fontFamily: "inherit",
+                  }}
+                >
+                  Speak
+                </button>
+              </>
+            )}
+
+            <button
+              onClick={() => saveScene()}
+              disabled={!imageData}
+              style={{
+                background: "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: imageData ? "pointer" : "default",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+                opacity: imageData ? 1 : 0.5,
+              }}
+              title={activeSceneId ? "Update the current scene" : "Save as a new scene"}
+            >
+              Save Scene
+            </button>
+            <button
+              onClick={() => setLibraryOpen((o) => !o)}
+              style={{
+                background: libraryOpen ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Library ({Object.keys(library.scenes).length})
+            </button>
+            <button
+              onClick={() => setTimelineOpen((o) => !o)}
+              style={{
+                background: timelineOpen || sequencePlaying ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              {sequencePlaying ? "Timeline ▶" : "Timeline"}
+            </button>
+            <button
+              onClick={() => setAmbientOpen((o) => !o)}
+              style={{
+                background: ambientOpen || ambientEnabled ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Ambient
+            </button>
+            <button
+              onClick={() => setGazeOpen((o) => !o)}
+              style={{
+                background: gazeOpen || gaze?.enabled ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Gaze
+            </button>
+            <button
+              onClick={() => setParticlesOpen((o) => !o)}
+              style={{
+                background: particlesOpen || particles?.enabled ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Particles
+            </button>
+            <button
+              onClick={() => setPlaylistsOpen((o) => !o)}
+              style={{
+                background: playlistsOpen ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Present
+            </button>
+            <button
+              onClick={() => setInputsOpen((o) => !o)}
+              style={{
+                background: inputsOpen || learning ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Inputs
+            </button>
+            <button
+              onClick={() => setStorageOpen((o) => !o)}
+              style={{
+                background: storageOpen ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                color: "#c4b5a0",
+                border: "1px solid #665544",
+                padding: "8px 20px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                letterSpacing: "0.12em",
+                fontFamily: "inherit",
+              }}
+            >
+              Storage
+            </button>
+            {gallery && galleryRole === "conductor" && (
+              <button
+                onClick={() => setGalleryOpen((o) => !o)}
+                style={{
+                  background: galleryOpen ? "rgba(139,115,85,0.3)" : "rgba(139,115,85,0.15)",
+                  color: "#c4b5a0",
+                  border: "1px solid #665544",
+                  padding: "8px 20px",
+                  borderRadius: 3,
+                  cursor: "pointer",
+                  fontSize: "0.8rem",
+                  letterSpacing: "0.12em",
+                  fontFamily: "inherit",
+                }}
+              >
+                Gallery ({galleryRoster.length})
+              </button>
+            )}
+            {remote && (
+              <span
+                title={`Remote control: ${remoteStatus}`}
+                style={{
+                  alignSelf: "center",
+                  fontSize: "0.75rem",
+                  letterSpacing: "0.1em",
+                  color: remoteStatus === "open" ? "#c4b5a0" : "#665544",
+                }}
+              >
+                <span style={{ color: remoteStatus === "open" ? "#7ab87a" : remoteStatus === "connecting" ? "#b8a05a" : "#884444" }}>●</span> Remote
+              </span>
+            )}
+
+            {imageData && (
+              <>
+                <button
+                  onClick={() => exportPNG(glowIntensity > 0 ? {} : { glow: 1 })}
+                  style={{
+                    background: "rgba(139,115,85,0.1)",
+                    color: "#887766",
+                    border: "1px solid #444",
+                    padding: "8px 14px",
+                    borderRadius: 3,
+                    cursor: "pointer",
+                    fontSize: "0.75rem",
+                    letterSpacing: "0.1em",
+                    fontFamily: "inherit",
+                  }}
+                  title="Save the portrait at its native resolution, with the current glow or full glow if the eyes are dark"
+                >
+                  Save PNG
+                </button>
+                <button
+                  onClick={recording ? stopRecording : startRecording}
+                  style={{
+                    background: recording ? "rgba(180,40,40,0.2)" : "rgba(139,115,85,0.1)",
+                    color: recording ? "#cc6644" : "#887766",
+                    border: `1px solid ${recording ? "#884433" : "#444"}`,
+                    padding: "8px 14px",
+                    borderRadius: 3,
+                    cursor: "pointer",
+                    fontSize: "0.75rem",
+                    letterSpacing: "0.1em",
+                    fontFamily: "inherit",
+                  }}
+                  title={recording ? "Stop and save the WebM" : "Record the live portrait, with the active audio source, as WebM"}
+                >
+                  {recording ? "■ Stop Recording" : "● Record"}
+                </button>
+                {!recording && (sequence || ambient?.enabled) && (
+                  <button
+                    onClick={() => recordSequence()}
+                    style={{
+                      background: "rgba(139,115,85,0.1)",
+                      color: "#887766",
+                      border: "1px solid #444",
+                      padding: "8px 14px",
+                      borderRadius: 3,
+                      cursor: "pointer",
+                      fontSize: "0.75rem",
+                      letterSpacing: "0.1em",
+                      fontFamily: "inherit",
+                    }}
+                    title="Record one cycle of the glow sequence (or 10 s of ambient effects) as WebM"
+                  >
+                    Record Sequence
+                  </button>
+                )}
+              </>
+            )}
+
+            <button
+              onClick={exportProfiles}
+              style={{
+                background: "rgba(139,115,85,0.1)",
+                color: "#887766",
+                border: "1px solid #444",
+                padding: "8px 14px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.75rem",
+                letterSpacing: "0.1em",
+                fontFamily: "inherit",
+              }}
+            >
+              Export Scenes
+            </button>
+            <label
+              style={{
+                background: "rgba(139,115,85,0.1)",
+                color: "#887766",
+                border: "1px solid #444",
+                padding: "8px 14px",
+                borderRadius: 3,
+                cursor: "pointer",
+                fontSize: "0.75rem",
+                letterSpacing: "0.1em",
+              }}
+            >
+              Import Scenes
+              <input type="file" accept=".json" onChange={importProfiles} style={{ display: "none" }} />
+            </label>
+          </div>
+
+          {/* Detected eye proposals */}
+          {eyeProposals && !locked && (
+            <div
+              style={{
+                display: "flex",
+                gap: 10,
+                marginBottom: 16,
+                alignItems: "center",
+                fontSize: "0.75rem",
+                color: "#887766",
+                letterSpacing: "0.08em",
+              }}
+            >
+              {eyeProposals.length} proposed eye{eyeProposals.length !== 1 ? "s" : ""} · click a dashed marker to accept it
+              <button
+                onClick={() => acceptProposals(eyeProposals.map((_, i) => i))}
+                style={{
+                  background: "rgba(139,115,85,0.1)",
+                  color: "#887766",
+                  border: "1px solid #444",
+                  padding: "5px 12px",
+                  borderRadius: 3,
+                  cursor: "pointer",
+                  fontSize: "0.7rem",
+                  letterSpacing: "0.1em",
+                  fontFamily: "inherit",
+                }}
+              >
+                Accept All
+              </button>
+              <button
+                onClick={() => setEyeProposals(null)}
+                style={{
+                  background: "rgba(139,115,85,0.1)",
+                  color: "#887766",
+                  border: "1px solid #444",
+                  padding: "5px 12px",
+                  borderRadius: 3,
+                  cursor: "pointer",
+                  fontSize: "0.7rem",
+                  letterSpacing: "0.1em",
+                  fontFamily: "inherit",
+                }}
+              >
+                Reject
+              </button>
+            </div>
+          )}
+
+          {/* Scene library browser */}
+          {libraryOpen && (
+            <SceneLibrary
+              library={library}
+              activeSceneId={activeSceneId}
+              onLoad={(id) => loadScene(id, { confirm: true })}
+              onUpdate={updateSceneMeta}
+              onDelete={deleteScene}
+              onAssignHotkey={assignHotkey}
+              onSaveAsNew={() => saveScene({ asNew: true })}
+              canSave={!!imageData}
+            />
+          )}
+
+          {/* Idle effects */}
+          {ambientOpen && <AmbientPanel ambient={ambient} onChange={setAmbient} onClose={() => setAmbientOpen(false)} />}
+
+          {/* Pupils */}
+          {gazeOpen && <GazePanel gaze={gaze} onChange={setGaze} onClose={() => setGazeOpen(false)} />}
+
+          {/* Embers, smoke and tears */}
+          {particlesOpen && <ParticlePanel particles={particles} onChange={setParticles} onClose={() => setParticlesOpen(false)} />}
+
+          {/* Kiosk playlists */}
+          {playlistsOpen && (
+            <PlaylistPanel
+              playlists={playlists}
+              library={library}
+              unlockSequence={unlockSequence}
+              onChange={updatePlaylists}
+              onPresent={(id) => startPresentation(id, { confirm: true })}
+              onClose={() => setPlaylistsOpen(false)}
+            />
+          )}
+
+          {/* Trigger mapping */}
+          {inputsOpen && (
+            <InputPanel
+              bindings={inputBindings}
+              learning={learning}
+              midiStatus={midiStatus}
+              onLearn={(pending) => engine.learnInput(pending?.action, pending?.slot)}
+              onRemove={(binding) => engine.setInputBindings(inputBindings.filter((b) => b !== binding))}
+              onReset={() => engine.setInputBindings(DEFAULT_INPUT_BINDINGS)}
+              onMidi={toggleMidi}
+              onClose={() => {
+                engine.learnInput(null);
+                setInputsOpen(false);
+              }}
+            />
+          )}
+
+          {/* Storage use and upload settings */}
+          {storageOpen && (
+            <StoragePanel
+              info={storageInfo}
+              upload={uploadSettings}
+              onUploadChange={setUploadSettings}
+              onPrune={pruneUnusedImages}
+              onPersist={requestPersistence}
+              onRefresh={refreshStorage}
+              onClose={() => setStorageOpen(false)}
+            />
+          )}
+
+          {/* Gallery wall conductor */}
+          {galleryOpen && gallery && galleryRole === "conductor" && (
+            <GalleryPanel
+              group={gallery}
+              members={galleryRoster}
+              delays={galleryDelays}
+              trigger={galleryTrigger}
+              onDelay={(id, ms) => setGalleryDelays((d) => ({ ...d, [id]: ms }))}
+              onTriggerChange={setGalleryTrigger}
+              onFire={(ids, step) => fireGallery(ids, step)}
+              onScene={(ids, slot) => sendGalleryScene(ids, { slot })}
+              onStop={stopGallery}
+              onClose={() => setGalleryOpen(false)}
+            />
+          )}
+
+          {/* Glow sequence editor */}
+          {timelineOpen && (
+            <TimelineEditor
+              sequence={sequence}
+              socketCount={eyeSockets.length}
+              playing={!!sequencePlaying}
+              playhead={playhead}
+              onChange={setSequence}
+              onScrub={engine.scrubSequence}
+              onPlay={() => engine.playSequence()}
+              onStop={() => setSequencePlaying(false)}
+              onCreate={() => setSequence(createDefaultSequence())}
+              onRemove={() => {
+                setSequencePlaying(false);
+                setSequence(null);
+              }}
+              onClose={() => setTimelineOpen(false)}
+            />
+          )}
+        </>
+      )}
 
       {/* Portrait area */}
       <div
+        ref={frameRef}
         style={{
           position: "relative",
-          maxWidth: 700,
-          width: "100%",
+          maxWidth: presenting ? "none" : 700,
+          // Fit the whole portrait on screen while presenting
+          width: presenting && aspect ? `min(100%, ${(100 * aspect).toFixed(2)}vh)` : "100%",
           background: "#111",
           borderRadius: 4,
           overflow: "hidden",
@@ -514,6 +4330,28 @@ export default function LivingPortrait() {
           }}
         />
 
+        {/* The previous playlist scene, fading or flickering away over the new one */}
+        {outgoing && (
+          <img
+            key={outgoing.key}
+            src={outgoing.src}
+            alt=""
+            aria-hidden="true"
+            onAnimationEnd={() => setOutgoing(null)}
+            style={{
+              position: "absolute",
+              inset: 0,
+              width: "100%",
+              height: "100%",
+              objectFit: "cover",
+              zIndex: 4,
+              pointerEvents: "none",
+              filter: "brightness(0.85)",
+              animation: `${outgoing.transition === "flicker" ? "flickerOut" : "crossfadeOut"} ${outgoing.ms}ms ease-in forwards`,
+            }}
+          />
+        )}
+
         {!imageData ? (
           <div
             onClick={() => fileInputRef.current?.click()}
@@ -540,7 +4378,21 @@ export default function LivingPortrait() {
           <div
             ref={containerRef}
             onClick={handleImageClick}
-            style={{ position: "relative", cursor: locked ? "default" : "crosshair", lineHeight: 0 }}
+            onPointerDown={handlePortraitPointerDown}
+            onPointerMove={handlePortraitPointerMove}
+            onPointerUp={handlePortraitPointerUp}
+            onPointerCancel={handlePortraitPointerUp}
+            onMouseDown={(e) => e.button === 1 && e.preventDefault()}
+            role="group"
+            aria-label={locked ? "Portrait" : "Portrait editor. Click or tap to place an eye socket"}
+            style={{
+              position: "relative",
+              cursor: locked ? "default" : "crosshair",
+              lineHeight: 0,
+              touchAction: locked ? "auto" : "none",
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+              transformOrigin: "0 0",
+            }}
           >
             <img
               ref={imgRef}
@@ -551,6 +4403,22 @@ export default function LivingPortrait() {
               draggable={false}
             />
 
+            {/* Pupils: painted on the portrait, under the glow (over it on the GPU path, which draws the portrait itself) */}
+            {gaze?.enabled && (
+              <GazeCanvas
+                eyeSockets={eyeSockets}
+                gaze={gaze}
+                width={imgDimensions.width}
+                height={imgDimensions.height}
+                target={gazeTarget}
+                layerRef={gazeLayerRef}
+                style={{
+                  filter: glowIntensity > 0 ? `brightness(${0.7 + 0.3 * glowIntensity})` : "brightness(0.85)",
+                  zIndex: glowRenderer.composite === "full" ? 4 : 1,
+                }}
+              />
+            )}
+
             {/* Darkness overlay for atmosphere */}
             <div
               style={{
@@ -562,23 +4430,64 @@ export default function LivingPortrait() {
               }}
             />
 
-            {/* Glow canvas */}
-            <GlowCanvas
-              eyeSockets={eyeSockets}
-              glowIntensity={glowIntensity}
-              width={imgDimensions.width}
-              height={imgDimensions.height}
-              containerRef={containerRef}
-            />
+            {/* Glow: a single full-frame canvas on the GPU path, otherwise one per blend mode in use */}
+            {glowRenderer.composite === "full" ? (
+              <GlowCanvas
+                key={glowRenderer.name}
+                renderer={glowRenderer}
+                eyeSockets={renderSockets}
+                glowIntensity={glowIntensity}
+                width={imgDimensions.width}
+                height={imgDimensions.height}
+                imageRef={imgRef}
+                onFallback={handleRendererFallback}
+              />
+            ) : (
+              [...socketGroups].map(([mode, sockets]) => (
+                <GlowCanvas
+                  key={`${glowRenderer.name}-${mode}`}
+                  renderer={glowRenderer}
+                  eyeSockets={sockets}
+                  glowIntensity={glowIntensity}
+                  width={imgDimensions.width}
+                  height={imgDimensions.height}
+                  blendMode={mode}
+                  imageRef={imgRef}
+                  onFallback={handleRendererFallback}
+                />
+              ))
+            )}
+
+            {/* Particles drift over the glow */}
+            {particles?.enabled && (
+              <ParticleCanvas
+                eyeSockets={renderSockets}
+                glowIntensity={glowIntensity}
+                particles={particles}
+                width={imgDimensions.width}
+                height={imgDimensions.height}
+                layerRef={particleLayerRef}
+                style={{ zIndex: 4 }}
+              />
+            )}
 
             {/* Eye socket markers (edit mode) */}
             {!locked &&
               eyeSockets.map((socket, idx) => (
                 <div
                   key={idx}
-                  onMouseDown={(e) => handleSocketMouseDown(e, idx)}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={`Eye ${idx + 1}, ${percent(socket.x)} across, ${percent(socket.y)} down`}
+                  aria-describedby={markerHintId}
+                  aria-pressed={selectedSocket === idx}
+                  onPointerDown={(e) => handleSocketPointerDown(e, idx)}
+                  onKeyDown={(e) => handleSocketKeyDown(e, idx)}
+                  onClick={(e) => e.stopPropagation()}
                   onMouseEnter={() => setHoverSocket(idx)}
                   onMouseLeave={() => setHoverSocket(null)}
+                  onFocus={() => setHoverSocket(idx)}
+                  onBlur={() => setHoverSocket(null)}
                   style={{
                     position: "absolute",
                     left: `${socket.x * 100}%`,
@@ -588,41 +4497,187 @@ export default function LivingPortrait() {
                     marginLeft: -10,
                     marginTop: -10,
                     borderRadius: "50%",
-                    border: `2px solid ${hoverSocket === idx ? "#ff6644" : "#cc8855"}`,
+                    border: `2px solid ${hoverSocket === idx ? "#ff6644" : socket.color || "#cc8855"}`,
+                    outline: selectedSocket === idx ? "1px dashed #d4c5a0" : "none",
+                    outlineOffset: 3,
                     background: `rgba(200, 60, 20, ${hoverSocket === idx ? 0.4 : 0.2})`,
                     cursor: "grab",
                     zIndex: 10,
+                    touchAction: "none",
+                    transform: `scale(${1 / view.scale})`,
                     transition: "border-color 0.15s, background 0.15s",
                     boxShadow: hoverSocket === idx ? "0 0 12px rgba(200,60,20,0.5)" : "none",
                   }}
-                  title="Drag to move • Delete/Backspace to remove"
+                  title="Drag to move • Click to style • Delete/Backspace or long-press to remove"
+                />
+              ))}
+
+            {/* Mask of the selected socket, or the outline being drawn */}
+            {!locked && drawingShape && (
+              <svg
+                viewBox={`0 0 ${imgDimensions.width} ${imgDimensions.height}`}
+                style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none", zIndex: 9 }}
+              >
+                <polyline
+                  points={drawingShape.points.map((p) => `${p.x * imgDimensions.width},${p.y * imgDimensions.height}`).join(" ")}
+                  fill="none"
+                  stroke="#d4c5a0"
+                  strokeDasharray="4 3"
+                  vectorEffect="non-scaling-stroke"
+                />
+                {drawingShape.points.map((p, i) => (
+                  <circle key={i} cx={p.x * imgDimensions.width} cy={p.y * imgDimensions.height} r={(i ? 3 : 5) / view.scale} fill="#d4c5a0" />
+                ))}
+              </svg>
+            )}
+            {!locked && !drawingShape && eyeSockets[selectedSocket]?.shape && (
+              <ShapeHandles
+                socket={eyeSockets[selectedSocket]}
+                width={imgDimensions.width}
+                height={imgDimensions.height}
+                scale={view.scale}
+                containerRef={containerRef}
+                onBegin={() => recordHistory("reshape eye")}
+                onChange={(shape) => setSocketShape(selectedSocket, shape)}
+              />
+            )}
+
+            {/* Detected eye proposals, accepted one at a time by clicking */}
+            {showChrome &&
+              !locked &&
+              eyeProposals?.map((proposal, idx) => (
+                <div
+                  key={`proposal-${idx}`}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={`Proposed eye at ${percent(proposal.x)} across, ${percent(proposal.y)} down. Press to accept`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    acceptProposals([idx]);
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key !== "Enter" && e.key !== " ") return;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    acceptProposals([idx]);
+                  }}
+                  style={{
+                    position: "absolute",
+                    left: `${proposal.x * 100}%`,
+                    top: `${proposal.y * 100}%`,
+                    width: 24,
+                    height: 24,
+                    marginLeft: -12,
+                    marginTop: -12,
+                    borderRadius: "50%",
+                    border: "2px dashed #d4c5a0",
+                    background: "rgba(212,197,160,0.12)",
+                    cursor: "pointer",
+                    zIndex: 11,
+                    transform: `scale(${1 / view.scale})`,
+                  }}
+                  title={`Proposed eye (${Math.round(proposal.confidence * 100)}% confidence) • Click to accept`}
                 />
               ))}
           </div>
         )}
+
+        {/* Magnifier following the dragged socket */}
+        {loupeIdx !== null && eyeSockets[loupeIdx] && (
+          <Loupe src={imageData} socket={eyeSockets[loupeIdx]} view={view} width={imgDimensions.width} height={imgDimensions.height} />
+        )}
+
+        {/* Zoom controls (edit mode) */}
+        {showChrome && imageData && !locked && (
+          <div style={{ position: "absolute", right: 14, bottom: 14, zIndex: 12, display: "flex", gap: 4 }}>
+            {[
+              ["−", "Zoom out", () => zoomBy(1 / 1.5), view.scale > 1],
+              [`${Math.round(view.scale * 100)}%`, "Reset zoom", () => applyView(DEFAULT_VIEW), view.scale > 1],
+              ["+", "Zoom in", () => zoomBy(1.5), view.scale < MAX_ZOOM],
+            ].map(([text, label, action, enabled]) => (
+              <button
+                key={label}
+                onClick={action}
+                disabled={!enabled}
+                aria-label={label}
+                title={label}
+                style={{
+                  background: "rgba(30,20,10,0.85)",
+                  color: "#c4b5a0",
+                  border: "1px solid #665544",
+                  padding: "5px 10px",
+                  minWidth: 32,
+                  borderRadius: 3,
+                  cursor: enabled ? "pointer" : "default",
+                  fontSize: "0.7rem",
+                  letterSpacing: "0.05em",
+                  fontFamily: "inherit",
+                  opacity: enabled ? 1 : 0.5,
+                }}
+              >
+                {text}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
-      {/* Help text */}
-      <div style={{ marginTop: 20, textAlign: "center", maxWidth: 600, lineHeight: 1.8 }}>
-        <p style={{ color: "#555", fontSize: "0.75rem", letterSpacing: "0.08em" }}>
-          {!imageData
-            ? "Upload a portrait image to begin"
-            : locked
-            ? "Scene locked · Hold SPACE to illuminate · Shift+[1-6] to save · [1-6] to load"
-            : "Click to place eye sockets · Drag to reposition · Delete to remove · Lock when ready"}
-        </p>
-        <p style={{ color: "#444", fontSize: "0.65rem", marginTop: 4, letterSpacing: "0.06em" }}>
-          Slots 1–6 save full scenes (image + eye positions) · Export/Import for backup
-        </p>
+      {/* Screen-reader status: flash messages and editing announcements */}
+      <div role="status" aria-live="polite" style={visuallyHidden}>
+        {announcement}
+      </div>
+      <div id={markerHintId} style={visuallyHidden}>
+        Arrow keys move the eye, Shift with arrows moves further, Delete removes it, Enter opens its style settings.
       </div>
 
+      {/* Socket inspector */}
+      {showChrome && !locked && selectedSocket !== null && eyeSockets[selectedSocket] && (
+        <SocketInspector
+          index={selectedSocket}
+          socket={eyeSockets[selectedSocket]}
+          gaze={gaze?.enabled ? gaze : null}
+          drawing={drawingShape}
+          onDrawShape={() => setDrawingShape({ idx: selectedSocket, points: [] })}
+          onFinishShape={finishShapeDrawing}
+          onCancelShape={() => setDrawingShape(null)}
+          preview={previewGlow}
+          onPreviewChange={setPreviewGlow}
+          onChange={(patch) => updateSocket(selectedSocket, patch)}
+          onDelete={() => removeSocket(selectedSocket)}
+          onClose={() => setSelectedSocket(null)}
+        />
+      )}
+
+      {/* Import review */}
+      {pendingImport && <ImportDialog entries={pendingImport} library={library} onConfirm={applyImport} onCancel={() => setPendingImport(null)} />}
+
+      {/* Help text */}
+      {showChrome && (
+        <div style={{ marginTop: 20, textAlign: "center", maxWidth: 600, lineHeight: 1.8 }}>
+          <p style={{ color: "#555", fontSize: "0.75rem", letterSpacing: "0.08em" }}>
+            {!imageData
+              ? "Upload a portrait image to begin"
+              : locked
+              ? "Scene locked · Hold SPACE to illuminate · Shift+[1-6] to save · [1-6] to load"
+              : "Click to place eye sockets · Drag to reposition · Delete to remove · Ctrl+Z to undo · Lock when ready"}
+          </p>
+          <p style={{ color: "#444", fontSize: "0.65rem", marginTop: 4, letterSpacing: "0.06em" }}>
+            Library keeps unlimited named scenes · Keys 1–6 are assignable hotkeys · Export/Import for backup
+          </p>
+        </div>
+      )}
+
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=EB+Garamond:ital,wght@0,400;0,500;0,600;1,400&display=swap');
         @keyframes fadeIn { from { opacity: 0; transform: translateX(-50%) translateY(-8px); } to { opacity: 1; transform: translateX(-50%) translateY(0); } }
+        @keyframes crossfadeOut { from { opacity: 1; } to { opacity: 0; } }
+        @keyframes flickerOut { 0%, 8%, 16%, 40% { opacity: 1; } 4%, 12% { opacity: 0.15; } 28% { opacity: 0.6; } 46%, 58% { opacity: 0.05; } 52% { opacity: 0.8; } 70%, 100% { opacity: 0; } }
         * { box-sizing: border-box; margin: 0; padding: 0; }
         button:hover { filter: brightness(1.15); }
         button:active { filter: brightness(0.9); }
       `}</style>
     </div>
   );
-}
+});
+
+export default LivingPortrait;
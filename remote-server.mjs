@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Stand-in show controller for testing LivingPortrait's remote control offline.
+// Portraits and controllers connect over WebSocket; every message is relayed
+// to every other client. Type commands on stdin to drive the portraits, and
+// optionally forward OSC datagrams from a lighting desk. Node built-ins only.
+//
+//   node remote-server.mjs [--port 8765] [--osc-port 9000]
+//
+// Then render <LivingPortrait remote="ws://localhost:8765" />.
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { createSocket } from "node:dgram";
+import { createInterface } from "node:readline";
+
+const argv = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = argv.indexOf(`--${name}`);
+  return i >= 0 ? Number(argv[i + 1]) : fallback;
+};
+const PORT = option("port", 8765);
+const OSC_PORT = option("osc-port", 0);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const clients = new Set();
+
+// WebSocket framing (RFC 6455). Server frames are never masked.
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off a client's buffer; fragments are reassembled
+function readFrames(client, chunk) {
+  client.buffer = Buffer.concat([client.buffer, chunk]);
+  for (;;) {
+    const buf = client.buffer;
+    if (buf.length < 2) return;
+    const fin = buf[0] & 0x80;
+    const opcode = buf[0] & 0x0f;
+    const masked = buf[1] & 0x80;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buf.length < 4) return;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const maskAt = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + length) return;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + length));
+    if (masked) for (let i = 0; i < length; i++) payload[i] ^= buf[maskAt + (i % 4)];
+    client.buffer = buf.subarray(offset + length);
+
+    if (opcode === 0x0) {
+      client.fragments.push(payload);
+      if (fin) receive(client, client.fragmentOpcode, Buffer.concat(client.fragments));
+    } else if (opcode === 0x1 || opcode === 0x2) {
+      if (fin) receive(client, opcode, payload);
+      else {
+        client.fragmentOpcode = opcode;
+        client.fragments = [payload];
+      }
+    } else if (opcode === 0x8) {
+      client.socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+      return;
+    } else if (opcode === 0x9) {
+      client.socket.write(encodeFrame(0xa, payload));
+    }
+  }
+}
+
+function broadcast(opcode, payload, except) {
+  const frame = encodeFrame(opcode, payload);
+  clients.forEach((client) => client !== except && client.socket.write(frame));
+}
+
+function receive(client, opcode, payload) {
+  client.fragments = [];
+  if (opcode === 0x1) {
+    const text = payload.toString("utf8");
+    try {
+      const message = JSON.parse(text);
+      if (message.type === "hello") client.name = message.name || client.name;
+      if (message.type === "state") {
+        const { type, id, name, ...state } = message;
+        log(`${name || client.name} ${JSON.stringify(state)}`);
+      } else {
+        log(`${client.name} → ${text}`);
+      }
+    } catch (e) {
+      log(`${client.name} → (not JSON) ${text}`);
+    }
+  } else {
+    log(`${client.name} → OSC ${payload.length} bytes`);
+  }
+  broadcast(opcode, payload, client);
+}
+
+// OSC encoding for the `osc` stdin command and nothing else
+function encodeOSC(address, args) {
+  const string = (value) => {
+    const raw = Buffer.from(value, "utf8");
+    return Buffer.concat([raw, Buffer.alloc(4 - (raw.length % 4))]);
+  };
+  const number = (value) => {
+    const out = Buffer.alloc(4);
+    if (Number.isInteger(value)) out.writeInt32BE(value);
+    else out.writeFloatBE(value);
+    return out;
+  };
+  const tags = "," + args.map((arg) => (typeof arg === "number" ? (Number.isInteger(arg) ? "i" : "f") : "s")).join("");
+  return Buffer.concat([string(address), string(tags), ...args.map((arg) => (typeof arg === "number" ? number(arg) : string(arg)))]);
+}
+
+// Shorthand typed on stdin, turned into JSON commands (or raw OSC)
+const HELP = `Commands:
+  glow <0-1>           set the glow level
+  pulse [level] [ms]   glow briefly
+  scene <1-6>          load the scene on a hotkey
+  save [1-6]           save the current scene, optionally to a hotkey
+  lock | unlock
+  play | stop          start or stop the scene's sequence
+  state                ask every portrait for its state
+  osc <address> [args] send an OSC message, e.g. osc /portrait/pulse 1 2000
+  {json}               send a raw JSON command
+  @<name> <command>    address one portrait by name`;
+
+function parseLine(line) {
+  let target;
+  let text = line.trim();
+  const addressed = /^@(\S+)\s+(.*)$/.exec(text);
+  if (addressed) [, target, text] = addressed;
+  if (text.startsWith("{")) return { json: JSON.parse(text) };
+  const [word, ...rest] = text.split(/\s+/);
+  const numbers = rest.map(Number);
+  const command = (cmd, fields) => ({ json: { cmd, ...fields, ...(target && { target }) } });
+  switch (word) {
+    case "glow":
+      return command("glow", { value: numbers[0] });
+    case "pulse":
+      return command("pulse", { value: rest.length ? numbers[0] : 1, hold: numbers[1] });
+    case "scene":
+      return command("loadScene", { slot: numbers[0] });
+    case "save":
+      return command("saveScene", rest.length ? { slot: numbers[0] } : {});
+    case "lock":
+    case "unlock":
+      return command("lock", { value: word === "lock" });
+    case "play":
+      return command("playSequence");
+    case "stop":
+      return command("stopSequence");
+    case "state":
+      return command("getState");
+    case "osc":
+      return {
+        osc: encodeOSC(
+          rest[0],
+          rest.slice(1).map((arg) => (arg === "" || isNaN(arg) ? arg : Number(arg)))
+        ),
+      };
+    default:
+      return null;
+  }
+}
+
+let rl;
+function log(message) {
+  if (rl) {
+    process.stdout.clearLine?.(0);
+    process.stdout.cursorTo?.(0);
+  }
+  console.log(message);
+  rl?.prompt(true);
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end("Living Portrait remote server. Connect over WebSocket.\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || req.headers.upgrade?.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+  socket.write(
+    ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n")
+  );
+
+  const client = { socket, buffer: Buffer.alloc(0), fragments: [], name: `${req.socket.remoteAddress}:${req.socket.remotePort}` };
+  clients.add(client);
+  log(`+ ${client.name} (${clients.size} connected)`);
+  socket.on("data", (chunk) => readFrames(client, chunk));
+  socket.on("error", () => socket.destroy());
+  socket.on("close", () => {
+    clients.delete(client);
+    log(`- ${client.name} (${clients.size} connected)`);
+  });
+});
+
+// Port 0 picks a free one; the line below names it
+server.listen(PORT, () => {
+  console.log(`Remote server on ws://localhost:${server.address().port}`);
+  if (process.stdin.isTTY) console.log(HELP);
+  rl = createInterface({ input: process.stdin, output: process.stdout, prompt: "> " });
+  rl.on("line", (line) => {
+    if (!line.trim()) return rl.prompt();
+    try {
+      const parsed = parseLine(line);
+      if (!parsed) log(`Unknown command. ${HELP}`);
+      else if (parsed.osc) broadcast(0x2, parsed.osc);
+      else broadcast(0x1, Buffer.from(JSON.stringify(parsed.json)));
+    } catch (e) {
+      log(`Error: ${e.message}`);
+    }
+    rl.prompt();
+  });
+  // Piped input ends: keep serving until Ctrl+C
+  rl.on("close", () => (rl = null));
+  rl.prompt();
+});
+
+// Relay OSC from a lighting desk (UDP) to every WebSocket client
+if (OSC_PORT) {
+  const udp = createSocket("udp4");
+  udp.on("message", (packet, from) => {
+    log(`OSC ${from.address}:${from.port} → ${packet.length} bytes`);
+    broadcast(0x2, packet);
+  });
+  udp.bind(OSC_PORT, () => console.log(`Forwarding OSC from udp://0.0.0.0:${OSC_PORT}`));
+}
@@ -0,0 +1,95 @@
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { createAudioGlowDriver } from "../living-portrait-engine.js";
+import { createTestAudioContext } from "./helpers/audio.js";
+
+const FRAME = 1000 / 60;
+
+// Sample the driver for `ms`, keeping the audio clock in step
+function run(driver, ms) {
+  const levels = [];
+  for (let t = 0; t < ms; t += FRAME) {
+    driver.context.advance(FRAME);
+    levels.push(driver.sample(FRAME));
+  }
+  return levels;
+}
+
+function oscillator(context, amplitude) {
+  const osc = context.createOscillator();
+  const gain = context.createGain();
+  gain.gain.value = amplitude;
+  osc.connect(gain);
+  osc.start();
+  return gain;
+}
+
+describe("audio glow driver with an OscillatorNode source", () => {
+  test("a full-scale tone drives the glow to 1 and silence releases it", async () => {
+    const driver = createAudioGlowDriver({ audioContext: createTestAudioContext() });
+    await driver.connectNode(oscillator(driver.context, 1));
+
+    const attack = run(driver, 300);
+    expect(attack.at(-1)).toBeGreaterThan(0.99);
+    // Smoothed, so it climbs over several frames rather than jumping
+    expect(attack[0]).toBeGreaterThan(0);
+    expect(attack[0]).toBeLessThan(0.5);
+
+    driver.disconnect();
+    const release = run(driver, 2000);
+    expect(release.at(-1)).toBe(0);
+    release.slice(1).forEach((level, i) => expect(level).toBeLessThanOrEqual(release[i]));
+  });
+
+  test("loudness maps between floor and ceiling", async () => {
+    const driver = createAudioGlowDriver({ audioContext: createTestAudioContext(), floor: 0.02, ceiling: 0.3 });
+    // RMS of a sine is amplitude / √2
+    await driver.connectNode(oscillator(driver.context, 0.2));
+    const level = run(driver, 1000).at(-1);
+    expect(level).toBeCloseTo((0.2 / Math.SQRT2 - 0.02) / (0.3 - 0.02), 2);
+
+    await driver.connectNode(oscillator(driver.context, 0.02));
+    expect(run(driver, 3000).at(-1)).toBe(0);
+  });
+
+  test("attack is faster than release", async () => {
+    const driver = createAudioGlowDriver({ audioContext: createTestAudioContext(), attack: 40, release: 260 });
+    await driver.connectNode(oscillator(driver.context, 1));
+    const rise = run(driver, 100).findIndex((level) => level > 0.5);
+    driver.disconnect();
+    const fall = run(driver, 1000).findIndex((level) => level < 0.5);
+    expect(rise).toBeGreaterThan(0);
+    expect(fall).toBeGreaterThan(rise * 3);
+  });
+
+  test("configure changes the smoothing of a running driver", async () => {
+    const driver = createAudioGlowDriver({ audioContext: createTestAudioContext() });
+    driver.configure({ attack: 1 });
+    await driver.connectNode(oscillator(driver.context, 1));
+    expect(run(driver, FRAME)[0]).toBeGreaterThan(0.99);
+  });
+
+  test("a pulse holds its level for its duration without any source", () => {
+    const driver = createAudioGlowDriver({ audioContext: createTestAudioContext(), attack: 1 });
+    driver.pulse(0.6, 100);
+    expect(run(driver, 80).at(-1)).toBeCloseTo(0.6, 2);
+    expect(run(driver, 2500).at(-1)).toBe(0);
+  });
+});
+
+describe("microphone", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  test("the tracks stop when the stream can't be wired up", async () => {
+    const track = { stop: vi.fn() };
+    const stream = { getTracks: () => [track] };
+    vi.stubGlobal("navigator", { mediaDevices: { getUserMedia: async () => stream } });
+    const context = createTestAudioContext();
+    context.createMediaStreamSource = () => {
+      throw new Error("No stream sources here");
+    };
+    const driver = createAudioGlowDriver({ audioContext: context });
+
+    await expect(driver.connectMicrophone()).rejects.toThrow("No stream sources here");
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
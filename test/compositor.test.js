@@ -0,0 +1,104 @@
+import { describe, expect, test } from "vitest";
+import { createPortraitCompositor, exportSize, renderScriptedFrames, scriptedGlowAt } from "../living-portrait-engine.js";
+import { createCanvas, expectPixelSnapshot, headless, pixelAt } from "./helpers/canvas.js";
+
+const WIDTH = 120;
+const HEIGHT = 150;
+
+// A stand-in portrait: a warm grey gradient with two dark eyes
+function portrait() {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext("2d");
+  const gradient = ctx.createLinearGradient(0, 0, 0, HEIGHT);
+  gradient.addColorStop(0, "#8a7a68");
+  gradient.addColorStop(1, "#4a3e32");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.fillStyle = "#1a1410";
+  [0.35, 0.65].forEach((x) => ctx.fillRect(x * WIDTH - 4, 0.4 * HEIGHT - 3, 8, 6));
+  return canvas;
+}
+
+const scene = {
+  eyeSockets: [
+    { x: 0.35, y: 0.4 },
+    { x: 0.65, y: 0.4 },
+  ],
+  sequence: {
+    duration: 1000,
+    mode: "once",
+    tracks: {
+      all: [
+        { t: 0, value: 0, ease: "linear" },
+        { t: 1000, value: 1, ease: "linear" },
+      ],
+    },
+  },
+  particles: { enabled: true, preset: "embers", seed: 7, budget: 60, rate: 40, life: 800 },
+};
+
+const compositor = () => createPortraitCompositor({ width: WIDTH, height: HEIGHT, createCanvas });
+const eye = [Math.round(0.35 * WIDTH), Math.round(0.4 * HEIGHT)];
+
+// The canvas is reused, so each frame is read before the next is rendered
+function framesOf(duration, fps, performance = scene) {
+  const frames = [];
+  for (const { index, time, canvas } of renderScriptedFrames(compositor(), portrait(), performance, { duration, fps })) {
+    frames.push({ index, time, pixels: Buffer.from(canvas.getContext("2d").getImageData(0, 0, WIDTH, HEIGHT).data) });
+  }
+  return frames;
+}
+
+describe.skipIf(!headless)("renderScriptedFrames", () => {
+  test("yields one frame per tick of the frame rate", () => {
+    const frames = framesOf(1000, 10);
+    expect(frames.map(({ index, time }) => [index, time])).toEqual([...Array(10)].map((_, i) => [i, i * 100]));
+    expect(framesOf(50, 30)).toHaveLength(2);
+  });
+
+  test("renders the same frames every time", () => {
+    const first = framesOf(1000, 10);
+    const second = framesOf(1000, 10);
+    first.forEach((frame, i) => expect(frame.pixels.equals(second[i].pixels)).toBe(true));
+  });
+
+  test("the eyes brighten as the sequence rises", () => {
+    const light = framesOf(1000, 5, { ...scene, particles: null }).map(({ pixels }) => {
+      const i = (eye[1] * WIDTH + eye[0]) * 4;
+      return pixels[i] + pixels[i + 1] + pixels[i + 2];
+    });
+    light.slice(1).forEach((value, i) => expect(value).toBeGreaterThan(light[i]));
+  });
+
+  test("a frame matches the compositor given scriptedGlowAt", () => {
+    const noParticles = { ...scene, particles: null };
+    const frames = [...renderScriptedFrames(compositor(), portrait(), noParticles, { duration: 1000, fps: 4 })];
+    const last = frames.at(-1);
+    expect(last.time).toBe(750);
+    const direct = compositor().render(portrait(), scriptedGlowAt(noParticles, 750));
+    expect(pixelAt(last.canvas, ...eye)).toEqual(pixelAt(direct, ...eye));
+  });
+
+  test("pixel snapshot mid-sequence, with embers", () => {
+    const frames = renderScriptedFrames(compositor(), portrait(), scene, { duration: 1000, fps: 2 });
+    frames.next();
+    expectPixelSnapshot(frames.next().value.canvas, "scripted-frame-500ms");
+  });
+
+  test("dark eyes show the dimmed portrait and vignette", () => {
+    const canvas = compositor().render(portrait(), { eyeSockets: scene.eyeSockets, glowIntensity: 0 });
+    const centre = pixelAt(canvas, WIDTH / 2, HEIGHT / 2);
+    const corner = pixelAt(canvas, 1, HEIGHT - 2);
+    const source = pixelAt(portrait(), WIDTH / 2, HEIGHT / 2);
+    // brightness(0.85), and the vignette darkens the corners further
+    expect(centre[0]).toBeCloseTo(source[0] * 0.85, -1);
+    expect(corner[0]).toBeLessThan(pixelAt(portrait(), 1, HEIGHT - 2)[0] * 0.85);
+  });
+});
+
+describe("exportSize", () => {
+  test("keeps the native size, scaled down to a maximum width", () => {
+    expect(exportSize({ naturalWidth: 3000, naturalHeight: 2000 })).toEqual({ width: 3000, height: 2000 });
+    expect(exportSize({ naturalWidth: 3000, naturalHeight: 2000 }, 1500)).toEqual({ width: 1500, height: 1000 });
+  });
+});
@@ -0,0 +1,37 @@
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, expect, test } from "vitest";
+import { detectEyes } from "../living-portrait-engine.js";
+import { headless, loadImageData } from "./helpers/canvas.js";
+
+// Synthetic portraits with the eye centres they were painted with; see
+// fixtures/eyes/generate.js
+const DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "eyes");
+const FIXTURES = JSON.parse(readFileSync(join(DIR, "fixtures.json"), "utf8"));
+
+// A proposal counts when it is within 2% of the image's width and height of
+// the painted centre: about three pixels on these 160×200 portraits
+const TOLERANCE = 0.02;
+
+function expectNear(proposals, eyes) {
+  expect(proposals).toHaveLength(eyes.length);
+  proposals.forEach((proposal, i) => {
+    expect(Math.abs(proposal.x - eyes[i].x), `eye ${i + 1} x`).toBeLessThanOrEqual(TOLERANCE);
+    expect(Math.abs(proposal.y - eyes[i].y), `eye ${i + 1} y`).toBeLessThanOrEqual(TOLERANCE);
+    expect(proposal.confidence).toBeGreaterThan(0);
+  });
+}
+
+describe.skipIf(!headless)("detectEyes on fixture portraits", () => {
+  FIXTURES.forEach(({ file, eyes }) => {
+    test(`${file}: ${eyes.length ? "proposes the painted eyes, left to right" : "proposes nothing"}`, async () => {
+      expectNear(detectEyes(await loadImageData(join(DIR, file))), eyes);
+    });
+  });
+
+  test("a larger copy gives the same proposals", async () => {
+    const [{ file, eyes }] = FIXTURES;
+    expectNear(detectEyes(await loadImageData(join(DIR, file), 2.5)), eyes);
+  });
+});
@@ -0,0 +1,157 @@
+// Draws the synthetic portraits for the eye detection tests and writes
+// fixtures.json with where their eyes were painted. Run with node from the
+// repository root after changing a portrait:
+//   node test/fixtures/eyes/generate.js
+import { writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const { createCanvas } = await import("canvas").catch(() => import("@napi-rs/canvas"));
+const DIR = dirname(fileURLToPath(import.meta.url));
+const WIDTH = 160;
+const HEIGHT = 200;
+
+// Seeded noise, so the files only change when a portrait does
+function random(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+}
+
+function eye(ctx, { x, y }, { size, tilt, iris, sclera }) {
+  ctx.save();
+  ctx.translate(x * WIDTH, y * HEIGHT);
+  ctx.rotate(tilt);
+  ctx.fillStyle = sclera;
+  ctx.beginPath();
+  ctx.ellipse(0, 0, size * 1.6, size * 0.8, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = iris;
+  ctx.beginPath();
+  ctx.arc(0, 0, size * 0.75, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#0c0806";
+  ctx.beginPath();
+  ctx.arc(0, 0, size * 0.35, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+  // Upper lid and brow
+  ctx.strokeStyle = "rgba(40, 24, 16, 0.8)";
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.ellipse(x * WIDTH, y * HEIGHT, size * 1.7, size * 0.9, tilt, Math.PI * 1.1, Math.PI * 1.9);
+  ctx.stroke();
+  ctx.lineWidth = size * 0.5;
+  ctx.beginPath();
+  ctx.ellipse(x * WIDTH, y * HEIGHT - size * 2.2, size * 2, size * 0.8, tilt, Math.PI * 1.15, Math.PI * 1.85);
+  ctx.stroke();
+}
+
+function portrait({ seed, background, skin, face, eyes, eyeStyle }) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext("2d");
+  const gradient = ctx.createLinearGradient(0, 0, 0, HEIGHT);
+  gradient.addColorStop(0, background[0]);
+  gradient.addColorStop(1, background[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  if (face) {
+    // Shoulders, hair, then the face
+    ctx.fillStyle = "#2a2420";
+    ctx.fillRect(face.x * WIDTH - face.rx * WIDTH * 2, (face.y + face.ry * 1.1) * HEIGHT, face.rx * WIDTH * 4, HEIGHT);
+    ctx.fillStyle = "#3a2618";
+    ctx.beginPath();
+    ctx.ellipse(face.x * WIDTH, (face.y - face.ry * 0.25) * HEIGHT, face.rx * WIDTH * 1.12, face.ry * HEIGHT * 0.95, face.tilt, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = skin;
+    ctx.beginPath();
+    ctx.ellipse(face.x * WIDTH, face.y * HEIGHT, face.rx * WIDTH, face.ry * HEIGHT, face.tilt, 0, Math.PI * 2);
+    ctx.fill();
+    // Nose shadow and mouth
+    ctx.fillStyle = "rgba(90, 50, 30, 0.35)";
+    ctx.fillRect(face.x * WIDTH - 2, (face.y + face.ry * 0.05) * HEIGHT, 4, face.ry * HEIGHT * 0.3);
+    ctx.fillStyle = "#8a3a30";
+    ctx.beginPath();
+    ctx.ellipse(face.x * WIDTH, (face.y + face.ry * 0.55) * HEIGHT, face.rx * WIDTH * 0.35, 3, face.tilt, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  eyes.forEach((point) => eye(ctx, point, eyeStyle));
+  // Canvas grain
+  const image = ctx.getImageData(0, 0, WIDTH, HEIGHT);
+  const next = random(seed);
+  for (let i = 0; i < image.data.length; i += 4) {
+    const grain = Math.round((next() - 0.5) * 2) * 5;
+    for (let c = 0; c < 3; c++) image.data[i + c] = Math.max(0, Math.min(255, image.data[i + c] + grain));
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+const lightEyes = { size: 5, tilt: 0, iris: "#4a3020", sclera: "#e8e0d4" };
+
+const FIXTURES = [
+  {
+    name: "frontal",
+    seed: 1,
+    background: ["#5a6470", "#2a3038"],
+    skin: "#d9a27e",
+    face: { x: 0.5, y: 0.42, rx: 0.27, ry: 0.25, tilt: 0 },
+    eyes: [
+      { x: 0.4, y: 0.38 },
+      { x: 0.6, y: 0.38 },
+    ],
+    eyeStyle: lightEyes,
+  },
+  {
+    name: "small-off-centre",
+    seed: 2,
+    background: ["#6a7a5a", "#30382a"],
+    skin: "#e0b08c",
+    face: { x: 0.34, y: 0.36, rx: 0.2, ry: 0.18, tilt: 0 },
+    eyes: [
+      { x: 0.27, y: 0.33 },
+      { x: 0.41, y: 0.33 },
+    ],
+    eyeStyle: { ...lightEyes, size: 4 },
+  },
+  {
+    name: "tilted",
+    seed: 3,
+    background: ["#506070", "#202830"],
+    skin: "#c89070",
+    face: { x: 0.5, y: 0.44, rx: 0.27, ry: 0.25, tilt: -0.15 },
+    eyes: [
+      { x: 0.4, y: 0.415 },
+      { x: 0.6, y: 0.385 },
+    ],
+    eyeStyle: { ...lightEyes, tilt: -0.15 },
+  },
+  {
+    name: "low-key",
+    seed: 4,
+    background: ["#201810", "#0a0806"],
+    skin: "#a86e4e",
+    face: { x: 0.5, y: 0.4, rx: 0.26, ry: 0.24, tilt: 0 },
+    eyes: [
+      { x: 0.4, y: 0.37 },
+      { x: 0.6, y: 0.37 },
+    ],
+    eyeStyle: { size: 5, tilt: 0, iris: "#20140c", sclera: "#b8a898" },
+  },
+  {
+    name: "landscape",
+    seed: 5,
+    background: ["#8aa0b8", "#4a6a40"],
+    face: null,
+    eyes: [],
+    eyeStyle: lightEyes,
+  },
+];
+
+const expected = FIXTURES.map(({ name, eyes }) => {
+  writeFileSync(join(DIR, `${name}.png`), portrait(FIXTURES.find((f) => f.name === name)).toBuffer("image/png"));
+  return { file: `${name}.png`, eyes };
+});
+writeFileSync(join(DIR, "fixtures.json"), `${JSON.stringify(expected, null, 2)}\n`);
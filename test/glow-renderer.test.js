@@ -0,0 +1,146 @@
+import { describe, expect, test, vi } from "vitest";
+import { GLOW_RENDERERS, createCanvas2DGlowRenderer, createGlowLayer, createGlowRenderer } from "../living-portrait-engine.js";
+import { createCanvas, expectPixelSnapshot, headless, pixelAt } from "./helpers/canvas.js";
+
+const WIDTH = 160;
+const HEIGHT = 120;
+const EYES = [
+  { x: 0.35, y: 0.45 },
+  { x: 0.65, y: 0.45 },
+];
+
+function renderGlow(eyeSockets, glowIntensity) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const renderer = createCanvas2DGlowRenderer(canvas);
+  renderer.resize(WIDTH, HEIGHT);
+  renderer.render({ eyeSockets, glowIntensity });
+  return canvas;
+}
+
+const at = (socket) => [Math.round(socket.x * WIDTH), Math.round(socket.y * HEIGHT)];
+
+describe.skipIf(!headless)("Canvas 2D glow pixels", () => {
+  test("full glow", () => {
+    expectPixelSnapshot(renderGlow(EYES, 1), "glow-full");
+  });
+
+  test("half glow", () => {
+    expectPixelSnapshot(renderGlow(EYES, 0.5), "glow-half");
+  });
+
+  test("styled sockets: colour, size and halo/core balance", () => {
+    const sockets = [
+      { ...EYES[0], color: "#30a0ff", size: 1.4, balance: 0.9 },
+      { ...EYES[1], color: "#40ff60", size: 0.7, balance: 0.1 },
+    ];
+    expectPixelSnapshot(renderGlow(sockets, 1), "glow-styled");
+  });
+
+  test("ellipse mask", () => {
+    const sockets = [{ ...EYES[0], shape: { type: "ellipse", rx: 0.08, ry: 0.03, rotation: 20, feather: 0 } }];
+    expectPixelSnapshot(renderGlow(sockets, 1), "glow-ellipse");
+  });
+
+  test("no glow leaves the canvas transparent", () => {
+    const canvas = renderGlow(EYES, 0);
+    expect(
+      canvas
+        .getContext("2d")
+        .getImageData(0, 0, WIDTH, HEIGHT)
+        .data.every((v) => v === 0)
+    ).toBe(true);
+  });
+
+  test("the glow is red, hottest at the socket and fades with intensity", () => {
+    const full = renderGlow(EYES, 1);
+    const dim = renderGlow(EYES, 0.3);
+    const [r, g, b, a] = pixelAt(full, ...at(EYES[0]));
+    expect(r).toBeGreaterThan(200);
+    expect(r).toBeGreaterThan(b);
+    expect(a).toBeGreaterThan(200);
+    expect(pixelAt(full, at(EYES[0])[0], 5)[3]).toBeLessThan(a);
+    expect(pixelAt(dim, ...at(EYES[0]))[3]).toBeLessThan(a);
+    // A sequence gain scales one socket only
+    const gained = renderGlow([EYES[0], { ...EYES[1], gain: 0.2 }], 1);
+    expect(pixelAt(gained, ...at(EYES[1]))[3]).toBeLessThan(pixelAt(gained, ...at(EYES[0]))[3]);
+  });
+
+  test("resizing to the same size keeps the backing store", () => {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const renderer = createCanvas2DGlowRenderer(canvas);
+    renderer.render({ eyeSockets: EYES, glowIntensity: 1 });
+    const before = pixelAt(canvas, ...at(EYES[0]));
+    renderer.resize(WIDTH, HEIGHT);
+    expect(pixelAt(canvas, ...at(EYES[0]))).toEqual(before);
+  });
+});
+
+describe.skipIf(!headless)("software fallback", () => {
+  test("WebGL falls back to Canvas 2D on a canvas with no GPU context", () => {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const { renderer, instance } = createGlowRenderer(canvas, GLOW_RENDERERS.webgl);
+    expect(renderer).toBe(GLOW_RENDERERS.canvas2d);
+    instance.resize(WIDTH, HEIGHT);
+    instance.render({ eyeSockets: EYES, glowIntensity: 1 });
+    expectPixelSnapshot(canvas, "glow-full");
+  });
+
+  test("a renderer that throws on creation falls back", () => {
+    const broken = {
+      name: "broken",
+      composite: "overlay",
+      animated: false,
+      create: () => {
+        throw new Error("no shaders");
+      },
+    };
+    const { renderer } = createGlowRenderer(createCanvas(WIDTH, HEIGHT), broken);
+    expect(renderer.name).toBe("canvas2d");
+  });
+
+  test("auto picks Canvas 2D without a DOM", () => {
+    expect(createGlowRenderer(createCanvas(WIDTH, HEIGHT), "auto").renderer).toBe(GLOW_RENDERERS.canvas2d);
+  });
+});
+
+describe("glow layer", () => {
+  const frame = { eyeSockets: EYES, glowIntensity: 1, width: WIDTH, height: HEIGHT, image: null };
+
+  test("reports a renderer that can't start", () => {
+    const onFallback = vi.fn();
+    const layer = createGlowLayer({}, { name: "webgl", animated: true, create: () => null }, { onFallback });
+    expect(onFallback).toHaveBeenCalledWith(new Error("webgl renderer unavailable"));
+    layer.update(frame);
+    layer.dispose();
+  });
+
+  test("stops and reports a renderer that fails mid-draw", () => {
+    const onFallback = vi.fn();
+    const error = new Error("context lost");
+    const instance = {
+      resize: vi.fn(),
+      setImage: vi.fn(),
+      render: vi.fn(() => {
+        throw error;
+      }),
+      dispose: vi.fn(),
+    };
+    const layer = createGlowLayer({}, { name: "webgl", animated: false, create: () => instance }, { onFallback });
+    layer.update(frame);
+    layer.update(frame);
+    expect(onFallback).toHaveBeenCalledTimes(1);
+    expect(onFallback).toHaveBeenCalledWith(error);
+    expect(instance.render).toHaveBeenCalledTimes(1);
+    expect(instance.dispose).toHaveBeenCalledTimes(1);
+  });
+
+  test.skipIf(!headless)("draws each update with the Canvas 2D renderer", () => {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const layer = createGlowLayer(canvas, GLOW_RENDERERS.canvas2d);
+    layer.update(frame);
+    expectPixelSnapshot(canvas, "glow-full");
+    layer.update({ ...frame, glowIntensity: 0 });
+    expect(pixelAt(canvas, ...at(EYES[0]))).toEqual([0, 0, 0, 0]);
+    layer.dispose();
+  });
+});
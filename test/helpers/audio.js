@@ -0,0 +1,81 @@
+// A Web Audio graph small enough to compute by hand: oscillators and gains
+// produce samples on demand and an analyser reads the last `fftSize` of
+// them at the context's current time, which tests move on with advance(ms).
+const SAMPLE_RATE = 48000;
+
+class TestNode {
+  constructor(context) {
+    this.context = context;
+    this.inputs = new Set();
+  }
+  connect(node) {
+    node.inputs?.add(this);
+    return node;
+  }
+  disconnect(node) {
+    if (node && !node.inputs?.has(this)) throw new Error("Not connected");
+    (node ? [node] : this.context.nodes).forEach((n) => n.inputs?.delete(this));
+  }
+  sampleAt(time) {
+    let sum = 0;
+    this.inputs.forEach((input) => (sum += input.sampleAt(time)));
+    return sum;
+  }
+}
+
+class TestOscillator extends TestNode {
+  frequency = { value: 440 };
+  type = "sine";
+  started = false;
+  start() {
+    this.started = true;
+  }
+  stop() {
+    this.started = false;
+  }
+  sampleAt(time) {
+    if (!this.started) return 0;
+    const phase = (time * this.frequency.value) % 1;
+    return this.type === "square" ? (phase < 0.5 ? 1 : -1) : Math.sin(2 * Math.PI * phase);
+  }
+}
+
+class TestGain extends TestNode {
+  gain = { value: 1 };
+  sampleAt(time) {
+    return super.sampleAt(time) * this.gain.value;
+  }
+}
+
+class TestAnalyser extends TestNode {
+  fftSize = 2048;
+  getFloatTimeDomainData(buffer) {
+    const end = this.context.currentTime;
+    for (let i = 0; i < buffer.length; i++) buffer[i] = this.sampleAt(end - (buffer.length - i) / SAMPLE_RATE);
+  }
+}
+
+export function createTestAudioContext() {
+  const context = {
+    sampleRate: SAMPLE_RATE,
+    currentTime: 0,
+    state: "running",
+    nodes: [],
+    destination: null,
+    make(Node) {
+      const node = new Node(context);
+      context.nodes.push(node);
+      return node;
+    },
+    createOscillator: () => context.make(TestOscillator),
+    createGain: () => context.make(TestGain),
+    createAnalyser: () => context.make(TestAnalyser),
+    resume: async () => void (context.state = "running"),
+    close: async () => void (context.state = "closed"),
+    advance(ms) {
+      context.currentTime += ms / 1000;
+    },
+  };
+  context.destination = context.make(TestNode);
+  return context;
+}
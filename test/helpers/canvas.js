@@ -0,0 +1,75 @@
+// Headless canvases for pixel tests: node-canvas where its native build is
+// installed, otherwise the prebuilt Skia canvas. Null when neither loads, and
+// the pixel tests skip.
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { expect } from "vitest";
+
+async function load(name) {
+  try {
+    const { createCanvas, loadImage } = await import(name);
+    createCanvas(1, 1);
+    return { name, createCanvas, loadImage };
+  } catch (e) {
+    return null;
+  }
+}
+
+export const headless = (await load("canvas")) || (await load("@napi-rs/canvas"));
+
+export const createCanvas = (width, height) => headless.createCanvas(width, height);
+
+// Decode an image file to ImageData, drawn at `scale` times its size
+export async function loadImageData(file, scale = 1) {
+  const image = await headless.loadImage(readFileSync(file));
+  const canvas = createCanvas(Math.round(image.width * scale), Math.round(image.height * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+export function pixelAt(canvas, x, y) {
+  return [...canvas.getContext("2d").getImageData(x, y, 1, 1).data];
+}
+
+// Pixel snapshots. Every STEP-th pixel of the canvas is compared against
+// test/__pixels__/<name>.json, allowing TOLERANCE per channel for the
+// antialiasing differences between canvas backends. A missing snapshot is
+// written, except on CI; UPDATE_PIXELS=1 rewrites them all.
+const STEP = 4;
+const TOLERANCE = 6;
+const SNAPSHOT_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "__pixels__");
+
+function samplePixels(canvas) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext("2d").getImageData(0, 0, width, height);
+  const pixels = [];
+  for (let y = 0; y < height; y += STEP) {
+    for (let x = 0; x < width; x += STEP) pixels.push(...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+  }
+  return { width, height, step: STEP, pixels };
+}
+
+export function expectPixelSnapshot(canvas, name) {
+  const file = join(SNAPSHOT_DIR, `${name}.json`);
+  const actual = samplePixels(canvas);
+  if (process.env.UPDATE_PIXELS || (!existsSync(file) && !process.env.CI)) {
+    mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    writeFileSync(file, `${JSON.stringify(actual)}\n`);
+    return;
+  }
+  if (!existsSync(file)) throw new Error(`Missing pixel snapshot ${name}; run the tests with UPDATE_PIXELS=1 to write it`);
+  const expected = JSON.parse(readFileSync(file, "utf8"));
+  expect({ width: actual.width, height: actual.height }).toEqual({ width: expected.width, height: expected.height });
+  const mismatches = [];
+  actual.pixels.forEach((value, i) => {
+    if (Math.abs(value - expected.pixels[i]) > TOLERANCE) mismatches.push(i);
+  });
+  const where = mismatches.slice(0, 5).map((i) => {
+    const p = Math.floor(i / 4);
+    const columns = Math.ceil(actual.width / STEP);
+    return `(${(p % columns) * STEP}, ${Math.floor(p / columns) * STEP}) channel ${i % 4}: ${actual.pixels[i]} ≠ ${expected.pixels[i]}`;
+  });
+  expect(where, `${mismatches.length} samples differ from ${name}`).toEqual([]);
+}
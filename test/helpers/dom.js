@@ -0,0 +1,137 @@
+// What jsdom lacks for the portrait: Blobs that survive structured cloning
+// (IndexedDB), object URLs, image decoding, a 2D canvas, pointer events and
+// downloads. Just enough of each to drive the component headless.
+import "fake-indexeddb/auto";
+import { Blob as NodeBlob, File as NodeFile } from "node:buffer";
+
+export const IMAGE_SIZE = { width: 400, height: 500 };
+
+globalThis.Blob = NodeBlob;
+globalThis.File = NodeFile;
+
+class TestFileReader {
+  result = null;
+  error = null;
+  onload = null;
+  onerror = null;
+
+  readAsText(blob) {
+    this.read(blob.text());
+  }
+
+  readAsDataURL(blob) {
+    this.read(
+      blob.arrayBuffer().then((buffer) => `data:${blob.type || "application/octet-stream"};base64,${Buffer.from(buffer).toString("base64")}`)
+    );
+  }
+
+  read(promise) {
+    promise.then(
+      (result) => {
+        this.result = result;
+        this.onload?.({ target: this });
+      },
+      (error) => {
+        this.error = error;
+        this.onerror?.({ target: this });
+      }
+    );
+  }
+}
+globalThis.FileReader = TestFileReader;
+
+// Object URLs resolve through fetch like the real ones
+const objectUrls = new Map();
+let nextUrl = 0;
+URL.createObjectURL = (blob) => {
+  const url = `blob:test/${++nextUrl}`;
+  objectUrls.set(url, blob);
+  return url;
+};
+URL.revokeObjectURL = (url) => objectUrls.delete(url);
+const nodeFetch = globalThis.fetch;
+globalThis.fetch = (input, init) =>
+  objectUrls.has(String(input)) ? Promise.resolve(new Response(objectUrls.get(String(input)))) : nodeFetch(input, init);
+
+// Every image decodes to IMAGE_SIZE, and lays out at that size
+const setAttribute = Element.prototype.setAttribute;
+HTMLImageElement.prototype.setAttribute = function (name, value) {
+  setAttribute.call(this, name, value);
+  if (name === "src") setTimeout(() => this.dispatchEvent(new Event(value ? "load" : "error")));
+};
+Object.defineProperty(HTMLImageElement.prototype, "src", {
+  get() {
+    return this.getAttribute("src") || "";
+  },
+  set(value) {
+    this.setAttribute("src", value);
+  },
+});
+for (const [prop, size] of [
+  ["naturalWidth", "width"],
+  ["naturalHeight", "height"],
+  ["width", "width"],
+  ["height", "height"],
+  ["clientWidth", "width"],
+  ["clientHeight", "height"],
+]) {
+  Object.defineProperty(HTMLImageElement.prototype, prop, { get: () => IMAGE_SIZE[size], configurable: true });
+}
+Object.defineProperty(HTMLImageElement.prototype, "complete", { get: () => true, configurable: true });
+
+// The portrait fills a box of IMAGE_SIZE at the top left of the page
+Element.prototype.getBoundingClientRect = () => ({ x: 0, y: 0, left: 0, top: 0, ...IMAGE_SIZE, right: IMAGE_SIZE.width, bottom: IMAGE_SIZE.height });
+Object.defineProperty(HTMLElement.prototype, "offsetWidth", { get: () => IMAGE_SIZE.width, configurable: true });
+Object.defineProperty(HTMLElement.prototype, "offsetHeight", { get: () => IMAGE_SIZE.height, configurable: true });
+
+// A 2D context that accepts every call and draws nothing; no WebGL
+function createMockContext(canvas) {
+  const gradient = { addColorStop() {} };
+  const methods = {
+    createRadialGradient: () => gradient,
+    createLinearGradient: () => gradient,
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height }),
+    measureText: () => ({ width: 0 }),
+  };
+  return new Proxy(
+    { canvas },
+    {
+      get: (target, key) => (key in target ? target[key] : methods[key] || (() => {})),
+      set: (target, key, value) => {
+        target[key] = value;
+        return true;
+      },
+    }
+  );
+}
+const contexts = new WeakMap();
+HTMLCanvasElement.prototype.getContext = function (type) {
+  if (type !== "2d") return null;
+  if (!contexts.has(this)) contexts.set(this, createMockContext(this));
+  return contexts.get(this);
+};
+HTMLCanvasElement.prototype.toDataURL = () => "data:image/jpeg;base64,";
+HTMLCanvasElement.prototype.toBlob = function (callback, type = "image/png") {
+  setTimeout(() => callback(new Blob([], { type })));
+};
+
+if (typeof PointerEvent === "undefined") {
+  globalThis.PointerEvent = class PointerEvent extends MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId ?? 1;
+      this.pointerType = init.pointerType ?? "mouse";
+      this.isPrimary = init.isPrimary ?? true;
+    }
+  };
+}
+Element.prototype.setPointerCapture = () => {};
+Element.prototype.releasePointerCapture = () => {};
+
+// Downloads are collected instead of navigating
+export const downloads = [];
+HTMLAnchorElement.prototype.click = function () {
+  if (this.download) downloads.push({ filename: this.download, blob: objectUrls.get(this.href) });
+};
+
+window.confirm = () => true;
@@ -0,0 +1,42 @@
+// @vitest-environment jsdom
+import "./helpers/dom.js";
+import { afterEach, describe, expect, test } from "vitest";
+import { createMemoryStorage } from "../living-portrait-engine.js";
+import "../living-portrait-element.js";
+
+const createElement = () => {
+  const element = document.createElement("living-portrait");
+  element.storage = createMemoryStorage();
+  element.setAttribute("src", "portrait.jpg");
+  element.setAttribute("keyboard", "false");
+  return element;
+};
+
+afterEach(() => document.body.replaceChildren());
+
+describe("lifecycle", () => {
+  test("moving the element keeps its unsaved scene", async () => {
+    const element = createElement();
+    const [from, to] = [document.createElement("div"), document.createElement("div")];
+    document.body.append(from, to);
+    from.appendChild(element);
+    element.eyeSockets = [{ x: 0.4, y: 0.3 }];
+
+    to.appendChild(element);
+    await Promise.resolve();
+    expect(element.eyeSockets).toEqual([{ x: 0.4, y: 0.3 }]);
+  });
+
+  test("removing the element disposes its engine, and reconnecting starts afresh", async () => {
+    const element = createElement();
+    document.body.appendChild(element);
+    element.eyeSockets = [{ x: 0.4, y: 0.3 }];
+
+    element.remove();
+    await Promise.resolve();
+    expect(element.eyeSockets).toEqual([]);
+    document.body.appendChild(element);
+    expect(element.eyeSockets).toEqual([]);
+    expect(element.shadowRoot.querySelector("img").getAttribute("src")).toBe("portrait.jpg");
+  });
+});
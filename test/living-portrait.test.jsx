@@ -0,0 +1,349 @@
+// @vitest-environment jsdom
+import { downloads } from "./helpers/dom.js";
+import { createRef } from "react";
+import { render, screen, fireEvent, waitFor, cleanup, act } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import LivingPortrait, { createIndexedDBStorage } from "../living-portrait.jsx";
+
+let dbCount = 0;
+let storage;
+
+beforeEach(() => {
+  // A fresh fake IndexedDB database per test
+  storage = createIndexedDBStorage({ name: `LivingPortraitTest${++dbCount}` });
+  downloads.length = 0;
+});
+
+afterEach(cleanup);
+
+const portraitFile = (name = "portrait.jpg") => new File([new Uint8Array([0xff, 0xd8, 0xff, 0xe0, dbCount])], name, { type: "image/jpeg" });
+
+async function renderPortrait(props = {}) {
+  const ref = createRef();
+  const utils = render(<LivingPortrait ref={ref} storage={storage} gamepad={false} {...props} />);
+  // Requests on one connection finish in order, so the component's own
+  // library read has settled once this one has
+  await act(() => storage.get("profiles", "library"));
+  return { ref, ...utils };
+}
+
+async function upload(container, file = portraitFile()) {
+  fireEvent.change(container.querySelector('input[type="file"][accept="image/*"]'), { target: { files: [file] } });
+  return screen.findByRole("group", { name: /Portrait editor/ });
+}
+
+// Client coordinates for a normalised point on the 400×500 portrait
+const at = (x, y) => ({ clientX: x * 400, clientY: y * 500 });
+
+const markers = () => screen.queryAllByRole("button", { name: /^Eye \d+,/ });
+
+const press = (code, init = {}) => {
+  fireEvent.keyDown(window, { code, key: code.replace(/^Digit/, ""), ...init });
+  fireEvent.keyUp(window, { code, key: code.replace(/^Digit/, ""), ...init });
+};
+
+describe("socket editing", () => {
+  test("clicking the portrait places an eye socket", async () => {
+    const onSocketsChange = vi.fn();
+    const { container } = await renderPortrait({ onSocketsChange });
+    const portrait = await upload(container);
+
+    fireEvent.click(portrait, at(0.25, 0.3));
+    fireEvent.click(portrait, at(0.75, 0.3));
+
+    expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 25% across, 30% down", "Eye 2, 75% across, 30% down"]);
+    expect(onSocketsChange).toHaveBeenLastCalledWith([
+      { x: 0.25, y: 0.3 },
+      { x: 0.75, y: 0.3 },
+    ]);
+  });
+
+  test("controlled sockets are reported, and shown once the host applies them", async () => {
+    const onSocketsChange = vi.fn();
+    const { container, rerender, ref } = await renderPortrait({ eyeSockets: [], onSocketsChange });
+    const portrait = await upload(container);
+
+    onSocketsChange.mockClear();
+    fireEvent.click(portrait, at(0.25, 0.3));
+    expect(onSocketsChange).toHaveBeenCalledWith([{ x: 0.25, y: 0.3 }]);
+    expect(markers()).toHaveLength(0);
+
+    rerender(<LivingPortrait ref={ref} storage={storage} gamepad={false} eyeSockets={[{ x: 0.5, y: 0.5 }]} onSocketsChange={onSocketsChange} />);
+    expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 50% across, 50% down"]);
+    // Taking the prop back isn't reported as a change
+    expect(onSocketsChange).toHaveBeenCalledTimes(1);
+  });
+
+  test("dragging a marker moves its socket in one undo step", async () => {
+    const { container } = await renderPortrait();
+    const portrait = await upload(container);
+    fireEvent.click(portrait, at(0.25, 0.3));
+
+    const [marker] = markers();
+    fireEvent.pointerDown(marker, { ...at(0.25, 0.3), pointerId: 1, pointerType: "mouse", isPrimary: true });
+    fireEvent.pointerMove(marker, { ...at(0.4, 0.35), pointerId: 1 });
+    fireEvent.pointerMove(marker, { ...at(0.5, 0.5), pointerId: 1 });
+    fireEvent.pointerUp(marker, { ...at(0.5, 0.5), pointerId: 1 });
+
+    expect(markers()[0].getAttribute("aria-label")).toBe("Eye 1, 50% across, 50% down");
+    fireEvent.click(screen.getByRole("button", { name: "Undo move eye" }));
+    expect(markers()[0].getAttribute("aria-label")).toBe("Eye 1, 25% across, 30% down");
+  });
+
+  test("Delete on a focused marker removes it", async () => {
+    const { container } = await renderPortrait();
+    const portrait = await upload(container);
+    fireEvent.click(portrait, at(0.25, 0.3));
+    fireEvent.click(portrait, at(0.75, 0.3));
+
+    fireEvent.keyDown(markers()[0], { key: "Delete", code: "Delete" });
+
+    expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 75% across, 30% down"]);
+  });
+
+  test("locking hides the markers and stops placement and deletion", async () => {
+    const { container } = await renderPortrait();
+    const portrait = await upload(container);
+    fireEvent.click(portrait, at(0.25, 0.3));
+    // Focus counts as hovering, which arms the window Delete key
+    fireEvent.focus(markers()[0]);
+
+    fireEvent.click(screen.getByRole("button", { name: /Unlocked/ }));
+    expect(markers()).toHaveLength(0);
+
+    fireEvent.click(screen.getByRole("group", { name: "Portrait" }), at(0.75, 0.3));
+    press("Delete");
+    expect(screen.getByText("1 eye placed")).toBeTruthy();
+
+    fireEvent.click(screen.getByRole("button", { name: /Locked/ }));
+    expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 25% across, 30% down"]);
+  });
+});
+
+describe("scenes", () => {
+  test("a slot saved with Shift+1 loads back with 1", async () => {
+    const onSlotSaved = vi.fn();
+    const onSlotLoaded = vi.fn();
+    const { container, ref } = await renderPortrait({ onSlotSaved, onSlotLoaded });
+    const portrait = await upload(container);
+    fireEvent.click(portrait, at(0.25, 0.3));
+    fireEvent.click(portrait, at(0.75, 0.3));
+
+    press("Digit1", { shiftKey: true });
+    await waitFor(() => expect(onSlotSaved).toHaveBeenCalledTimes(1));
+    const [slot, saved] = onSlotSaved.mock.calls[0];
+    expect(slot).toBe(1);
+    expect(ref.current.getLibrary().hotkeys[1]).toBe(saved.id);
+
+    // Change the scene, then bring the saved one back
+    fireEvent.keyDown(markers()[0], { key: "Delete", code: "Delete" });
+    fireEvent.click(screen.getByRole("button", { name: /Unlocked/ }));
+    expect(markers()).toHaveLength(0);
+
+    press("Digit1");
+    await waitFor(() => expect(onSlotLoaded).toHaveBeenCalledTimes(1));
+    await waitFor(() => expect(markers()).toHaveLength(2));
+    expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 25% across, 30% down", "Eye 2, 75% across, 30% down"]);
+    expect(screen.getByRole("button", { name: /Unlocked/ })).toBeTruthy();
+    expect(ref.current.hasUnsavedChanges()).toBe(false);
+  });
+
+  test("locking a saved scene counts as an unsaved change", async () => {
+    const { container, ref } = await renderPortrait();
+    fireEvent.click(await upload(container), at(0.5, 0.4));
+    await act(() => ref.current.saveSlot(1));
+    expect(ref.current.hasUnsavedChanges()).toBe(false);
+
+    fireEvent.click(screen.getByRole("button", { name: /Unlocked/ }));
+    expect(ref.current.hasUnsavedChanges()).toBe(true);
+    const confirm = vi.spyOn(window, "confirm").mockReturnValue(false);
+    press("Digit1");
+    expect(confirm).toHaveBeenCalled();
+    confirm.mockRestore();
+  });
+
+  test("a saved scene survives a remount on the same storage", async () => {
+    const first = await renderPortrait();
+    fireEvent.click(await upload(first.container), at(0.5, 0.4));
+    await act(() => first.ref.current.saveSlot(2));
+    first.unmount();
+
+    const onSlotLoaded = vi.fn();
+    await renderPortrait({ onSlotLoaded });
+    await waitFor(() => expect(screen.getByRole("button", { name: /^2 ● Scene 1/ })).toBeTruthy());
+    press("Digit2");
+    await waitFor(() => expect(onSlotLoaded).toHaveBeenCalledWith(2, expect.objectContaining({ name: "Scene 1" })));
+    await waitFor(() => expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 50% across, 40% down"]));
+  });
+
+  test("exported scenes import into another library with their hotkeys", async () => {
+    const source = await renderPortrait();
+    fireEvent.click(await upload(source.container), at(0.3, 0.35));
+    await act(() => source.ref.current.saveSlot(3));
+    fireEvent.click(screen.getByRole("button", { name: "Export Scenes" }));
+    await waitFor(() => expect(downloads).toHaveLength(1));
+    const { filename, blob } = downloads[0];
+    expect(filename).toBe("living-portrait-scenes.json");
+    const bundle = JSON.parse(await blob.text());
+    expect(Object.values(bundle.scenes)[0].image).toMatch(/^data:image\/jpeg;base64,/);
+    source.unmount();
+
+    storage = createIndexedDBStorage({ name: `LivingPortraitTest${++dbCount}` });
+    const target = await renderPortrait();
+    expect(Object.keys(target.ref.current.getLibrary().scenes)).toHaveLength(0);
+    const input = target.container.querySelector('input[type="file"][accept=".json"]');
+    fireEvent.change(input, { target: { files: [new File([JSON.stringify(bundle)], "scenes.json", { type: "application/json" })] } });
+    expect(await screen.findByText(/key 3/)).toBeTruthy();
+    fireEvent.click(screen.getByRole("button", { name: "Import" }));
+
+    await waitFor(() => expect(Object.keys(target.ref.current.getLibrary().scenes)).toHaveLength(1));
+    const library = target.ref.current.getLibrary();
+    const [scene] = Object.values(library.scenes);
+    expect(library.hotkeys[3]).toBe(scene.id);
+    expect(scene.eyeSockets).toEqual([{ x: 0.3, y: 0.35 }]);
+
+    await act(() => target.ref.current.loadSlot(3));
+    expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 30% across, 35% down"]);
+  });
+});
+
+// The keydown listener is registered once; it must still act on the latest
+// scene, library and history rather than those of the render it was added in.
+describe("keyboard shortcuts after state changes", () => {
+  test("save and load slots see sockets and scenes added since mount", async () => {
+    const onSlotSaved = vi.fn();
+    const { container, ref } = await renderPortrait({ onSlotSaved });
+    const portrait = await upload(container);
+    fireEvent.click(portrait, at(0.25, 0.3));
+    press("Digit1", { shiftKey: true });
+    await waitFor(() => expect(onSlotSaved).toHaveBeenCalledTimes(1));
+
+    fireEvent.click(portrait, at(0.75, 0.3));
+    press("Digit2", { shiftKey: true });
+    await waitFor(() => expect(onSlotSaved).toHaveBeenCalledTimes(2));
+    // The active scene was updated, and its hotkey moved from 1 to 2
+    const { scenes, hotkeys } = ref.current.getLibrary();
+    expect(hotkeys[1]).toBeUndefined();
+    expect(scenes[hotkeys[2]].eyeSockets).toHaveLength(2);
+
+    // A second scene from a new upload, saved to key 3
+    await upload(container, portraitFile("second.jpg"));
+    fireEvent.click(screen.getByRole("group", { name: /Portrait editor/ }), at(0.5, 0.5));
+    press("Digit3", { shiftKey: true });
+    await waitFor(() => expect(onSlotSaved).toHaveBeenCalledTimes(3));
+    expect(ref.current.getLibrary().hotkeys[3]).not.toBe(hotkeys[2]);
+
+    press("Digit2");
+    await waitFor(() => expect(markers()).toHaveLength(2));
+    press("Digit3");
+    await waitFor(() => expect(markers().map((m) => m.getAttribute("aria-label"))).toEqual(["Eye 1, 50% across, 50% down"]));
+  });
+
+  test("a slot bound through the ref loads from the keyboard", async () => {
+    const onSlotSaved = vi.fn();
+    const { container, ref } = await renderPortrait({ onSlotSaved });
+    fireEvent.click(await upload(container), at(0.6, 0.2));
+    await act(() => ref.current.saveSlot(4));
+    expect(onSlotSaved).toHaveBeenCalledTimes(1);
+    await act(() => ref.current.setInputBindings([{ source: "keyboard", control: "KeyL", action: "loadScene", slot: 4 }]));
+    fireEvent.keyDown(markers()[0], { key: "Delete", code: "Delete" });
+
+    press("KeyL");
+    await waitFor(() => expect(markers()).toHaveLength(1));
+    // The default bindings are gone with the old handler: Shift+4 is left to
+    // the browser and saves nothing
+    expect(fireEvent.keyDown(window, { code: "Digit4", key: "4", shiftKey: true })).toBe(true);
+    fireEvent.keyUp(window, { code: "Digit4", key: "4", shiftKey: true });
+    await act(() => new Promise((resolve) => setTimeout(resolve, 50)));
+    expect(onSlotSaved).toHaveBeenCalledTimes(1);
+  });
+
+  test("Ctrl+Z undoes the most recent edit", async () => {
+    const { container } = await renderPortrait();
+    const portrait = await upload(container);
+    fireEvent.click(portrait, at(0.25, 0.3));
+    fireEvent.click(portrait, at(0.75, 0.3));
+
+    fireEvent.keyDown(window, { code: "KeyZ", key: "z", ctrlKey: true });
+    expect(markers()).toHaveLength(1);
+    fireEvent.keyDown(window, { code: "KeyZ", key: "Z", ctrlKey: true, shiftKey: true });
+    expect(markers()).toHaveLength(2);
+  });
+
+  test("undo brings back an upload the engine let go of", async () => {
+    const { container } = await renderPortrait();
+    await upload(container, portraitFile("first.jpg"));
+    const image = () => container.querySelector("img").src;
+    const first = image();
+    await upload(container, portraitFile("second.jpg"));
+    await waitFor(() => expect(image()).not.toBe(first));
+    const second = image();
+    await expect(fetch(first)).rejects.toThrow();
+
+    fireEvent.keyDown(window, { code: "KeyZ", key: "z", ctrlKey: true });
+    expect(image()).not.toBe(second);
+    expect((await fetch(image())).ok).toBe(true);
+    fireEvent.keyDown(window, { code: "KeyZ", key: "Z", ctrlKey: true, shiftKey: true });
+    expect((await fetch(image())).ok).toBe(true);
+  });
+});
+
+describe("remote control", () => {
+  // A connection the test plays the controller's side of
+  class TestSocket {
+    static last = null;
+    readyState = 0;
+    sent = [];
+
+    constructor(url) {
+      this.url = url;
+      TestSocket.last = this;
+      setTimeout(() => {
+        this.readyState = 1;
+        this.onopen?.();
+      });
+    }
+
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+
+    receive(message) {
+      this.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    close() {
+      this.readyState = 3;
+      this.onclose?.();
+    }
+  }
+
+  beforeEach(() => vi.stubGlobal("WebSocket", TestSocket));
+  afterEach(() => vi.unstubAllGlobals());
+
+  test("a lock command while presenting sets the scene's own lock", async () => {
+    const onLockChange = vi.fn();
+    const { container, ref } = await renderPortrait({ remote: "ws://show.local", onLockChange });
+    fireEvent.click(await upload(container), at(0.5, 0.4));
+    await act(() => ref.current.saveSlot(1));
+    const sceneId = ref.current.getLibrary().hotkeys[1];
+    act(() => {
+      ref.current.setPlaylists([{ id: "show", name: "Show", sceneIds: [sceneId], interval: 60000, transition: "cut", transitionMs: 0 }]);
+    });
+    await act(() => ref.current.startPresentation("show"));
+    await waitFor(() => expect(TestSocket.last.readyState).toBe(1));
+    const socket = TestSocket.last;
+    const acked = (id) => waitFor(() => expect(socket.sent).toContainEqual({ type: "ack", id, cmd: "lock", ok: true }));
+
+    socket.receive({ cmd: "lock", value: true, id: 1 });
+    await acked(1);
+    expect(onLockChange).toHaveBeenLastCalledWith(true);
+    socket.receive({ cmd: "lock", value: false, id: 2 });
+    await acked(2);
+    expect(onLockChange).toHaveBeenLastCalledWith(false);
+    expect(onLockChange).toHaveBeenCalledTimes(2);
+
+    act(() => ref.current.stopPresentation());
+    expect(screen.getByRole("button", { name: /Unlocked/ })).toBeTruthy();
+  });
+});
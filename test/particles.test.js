@@ -0,0 +1,126 @@
+import { describe, expect, test } from "vitest";
+import {
+  DEFAULT_PARTICLES,
+  PARTICLE_PRESETS,
+  PARTICLE_STEP,
+  createParticleSystem,
+  createScriptedParticles,
+  drawParticles,
+  validateParticles,
+} from "../living-portrait-engine.js";
+import { createCanvas, expectPixelSnapshot, headless } from "./helpers/canvas.js";
+
+const EYES = [
+  { x: 0.35, y: 0.4 },
+  { x: 0.65, y: 0.4 },
+];
+
+function simulate(settings, steps, glow = 1, eyeSockets = EYES) {
+  const system = createParticleSystem(settings);
+  for (let i = 0; i < steps; i++) system.step(eyeSockets, typeof glow === "function" ? glow(i) : glow);
+  return system;
+}
+
+describe("particle system", () => {
+  test("the same seed gives the same particles", () => {
+    const a = simulate({ seed: 42 }, 180).particles();
+    const b = simulate({ seed: 42 }, 180).particles();
+    expect(a.length).toBeGreaterThan(0);
+    expect(a).toEqual(b);
+  });
+
+  test("another seed gives different particles", () => {
+    const a = simulate({ seed: 1 }, 120).particles();
+    const b = simulate({ seed: 2 }, 120).particles();
+    expect(a).not.toEqual(b);
+  });
+
+  test("emits in proportion to the glow, and nothing while dark", () => {
+    expect(simulate({ seed: 3 }, 300, 0).particles()).toEqual([]);
+    const full = simulate({ seed: 3, life: 20000 }, 60).particles().length;
+    const half = simulate({ seed: 3, life: 20000 }, 60, 0.5).particles().length;
+    // 60 steps make a second. Fractional emission carries over, so a count
+    // may land one short per socket.
+    const expected = DEFAULT_PARTICLES.rate * EYES.length;
+    expect(full).toBeGreaterThanOrEqual(expected - EYES.length);
+    expect(full).toBeLessThanOrEqual(expected);
+    expect(half).toBeGreaterThanOrEqual(expected / 2 - EYES.length);
+    expect(half).toBeLessThanOrEqual(expected / 2);
+  });
+
+  test("a socket's gain scales its own emission", () => {
+    const eyeSockets = [EYES[0], { ...EYES[1], gain: 0 }];
+    const particles = simulate({ seed: 5, life: 20000 }, 120, 1, eyeSockets).particles();
+    expect(particles.length).toBeGreaterThan(0);
+    expect(particles.every((p) => p.sx === EYES[0].x)).toBe(true);
+  });
+
+  test("never exceeds the budget", () => {
+    const system = createParticleSystem({ seed: 9, rate: 120, life: 20000, budget: 50 });
+    for (let i = 0; i < 600; i++) {
+      system.step(EYES, 1);
+      expect(system.particles().length).toBeLessThanOrEqual(50);
+    }
+    expect(system.particles()).toHaveLength(50);
+  });
+
+  test("particles age out after their life", () => {
+    const system = simulate({ seed: 4, life: 500 }, 30);
+    expect(system.particles().length).toBeGreaterThan(0);
+    for (let i = 0; i < Math.ceil((500 * 1.4) / PARTICLE_STEP) + 1; i++) system.step(EYES, 0);
+    expect(system.particles()).toEqual([]);
+  });
+
+  test("embers rise and tears fall", () => {
+    const embers = simulate({ seed: 6, ...PARTICLE_PRESETS.embers }, 120).particles();
+    const tears = simulate({ seed: 6, ...PARTICLE_PRESETS.tears, preset: "tears", rate: 30 }, 120).particles();
+    const meanY = (list) => list.reduce((n, p) => n + p.y, 0) / list.length;
+    expect(meanY(embers)).toBeLessThan(0);
+    expect(meanY(tears)).toBeGreaterThan(0);
+  });
+});
+
+describe("scripted particles", () => {
+  const scene = {
+    eyeSockets: EYES,
+    glow: 1,
+    particles: { ...DEFAULT_PARTICLES, seed: 11 },
+  };
+
+  test("match a fixed-step simulation of the scripted glow", () => {
+    const at = createScriptedParticles(scene);
+    expect(at(60 * PARTICLE_STEP + 1)).toEqual(simulate(scene.particles, 60).particles());
+  });
+
+  test("give the same result seeking backwards as running fresh", () => {
+    const at = createScriptedParticles(scene);
+    at(2000);
+    expect(at(500)).toEqual(createScriptedParticles(scene)(500));
+  });
+
+  test("are null when particles are off", () => {
+    expect(createScriptedParticles({ ...scene, particles: { ...scene.particles, enabled: false } })(1000)).toBeNull();
+  });
+});
+
+describe.skipIf(!headless)("particle pixels", () => {
+  Object.keys(PARTICLE_PRESETS).forEach((preset) => {
+    test(preset, () => {
+      const settings = { ...DEFAULT_PARTICLES, ...PARTICLE_PRESETS[preset], preset, seed: 21, rate: 40 };
+      const canvas = createCanvas(120, 150);
+      drawParticles(canvas.getContext("2d"), simulate(settings, 90).particles(), settings, 120, 150);
+      expectPixelSnapshot(canvas, `particles-${preset}`);
+    });
+  });
+});
+
+describe("validateParticles", () => {
+  test("accepts the defaults and names bad fields", () => {
+    expect(validateParticles(DEFAULT_PARTICLES)).toEqual([]);
+    expect(validateParticles({ ...DEFAULT_PARTICLES, seed: 1.5, budget: 5000, preset: "fog" })).toEqual([
+      "preset is not one of embers, smoke, tears",
+      "seed must be an integer",
+      "budget must be a whole number from 0 to 2000",
+    ]);
+  });
+});
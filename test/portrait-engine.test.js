@@ -0,0 +1,98 @@
+// @vitest-environment jsdom
+import "./helpers/dom.js";
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { createDefaultSequence, createMemoryStorage, createPortraitEngine, evaluateSequence } from "../living-portrait-engine.js";
+
+const EYES = [
+  { x: 0.35, y: 0.4 },
+  { x: 0.65, y: 0.4 },
+];
+
+const createEngine = () => {
+  const engine = createPortraitEngine({ storage: createMemoryStorage() });
+  engine.update({ image: "portrait.jpg", eyeSockets: EYES });
+  return engine;
+};
+
+const glow = (engine) => engine.getState().frame.glowIntensity;
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("glow mixing", () => {
+  test("the live glow is the strongest of the manual, host and named levels", () => {
+    const engine = createEngine();
+    engine.setGlow(0.2);
+    engine.setHostGlow(0.4);
+    engine.setGlowSource("audio", 0.7);
+    expect(glow(engine)).toBe(0.7);
+    engine.setGlowSource("audio", 0);
+    expect(engine.getState().glowSources).toEqual({});
+    expect(glow(engine)).toBe(0.4);
+  });
+
+  test("an override replaces the mix until it is handed back", () => {
+    const engine = createEngine();
+    engine.setHostGlow(1);
+    engine.setGlowOverride(0.25);
+    expect(engine.getState().frame).toEqual({ glowIntensity: 0.25, eyeSockets: EYES });
+    engine.setGlowOverride(null);
+    expect(glow(engine)).toBe(1);
+  });
+
+  test("a stopped sequence holds at the playhead while scrubbing", () => {
+    const engine = createEngine();
+    const sequence = createDefaultSequence();
+    engine.update({ sequence, scrubbing: true });
+    engine.scrubSequence(sequence.duration / 2);
+    expect(glow(engine)).toBeCloseTo(evaluateSequence(sequence, sequence.duration / 2).all);
+    engine.update({ scrubbing: false });
+    expect(glow(engine)).toBe(0);
+  });
+});
+
+describe("playback", () => {
+  test("plays only a valid sequence, and stops when the sequence goes", () => {
+    const engine = createEngine();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(engine.playSequence()).toBe(false);
+    expect(engine.playSequence(createDefaultSequence())).toBe(true);
+    expect(engine.getState().sequencePlaying).toBe(true);
+    engine.update({ sequence: null });
+    expect(engine.getState().sequencePlaying).toBe(false);
+  });
+
+  test("subscribers hear each change with the fields it touched", () => {
+    const engine = createEngine();
+    const listener = vi.fn();
+    const unsubscribe = engine.subscribe(listener);
+    engine.setLocked(true);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ locked: true }), ["locked", "frame"]);
+    unsubscribe();
+    engine.setLocked(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("images", () => {
+  test("an unsaved upload is let go once replaced, and a saved one kept", async () => {
+    const engine = createEngine();
+    const revoke = vi.spyOn(URL, "revokeObjectURL");
+    const first = new Blob(["first"], { type: "image/jpeg" });
+    const firstUrl = engine.imageUrlFor(first);
+    engine.update({ image: firstUrl });
+    expect(engine.imageUrlFor(first)).toBe(firstUrl);
+
+    engine.update({ image: engine.imageUrlFor(new Blob(["second"], { type: "image/jpeg" })) });
+    expect(revoke).toHaveBeenCalledWith(firstUrl);
+    expect(engine.imageBlobFor(firstUrl)).toBeNull();
+    // The same Blob comes back under a new URL
+    expect(engine.imageUrlFor(first)).not.toBe(firstUrl);
+
+    const savedUrl = engine.getState().image;
+    await engine.saveScene();
+    engine.update({ image: "portrait.jpg" });
+    expect(revoke).not.toHaveBeenCalledWith(savedUrl);
+    expect(engine.imageBlobFor(savedUrl)).toBeInstanceOf(Blob);
+    engine.dispose();
+  });
+});
@@ -0,0 +1,127 @@
+import "fake-indexeddb/auto";
+import { afterEach, describe, expect, test, vi } from "vitest";
+import {
+  createIndexedDBStorage,
+  createMemoryStorage,
+  createSceneLibrary,
+  migrateProfiles,
+  parseSceneBundle,
+  validateProfiles,
+} from "../living-portrait-engine.js";
+
+const scene = (fields) => ({
+  schemaVersion: 3,
+  id: "scene-a",
+  name: "A",
+  tags: [],
+  imageKey: "img_a",
+  thumbnail: null,
+  eyeSockets: [{ x: 0.4, y: 0.4 }],
+  locked: true,
+  ...fields,
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("schema versions", () => {
+  test.each([0, 1.5, -1, "x", null])("rejects schemaVersion %j", (schemaVersion) => {
+    const report = validateProfiles({ "scene-a": scene({ schemaVersion }) });
+    expect(report["scene-a"]).toEqual([`Schema version ${JSON.stringify(schemaVersion)} is not a whole number from 1 to 3`]);
+  });
+
+  test("rejects a newer schema and accepts the current one", () => {
+    expect(validateProfiles({ "scene-a": scene({ schemaVersion: 4 }) })).toEqual({ "scene-a": ["Schema version 4 is newer than supported"] });
+    expect(validateProfiles({ "scene-a": scene() })).toEqual({});
+  });
+
+  test("a version with no migration is left untouched for validation to report", () => {
+    const profiles = { 1: { schemaVersion: 0, eyeSockets: [] }, 2: { schemaVersion: -2 }, 3: { schemaVersion: 1.5 } };
+    expect(migrateProfiles(profiles)).toEqual(profiles);
+  });
+
+  test("unversioned slot profiles still migrate to scenes", () => {
+    const migrated = migrateProfiles({ 2: { imageKey: "img_slot_2", eyeSockets: [], locked: 1, savedAt: "2025-01-01T00:00:00.000Z" } });
+    expect(migrated[2]).toMatchObject({ schemaVersion: 3, id: "slot-2", name: "Slot 2", locked: true, createdAt: "2025-01-01T00:00:00.000Z" });
+    expect(validateProfiles({ "slot-2": migrated[2] })).toEqual({});
+  });
+
+  test("a library load reports stored scenes with a bad version", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const storage = createMemoryStorage();
+    await storage.put("profiles", "library", { scenes: { "scene-a": scene({ schemaVersion: 0 }) }, hotkeys: { 1: "scene-a" } });
+    const library = createSceneLibrary({ storage });
+    await library.load();
+    expect(library.checkScene("scene-a").errors).toEqual(["Schema version 0 is not a whole number from 1 to 3"]);
+    expect(warn).toHaveBeenCalledWith("Invalid stored scenes", { "scene-a": expect.any(Array) });
+  });
+});
+
+describe("bundle versions", () => {
+  test.each([0, -1, 1.5, NaN, "2", 3])("rejects version %j", (version) => {
+    expect(() => parseSceneBundle({ format: "living-portrait-bundle", version, slots: {} })).toThrow(`Unsupported bundle version ${version}`);
+  });
+
+  test("reads a version 1 slot bundle", () => {
+    const [entry] = parseSceneBundle({
+      format: "living-portrait-bundle",
+      version: 1,
+      slots: { 2: { profile: { eyeSockets: [] }, image: "data:image/jpeg;base64," } },
+    });
+    expect(entry).toMatchObject({ key: "2", hotkey: 2, legacy: false });
+  });
+});
+
+// Write a version 2 database by hand, as an older release left it
+function createVersion2Database(name, allProfiles) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 2);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("images");
+      req.result.createObjectStore("profiles");
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      const tx = db.transaction("profiles", "readwrite");
+      tx.objectStore("profiles").put(allProfiles, "allProfiles");
+      tx.oncomplete = () => resolve(db.close());
+      tx.onerror = () => reject(tx.error);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+describe("database upgrade", () => {
+  test("a bad slot profile is skipped without aborting the upgrade", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    await createVersion2Database("LivingPortraitUpgrade", {
+      1: { slot: 1, imageKey: "img_slot_1", eyeSockets: [{ x: 0.3, y: 0.4 }], locked: true, savedAt: "2025-01-01T00:00:00.000Z" },
+      2: { slot: 2, schemaVersion: 0, imageKey: "img_slot_2", eyeSockets: [] },
+      3: { slot: 3, schemaVersion: -1, imageKey: "img_slot_3", eyeSockets: [] },
+    });
+    const storage = createIndexedDBStorage({ name: "LivingPortraitUpgrade" });
+    const library = createSceneLibrary({ storage });
+    const { scenes, hotkeys } = await library.load();
+    expect(Object.keys(scenes)).toEqual(["slot-1"]);
+    expect(hotkeys).toEqual({ 1: "slot-1" });
+    expect(library.checkScene("slot-1").errors).toEqual([]);
+    // Only the bad slot profiles are left, as they were
+    const slots = await storage.get("profiles", "allProfiles");
+    expect(Object.keys(slots)).toEqual(["2", "3"]);
+    expect(slots[2]).toEqual({ slot: 2, schemaVersion: 0, imageKey: "img_slot_2", eyeSockets: [] });
+    expect(warn).toHaveBeenCalledWith("Slot profile 2 was skipped", expect.any(Error));
+  });
+
+  test("converted slot profiles are deleted, so their images go with their scenes", async () => {
+    const storage = createMemoryStorage();
+    await storage.put("profiles", "allProfiles", {
+      1: { slot: 1, imageKey: "img_slot_1", eyeSockets: [{ x: 0.3, y: 0.4 }], locked: false, savedAt: "2025-01-01T00:00:00.000Z" },
+    });
+    await storage.put("images", "img_slot_1", "data:image/jpeg;base64,");
+    const library = createSceneLibrary({ storage });
+    await library.load();
+    expect(await storage.get("profiles", "allProfiles")).toBeUndefined();
+
+    await library.deleteScene("slot-1");
+    expect(await storage.get("images", "img_slot_1")).toBeUndefined();
+  });
+});
@@ -0,0 +1,113 @@
+// @vitest-environment jsdom
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { createRemoteClient, decodeOSC, encodeOSC, oscToCommand } from "../living-portrait-engine.js";
+
+const SERVER = join(dirname(fileURLToPath(import.meta.url)), "..", "remote-server.mjs");
+
+const roundTrip = (address, args) => decodeOSC(encodeOSC(address, args))[0];
+
+describe("OSC codec", () => {
+  test.each(["/a", "/ab", "/abc", "/abcd", "/portrait/pulse"])("pads %s to a null-terminated multiple of four", (address) => {
+    const packet = encodeOSC(address, ["x", 1]);
+    expect(packet.length % 4).toBe(0);
+    expect(packet[address.length]).toBe(0);
+    expect(roundTrip(address, ["x", 1])).toEqual({ address, args: ["x", 1] });
+  });
+
+  test("ints, floats, strings, booleans and nil keep their types", () => {
+    const packet = encodeOSC("/portrait/mix", [3, -2, 0.8, "lady", true, false, null]);
+    expect(new TextDecoder().decode(packet.subarray(16, 24))).toBe(",iifsTFN");
+    const { args } = decodeOSC(packet)[0];
+    expect(args.slice(0, 2)).toEqual([3, -2]);
+    expect(args[2]).toBeCloseTo(0.8, 6);
+    expect(args.slice(3)).toEqual(["lady", true, false, null]);
+  });
+
+  test("a bundle unpacks into its messages", () => {
+    const messages = [encodeOSC("/portrait/glow", [0.5]), encodeOSC("/portrait/scene/2")];
+    const header = [...encodeOSC("#bundle").subarray(0, 8), 0, 0, 0, 0, 0, 0, 0, 1];
+    const bytes = [...header];
+    messages.forEach((message) => bytes.push(0, 0, 0, message.length, ...message));
+    expect(decodeOSC(new Uint8Array(bytes))).toEqual([
+      { address: "/portrait/glow", args: [0.5] },
+      { address: "/portrait/scene/2", args: [] },
+    ]);
+  });
+
+  test("addresses map to commands under the prefix", () => {
+    expect(oscToCommand(roundTrip("/portrait/pulse", [1, 2000]))).toEqual({ cmd: "pulse", value: 1, hold: 2000 });
+    expect(oscToCommand(roundTrip("/portrait/scene/3", [1]))).toEqual({ cmd: "loadScene", slot: 3 });
+    // A desk button's release
+    expect(oscToCommand(roundTrip("/portrait/scene/3", [0]))).toBeNull();
+    expect(oscToCommand(roundTrip("/ashby/unlock", []), "/ashby")).toEqual({ cmd: "lock", value: false });
+    expect(oscToCommand(roundTrip("/other/glow", [1]))).toBeNull();
+  });
+});
+
+// remote-server.mjs on a free port, driven through its prompt
+async function startServer() {
+  const child = spawn(process.execPath, [SERVER, "--port", "0"], { stdio: ["pipe", "pipe", "inherit"] });
+  let output = "";
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (chunk) => (output += chunk));
+  const url = await vi.waitFor(() => {
+    const match = /ws:\/\/localhost:(\d+)/.exec(output);
+    if (!match) throw new Error("Server not listening yet");
+    return match[0];
+  }, 5000);
+  return {
+    url,
+    output: () => output,
+    type: (line) => child.stdin.write(`${line}\n`),
+    async stop() {
+      child.kill();
+      await once(child, "exit");
+    },
+  };
+}
+
+describe("remote server", () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client?.close();
+    await server?.stop();
+  });
+
+  test("relays typed commands, OSC and acknowledgements between controller and portrait", { timeout: 15000 }, async () => {
+    server = await startServer();
+    const commands = [];
+    const statuses = [];
+    client = createRemoteClient({
+      url: server.url,
+      id: "portrait-1",
+      name: "Lady",
+      onCommand: (command) => commands.push(command),
+      onStatus: (status) => statuses.push(status),
+    });
+    await vi.waitFor(() => expect(statuses).toContain("open"));
+    await vi.waitFor(() => expect(server.output()).toMatch(/\+ .* \(1 connected\)/));
+
+    server.type("glow 0.5");
+    server.type("osc /portrait/pulse 1 2000");
+    server.type("@Lady scene 2");
+    server.type("@Someone-else lock");
+    server.type('{"cmd":"getState","id":7}');
+    await vi.waitFor(() => expect(commands).toHaveLength(4));
+    expect(commands).toEqual([
+      { cmd: "glow", value: 0.5 },
+      { cmd: "pulse", value: 1, hold: 2000 },
+      { cmd: "loadScene", slot: 2, target: "Lady" },
+      { cmd: "getState", id: 7 },
+    ]);
+    await vi.waitFor(() => expect(server.output()).toContain('Lady → {"type":"ack","id":7,"cmd":"getState","ok":true}'));
+
+    client.publish({ glow: 0.5, locked: false }, { immediate: true });
+    await vi.waitFor(() => expect(server.output()).toContain('Lady {"glow":0.5,"locked":false}'));
+  });
+});
@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import "./helpers/dom.js";
+import { describe, expect, test, vi } from "vitest";
+import { createMemoryStorage, createSceneLibrary } from "../living-portrait-engine.js";
+
+// Memory storage whose library writes fail while `failing` is set, or for
+// the next `failures` writes
+function createFlakyStorage() {
+  const storage = createMemoryStorage();
+  const flaky = {
+    ...storage,
+    failing: false,
+    failures: 0,
+    put: async (store, key, value) => {
+      if (store === "profiles" && (flaky.failing || flaky.failures-- > 0)) {
+        throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+      }
+      return storage.put(store, key, value);
+    },
+  };
+  return flaky;
+}
+
+const image = (byte) => new Blob([new Uint8Array([0xff, 0xd8, byte])], { type: "image/jpeg" });
+const imageKeys = async (storage) => (await storage.entries("images")).map(([key]) => key);
+
+describe("failed library writes", () => {
+  test("leave the library, its subscribers and storage unchanged", async () => {
+    const storage = createFlakyStorage();
+    const library = createSceneLibrary({ storage });
+    await library.saveScene({ image: image(1), hotkey: 1 });
+    const before = library.get();
+    const listener = vi.fn();
+    library.subscribe(listener);
+
+    storage.failing = true;
+    await expect(library.assignHotkey(2, Object.keys(before.scenes)[0])).rejects.toThrow("quota");
+    expect(library.get()).toBe(before);
+    expect(listener).not.toHaveBeenCalled();
+    expect(await storage.get("profiles", "library")).toEqual(before);
+  });
+
+  test("a change queued behind a failed one applies to the library as it was", async () => {
+    const storage = createFlakyStorage();
+    const library = createSceneLibrary({ storage });
+    const { id } = await library.saveScene({ image: image(1) });
+
+    storage.failures = 1;
+    const failed = library.assignHotkey(1, id);
+    const renamed = library.updateScene(id, { name: "Renamed" });
+    await expect(failed).rejects.toThrow();
+    await renamed;
+
+    expect(library.get().hotkeys).toEqual({});
+    expect(library.get().scenes[id].name).toBe("Renamed");
+    expect(await storage.get("profiles", "library")).toEqual(library.get());
+  });
+
+  test("a failed save removes the image it stored", async () => {
+    const storage = createFlakyStorage();
+    const library = createSceneLibrary({ storage });
+    await library.saveScene({ image: image(1) });
+    const kept = await imageKeys(storage);
+
+    storage.failing = true;
+    await expect(library.saveScene({ image: image(2) })).rejects.toThrow();
+    expect(await imageKeys(storage)).toEqual(kept);
+    // An image a stored scene still uses is left alone
+    await expect(library.saveScene({ image: image(1) })).rejects.toThrow();
+    expect(await imageKeys(storage)).toEqual(kept);
+    expect(Object.keys(library.get().scenes)).toHaveLength(1);
+  });
+
+  test("a failed import removes the images it stored", async () => {
+    const source = createSceneLibrary({ storage: createMemoryStorage() });
+    await source.saveScene({ image: image(3), hotkey: 1 });
+    await source.saveScene({ image: image(4), hotkey: 2 });
+    const bundle = await source.exportBundle();
+    const entries = Object.values(bundle.scenes).map(({ profile, image }) => ({ profile, image, hotkey: null, action: "merge" }));
+
+    const storage = createFlakyStorage();
+    const library = createSceneLibrary({ storage });
+    storage.failing = true;
+    await expect(library.importScenes(entries)).rejects.toThrow();
+    expect(await imageKeys(storage)).toEqual([]);
+    expect(library.get().scenes).toEqual({});
+
+    storage.failing = false;
+    expect(await library.importScenes(entries)).toBe(2);
+    expect(await imageKeys(storage)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, expect, test } from "vitest";
+import {
+  EASINGS,
+  createDefaultSequence,
+  createRandom,
+  evaluateAmbient,
+  evaluateSequence,
+  evaluateTrack,
+  removeSocketTrack,
+  validateSequence,
+} from "../living-portrait-engine.js";
+
+const ramp = (mode, ease = "linear") => ({
+  duration: 1000,
+  mode,
+  tracks: {
+    all: [
+      { t: 0, value: 0, ease },
+      { t: 1000, value: 1, ease: "linear" },
+    ],
+  },
+});
+
+describe("evaluateSequence", () => {
+  test("is deterministic for a timestamp", () => {
+    const sequence = createDefaultSequence();
+    const times = [0, 500, 1999, 2000, 3333, 4000, 12345];
+    expect(times.map((t) => evaluateSequence(sequence, t))).toEqual(times.map((t) => evaluateSequence(sequence, t)));
+    expect(evaluateSequence(sequence, 2000).all).toBe(1);
+    expect(evaluateSequence(sequence, 1000).all).toBe(0.5);
+  });
+
+  test("loop wraps around the duration", () => {
+    const sequence = ramp("loop");
+    expect(evaluateSequence(sequence, 250)).toEqual({ time: 250, all: 0.25, sockets: {}, done: false });
+    expect(evaluateSequence(sequence, 1250)).toEqual({ time: 250, all: 0.25, sockets: {}, done: false });
+    expect(evaluateSequence(sequence, 10750).all).toBe(0.75);
+  });
+
+  test("once holds the last value and reports done", () => {
+    const sequence = ramp("once");
+    expect(evaluateSequence(sequence, 999).done).toBe(false);
+    expect(evaluateSequence(sequence, 1000)).toEqual({ time: 1000, all: 1, sockets: {}, done: true });
+    expect(evaluateSequence(sequence, 5000)).toEqual({ time: 1000, all: 1, sockets: {}, done: true });
+  });
+
+  test("ping-pong runs forwards then backwards", () => {
+    const sequence = ramp("pingpong");
+    expect(evaluateSequence(sequence, 250).all).toBe(0.25);
+    expect(evaluateSequence(sequence, 1250).all).toBe(0.75);
+    expect(evaluateSequence(sequence, 1750).all).toBe(0.25);
+    expect(evaluateSequence(sequence, 2250).all).toBe(0.25);
+  });
+
+  test("easing shapes the segment that starts at a keyframe", () => {
+    Object.keys(EASINGS).forEach((ease) => {
+      expect(evaluateSequence(ramp("once", ease), 400).all).toBeCloseTo(EASINGS[ease](0.4), 10);
+    });
+    expect(evaluateSequence(ramp("once", "step"), 999).all).toBe(0);
+  });
+
+  test("per-socket tracks override the all track", () => {
+    const sequence = {
+      ...ramp("loop"),
+      tracks: {
+        all: [{ t: 0, value: 0.5, ease: "linear" }],
+        1: [
+          { t: 0, value: 1, ease: "linear" },
+          { t: 500, value: 0, ease: "linear" },
+        ],
+        2: [],
+      },
+    };
+    expect(evaluateSequence(sequence, 250)).toEqual({ time: 250, all: 0.5, sockets: { 1: 0.5 }, done: false });
+  });
+
+  test("negative elapsed time clamps to the start", () => {
+    expect(evaluateSequence(ramp("loop"), -300).time).toBe(0);
+  });
+});
+
+describe("evaluateTrack", () => {
+  test("holds the first and last values outside the keyframes, whatever their order", () => {
+    const track = [
+      { t: 800, value: 0.2, ease: "linear" },
+      { t: 200, value: 0.8, ease: "linear" },
+    ];
+    expect(evaluateTrack(track, 0)).toBe(0.8);
+    expect(evaluateTrack(track, 500)).toBeCloseTo(0.5, 10);
+    expect(evaluateTrack(track, 900)).toBe(0.2);
+    expect(evaluateTrack([], 0)).toBeNull();
+  });
+});
+
+describe("sequence editing", () => {
+  test("removing a socket drops its track and renumbers the rest", () => {
+    const key = [{ t: 0, value: 1, ease: "linear" }];
+    const sequence = { ...ramp("loop"), tracks: { all: key, 0: key, 1: [], 2: key } };
+    expect(removeSocketTrack(sequence, 1).tracks).toEqual({ all: key, 0: key, 1: key });
+  });
+
+  test("validation names the broken fields", () => {
+    expect(validateSequence(createDefaultSequence(), 2)).toEqual([]);
+    expect(validateSequence({ ...createDefaultSequence(), duration: 0 }, 2)).toContain("duration must be a positive number");
+    expect(validateSequence({ ...ramp("loop"), tracks: { 5: [] } }, 2)).toEqual(["track 5 has no matching socket"]);
+  });
+});
+
+describe("evaluateAmbient", () => {
+  // A minute of breathing, flicker, glances and blinks for three sockets
+  const timeline = (seed) => Array.from({ length: 1200 }, (_, i) => evaluateAmbient({ seed }, 3, i * 50));
+
+  test("a seed gives the same timeline every time, in any order", () => {
+    const forwards = timeline(7);
+    expect(timeline(7)).toEqual(forwards);
+    const backwards = forwards.map((_, i) => evaluateAmbient({ seed: 7 }, 3, (forwards.length - 1 - i) * 50)).reverse();
+    expect(backwards).toEqual(forwards);
+    // The minute holds at least one blink and one glance
+    expect(forwards.some((frame) => frame.blink === 0)).toBe(true);
+    expect(forwards.some((frame) => Math.max(...frame.sockets) > 0.4)).toBe(true);
+  });
+
+  test("different seeds diverge", () => {
+    const [a, b] = [timeline(7), timeline(8)];
+    expect(b).not.toEqual(a);
+    expect(a.filter((frame, i) => frame.sockets[0] !== b[i].sockets[0]).length).toBeGreaterThan(a.length / 2);
+  });
+
+  test("createRandom repeats its stream for a seed", () => {
+    const draw = (seed) => Array.from({ length: 5 }, createRandom(seed));
+    expect(draw(42)).toEqual(draw(42));
+    expect(draw(42)).not.toEqual(draw(43));
+    draw(42).forEach((value) => expect(value >= 0 && value < 1).toBe(true));
+  });
+});
@@ -0,0 +1,120 @@
+import "fake-indexeddb/auto";
+import { describe, expect, test } from "vitest";
+import { createIndexedDBStorage, createMemoryStorage, createRestStorage, createSceneLibrary } from "../living-portrait-engine.js";
+
+const BASE = "https://portrait.test/api";
+
+// An in-memory REST backend that records every request
+function createFakeServer() {
+  const stores = { images: new Map(), profiles: new Map() };
+  const requests = [];
+  const fetch = async (url, { method, body }) => {
+    const path = decodeURIComponent(url.slice(BASE.length + 1));
+    const [store, key] = path.split("/");
+    requests.push(`${method} ${path}`);
+    const values = stores[store];
+    if (key === undefined) return Response.json([...values.keys()]);
+    if (method === "PUT") {
+      values.set(key, body instanceof Blob ? body : JSON.parse(body));
+      return new Response(null, { status: 204 });
+    }
+    if (method === "DELETE") return new Response(null, { status: values.delete(key) ? 204 : 404 });
+    if (!values.has(key)) return new Response(null, { status: 404 });
+    const value = values.get(key);
+    if (method === "HEAD") {
+      const length = value instanceof Blob ? value.size : new Blob([JSON.stringify(value)]).size;
+      return new Response(null, { headers: { "Content-Length": String(length) } });
+    }
+    return value instanceof Blob ? new Response(value, { headers: { "Content-Type": value.type } }) : Response.json(value);
+  };
+  return { stores, requests, storage: createRestStorage({ url: BASE, fetch }) };
+}
+
+const SHA_KEY = `img_sha256-${"ab".repeat(32)}`;
+const FNV_KEY = "img_fnv-0123456789abcdef-3";
+const LEGACY_KEY = "img_slot_2";
+const LEGACY_IMAGE = "data:image/jpeg;base64,/9j/4A==";
+
+const scene = (id, imageKey) => ({
+  schemaVersion: 3,
+  id,
+  name: id,
+  tags: [],
+  imageKey,
+  thumbnail: "data:image/jpeg;base64,AA==",
+  eyeSockets: [],
+  locked: false,
+});
+
+// Two content-keyed scenes, a legacy slot scene still holding a data URL,
+// and one image no scene uses
+async function seed() {
+  const server = createFakeServer();
+  server.stores.images.set(SHA_KEY, new Blob([new Uint8Array(10)], { type: "image/jpeg" }));
+  server.stores.images.set(FNV_KEY, new Blob([new Uint8Array(3)], { type: "image/jpeg" }));
+  server.stores.images.set(LEGACY_KEY, LEGACY_IMAGE);
+  server.stores.images.set("img_sha256-unused", new Blob([new Uint8Array(20)], { type: "image/png" }));
+  server.stores.profiles.set("library", {
+    scenes: { a: scene("a", SHA_KEY), b: scene("b", FNV_KEY), "slot-2": scene("slot-2", LEGACY_KEY) },
+    hotkeys: {},
+  });
+  const library = createSceneLibrary({ storage: server.storage });
+  await library.load();
+  server.requests.length = 0;
+  return { ...server, library };
+}
+
+const imageReads = (requests) => requests.filter((request) => request.startsWith("GET images/"));
+
+describe("REST storage", () => {
+  test("image usage lists keys and sizes without downloading images", async () => {
+    const { library, requests } = await seed();
+    // The legacy data URL is stored as a JSON string
+    const legacyBytes = JSON.stringify(LEGACY_IMAGE).length;
+    expect(await library.imageUsage()).toEqual({ images: 4, imageBytes: 10 + 3 + 20 + legacyBytes, unused: 1, unusedBytes: 20 });
+    expect(imageReads(requests)).toEqual([]);
+    expect(requests).toContain("GET images");
+    expect(requests.filter((request) => request.startsWith("HEAD"))).toHaveLength(4);
+  });
+
+  test("pruning deletes unused images without downloading any", async () => {
+    const { library, requests, stores } = await seed();
+    expect(await library.pruneImages()).toEqual({ count: 1, bytes: 20 });
+    expect([...stores.images.keys()]).toEqual([SHA_KEY, FNV_KEY, LEGACY_KEY]);
+    expect(imageReads(requests)).toEqual([]);
+    expect(requests).toContain("DELETE images/img_sha256-unused");
+  });
+
+  test("the image upgrade reads only legacy keys", async () => {
+    const { library, requests, stores } = await seed();
+    await library.upgradeImages();
+    const { imageKey } = library.get().scenes["slot-2"];
+    expect(imageKey).toMatch(/^img_(sha256|fnv)-/);
+    // The second read is storing the Blob, checking it isn't there already
+    expect(imageReads(requests)).toEqual([`GET images/${LEGACY_KEY}`, `GET images/${imageKey}`]);
+    expect(stores.images.get(imageKey)).toBeInstanceOf(Blob);
+    expect(stores.images.has(LEGACY_KEY)).toBe(false);
+  });
+});
+
+describe("keys", () => {
+  test("IndexedDB and memory storage list their keys", async () => {
+    for (const storage of [createIndexedDBStorage({ name: "LivingPortraitKeys" }), createMemoryStorage()]) {
+      await storage.put("images", "img_b", new Blob(["b"]));
+      await storage.put("images", "img_a", new Blob(["a"]));
+      expect((await storage.keys("images")).sort()).toEqual(["img_a", "img_b"]);
+      expect(await storage.keys("profiles")).toEqual([]);
+    }
+  });
+
+  test("an adapter without keys is listed through its entries, by namespace", async () => {
+    const { keys, ...storage } = createMemoryStorage();
+    await storage.put("images", "img_own", new Blob(["own"]));
+    await storage.put("images", "hall:img_hall", new Blob(["hall"]));
+    const library = createSceneLibrary({ storage });
+    const hall = createSceneLibrary({ storage, instanceId: "hall" });
+    expect(await library.imageUsage()).toMatchObject({ images: 1, imageBytes: 3, unused: 1 });
+    expect(await hall.pruneImages()).toEqual({ count: 1, bytes: 4 });
+    expect(await keys("images")).toEqual(["img_own"]);
+  });
+});